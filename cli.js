@@ -1,19 +1,135 @@
-// fix-cli.js - CLI to fix and test a buggy JavaScript file using main.js
+#!/usr/bin/env node
+// cli.js - CLI for the fixer: fix, scan, index, search, apply, queue, rollback, replay, usage and config
+//
+// Exit codes: 0 success, 1 fix failed or edits not applied, 2 usage error, 3 unexpected error
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-import { fixAndTestFile } from "./main.js";
 import readline from "readline";
+import { parseArgs } from "util";
+import {
+  configure,
+  getConfig,
+  fixAndTestFile,
+  fixCommand,
+  rebuildIndex,
+  indexStatus,
+  clearIndex,
+  search,
+  applyFix,
+  previewFix,
+  rollback,
+  sessions,
+  transcripts,
+  replaySession,
+  usageReport,
+  queuedErrors,
+  queuedError,
+  dropQueuedError,
+  applyQueuedError,
+  scan,
+  watch,
+} from "./main.js";
+import { startServer } from "./server.js";
+import { formatHunk } from "./lib/diff.js";
+import { selectHunks } from "./lib/changeset.js";
+import { transcriptPath } from "./lib/transcript.js";
+import { formatDiagnosticList } from "./lib/diagnostics.js";
+import { formatUsage, usd } from "./lib/usage.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const EXIT = { ok: 0, failed: 1, usage: 2, error: 3 };
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const USAGE = `Usage: node cli.js <command> [options]
 
-async function promptUser(question) {
+Commands:
+  fix <file>                 Fix a file until its export runs (or its tests pass)
+  repro <command...>         Fix the code until a reproduction command exits 0 (or matches --expect)
+  scan [files...]            Report static problems without running code (--fix to fix them)
+  watch [file]               Re-run a file (or --test) on every change and fix new failures
+  serve                      Local JSON-RPC server for editors and dashboards (--port, --host, --token)
+  index build|status|clear   Manage the vector index (build accepts --force)
+  search <query>             Lexical + vector search over the indexed chunks (-k <n>, --explain)
+  apply <edits.json>         Apply a saved {"edits": [...]} proposal
+  queue [show|apply|drop id] Triage errors queued by tryq()/help() in suggest or report mode (lists them without an id)
+  rollback [session-id]      Restore files changed in a session (lists sessions without an id)
+  replay [session-id]        Re-run a session with its recorded model responses (lists sessions without an id)
+  usage [session-id]         Tokens, cost and model time per recorded session (per round with an id)
+  config                     Print the effective configuration and where each value came from
+
+Options:
+  --export <name>            Export to run (default: run)
+  --rounds <n>               Maximum fix rounds (default: maxRounds from config, 5)
+  --test <command>           Run a test command instead of an export
+  --expect <pattern>         repro: succeed when the output matches this regex ("text" or "/text/i")
+  --candidates <n>           Fixes to generate per round; each is validated in a scratch copy and the best applied
+  --max-tokens <n>           Stop asking the model once a session has used this many tokens (budget.tokens)
+  --max-cost <usd>           Stop asking the model once a session has cost this much (budget.costUsd)
+  --timeout <ms>             Wall-clock limit per run
+  --fix-model <model>        Chat model for fixes
+  --embedding-model <model>  Embedding model for the index
+  --root <dir>               Project root (index stored in <dir>/.llm-fixer)
+  --config <file>            Config file (default: nearest .llmfixerrc or llm-fixer.config.js)
+  --context <text|->         Extra context for the model ("-" reads stdin)
+  --context-file <file|->    Extra context from a file ("-" reads stdin)
+  --dry-run                  Show the proposed diff without writing
+  --git <branch|worktree>    fix: work on a new branch (in place) or a new worktree, committing each round
+  --branch <name>            --git: branch name (default: llm-fixer/<file>-<session-id>)
+  --patch <file.patch|dir>   --git: export the commits as one .patch file or a format-patch series
+  --restore                  replay: roll the recorded session back before replaying it
+  --fix                      scan: send the diagnostics of each file through the fix loop
+  --eslint                   scan: also run "npx eslint -f json" on the scanned files
+  --eslint-report <file|->   scan: read a saved "eslint -f json" report instead
+  --yes, -y                  Apply edits without prompting
+  --json                     Print one JSON result on stdout (logs go to stderr); watch prints one event per line
+  -k <n>                     Number of search results
+  --explain                  search: show each hit's lexical, semantic and fused scores
+  --port <n>                 serve: port (default: 7077)
+  --host <addr>              serve: address to listen on (default: 127.0.0.1)
+  --token <secret>           serve: the "Authorization: Bearer" token (default: $LLM_FIXER_SERVER_TOKEN, else a random one in .llm-fixer/server-token)
+  --force                    index build: re-chunk every file; fix --git worktree: start on a dirty tree;
+                             rollback: restore files that changed after the session
+  --help, -h                 Show this help
+
+Running "node cli.js <file>" is the same as "node cli.js fix <file>".`;
+
+const OPTIONS = {
+  export: { type: "string" },
+  rounds: { type: "string" },
+  candidates: { type: "string" },
+  "max-tokens": { type: "string" },
+  "max-cost": { type: "string" },
+  test: { type: "string" },
+  expect: { type: "string" },
+  timeout: { type: "string" },
+  "fix-model": { type: "string" },
+  "embedding-model": { type: "string" },
+  root: { type: "string" },
+  config: { type: "string" },
+  context: { type: "string" },
+  "context-file": { type: "string" },
+  "dry-run": { type: "boolean" },
+  git: { type: "string" },
+  branch: { type: "string" },
+  patch: { type: "string" },
+  restore: { type: "boolean" },
+  fix: { type: "boolean" },
+  eslint: { type: "boolean" },
+  "eslint-report": { type: "string" },
+  yes: { type: "boolean", short: "y" },
+  json: { type: "boolean" },
+  k: { type: "string", short: "k" },
+  port: { type: "string" },
+  host: { type: "string" },
+  token: { type: "string" },
+  force: { type: "boolean" },
+  explain: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+class UsageError extends Error {}
+
+let rl = null;
+function promptUser(question) {
+  if (!rl) rl = readline.createInterface({ input: process.stdin, output: process.stderr });
   return new Promise((resolve) => {
     rl.question(question, (answer) => {
       resolve(answer.trim());
@@ -21,54 +137,571 @@ async function promptUser(question) {
   });
 }
 
-async function runCli() {
-  // Get file path from command-line argument
-  const filePath = process.argv[2];
-  if (!filePath) {
-    console.error("Usage: node fix-cli.js <path-to-buggy-file>");
-    process.exit(1);
+function closePrompt() {
+  if (rl) rl.close();
+  rl = null;
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    process.stdin.setEncoding("utf-8");
+    process.stdin.on("data", d => { data += d; });
+    process.stdin.on("end", () => resolve(data));
+    process.stdin.on("error", reject);
+  });
+}
+
+function toInt(value, flag) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new UsageError(`${flag} must be a positive integer`);
+  return n;
+}
+
+function toAmount(value, flag) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) throw new UsageError(`${flag} must be a positive number`);
+  return n;
+}
+
+function output(flags, json, human) {
+  if (flags.json) process.stdout.write(JSON.stringify(json, null, 2) + "\n");
+  else human();
+}
+
+// Ask about every hunk before it is written: y = apply, n = skip,
+// a = apply this and all remaining, q = skip this and all remaining
+async function reviewChangeset(changeset) {
+  let mode = null;
+  return selectHunks(changeset, async (file, hunk, i) => {
+    if (mode) return mode === "all";
+    console.error(`\n${file.existed ? "" : "(new file) "}${file.relPath} — hunk ${i + 1}/${file.hunks.length}`);
+    console.error(formatHunk(hunk));
+    const answer = (await promptUser("Apply this hunk? [y]es / [n]o / [a]ll remaining / [q]uit: ")).toLowerCase();
+    if (answer === "a") mode = "all";
+    if (answer === "q") mode = "none";
+    return answer === "y" || answer === "a";
+  });
+}
+
+// Prompts only make sense with a terminal and without --yes / --json
+function isInteractive(flags) {
+  return process.stdin.isTTY && !flags.yes && !flags.json;
+}
+
+// Edits are written after a review prompt or with --yes. Without a terminal to ask on
+// (CI, pipes, --json) and without --yes, a run only shows them, as with --dry-run.
+function dryRunFor(flags) {
+  if (flags["dry-run"]) return true;
+  if (flags.yes || isInteractive(flags)) return false;
+  console.error("No terminal to review the edits on, so nothing is written (dry run). Pass --yes to apply them.");
+  return true;
+}
+
+async function readContext(flags) {
+  if (flags.context === "-" || flags["context-file"] === "-") return readStdin();
+  if (flags["context-file"]) {
+    if (!fs.existsSync(flags["context-file"])) throw new UsageError(`context file ${flags["context-file"]} does not exist`);
+    return fs.readFileSync(flags["context-file"], "utf-8");
+  }
+  if (flags.context) return flags.context;
+  if (isInteractive(flags)) {
+    return promptUser("Paste the errors you are facing and any additional instructions (or press Enter to skip): ");
   }
+  return "";
+}
+
+// Spend of a run: totals, and the budget that stopped it
+function printUsage(result) {
+  if (!result.usage?.calls) return;
+  console.log(`Model usage: ${formatUsage(result.usage)}`);
+  if (result.budgetExceeded) console.log(`⚠️ Stopped early: ${result.budgetExceeded}`);
+}
+
+// usage: the run's usage, whose rounds are matched to the history entries
+function summarizeHistory(history, usage) {
+  return history.map(h => ({
+    round: h.round,
+    error: h.error || (h.failing && `${h.failing.length} failing test(s)`),
+    applied: !!h.fixRes?.applied,
+    edits: h.fixRes?.results?.map(r => ({ path: r.path, ok: r.ok, reason: r.reason })) || [],
+    files: h.files,
+    schemaErrors: h.fixRes?.schemaErrors,
+    candidates: h.fixRes?.candidates,
+    usage: usage?.rounds.find(r => r.round === h.round),
+  }));
+}
+
+function printGit(info) {
+  if (info.discarded) return;
+  console.log(`Branch ${info.branch}${info.worktree ? ` (worktree ${info.worktree})` : ""}, ${info.commits.length} commit(s) on ${info.base.slice(0, 8)}:`);
+  for (const c of info.commits) console.log(`  ${c.sha.slice(0, 8)} ${c.subject}`);
+  if (info.patches.length) console.log(`Patches:\n${info.patches.map(p => `  ${p}`).join("\n")}`);
+}
+
+// ------------ commands ------------
+async function cmdFix(positionals, flags) {
+  const filePath = positionals[0];
+  if (!filePath) throw new UsageError("fix needs a file");
 
   // Resolve the absolute path
   const absPath = path.resolve(filePath);
-  if (!fs.existsSync(absPath)) {
-    console.error(`Error: File ${absPath} does not exist.`);
-    process.exit(1);
-  }
-
-  // Compute relative path relative to ROOT_DIR (same as main.js)
-  const ROOT_DIR = path.resolve(path.join(__dirname, ".."));
-  const relativePath = path.relative(ROOT_DIR, absPath);
-  console.log(`Attempting to fix and test: ${relativePath} (absolute: ${absPath})`);
-
-  // Prompt user for errors and instructions combined
-  const userInput = await promptUser("Paste the errors you are facing and any additional instructions (or press Enter to skip): ");
-  rl.close();
-
-  const extraContext = userInput ? `User-reported errors and instructions: ${userInput}\n` : '';
-
-  // Run fixAndTestFile with extraContext
-  const result = await fixAndTestFile(relativePath, { testExportName: "run", maxRounds: 5, extraContext });
-
-  if (result.ok) {
-    console.log(`🎉 Success after ${result.rounds} round(s)! Output:`, result.out);
-    console.log("Fix history:", result.history.map(h => ({
-      round: h.round,
-      error: h.error || h.attempt?.error,
-      fixed: h.fixRes?.results?.length > 0 || h.attempt?.fix?.results?.length > 0,
-    })));
-  } else {
-    console.error(`❌ Failed to fix after ${result.rounds} round(s). Last error:`, result.error);
-    console.log("Fix history:", result.history.map(h => ({
-      round: h.round,
-      error: h.error || h.attempt?.error,
-      fixed: h.fixRes?.results?.length > 0 || h.attempt?.fix?.results?.length > 0,
-    })));
-    console.log("Check the file for partial fixes or review the backup in", path.join(require("os").tmpdir(), "llm_fixes"));
-  }
-}
-
-runCli().catch(err => {
-  console.error("CLI error:", err.message);
-  process.exit(1);
-});
\ No newline at end of file
+  if (!fs.existsSync(absPath)) throw new UsageError(`File ${absPath} does not exist.`);
+  const relativePath = path.relative(getConfig().root, absPath);
+  console.error(`Attempting to fix and test: ${relativePath} (absolute: ${absPath})`);
+
+  if ((flags.branch || flags.patch) && !flags.git) throw new UsageError("--branch and --patch need --git branch|worktree");
+  if (flags.git && !["branch", "worktree"].includes(flags.git)) throw new UsageError("--git must be branch or worktree");
+  if (flags.git && flags["dry-run"]) throw new UsageError("--git cannot be combined with --dry-run");
+  if (flags.git && !flags.yes && !isInteractive(flags)) throw new UsageError("--git commits every round, so without a terminal it needs --yes");
+
+  const userInput = (await readContext(flags)).trim();
+  const extraContext = userInput ? `User-reported errors and instructions: ${userInput}\n` : "";
+
+  const result = await fixAndTestFile(relativePath, {
+    testExportName: flags.export || "run",
+    maxRounds: toInt(flags.rounds, "--rounds"),
+    candidates: toInt(flags.candidates, "--candidates"),
+    timeoutMs: toInt(flags.timeout, "--timeout"),
+    extraContext,
+    dryRun: dryRunFor(flags),
+    review: isInteractive(flags) ? reviewChangeset : undefined,
+    test: flags.test ? { command: flags.test, timeoutMs: toInt(flags.timeout, "--timeout") } : undefined,
+    git: flags.git ? { mode: flags.git, branch: flags.branch, force: !!flags.force, patch: flags.patch && path.resolve(flags.patch) } : undefined,
+  });
+  closePrompt();
+
+  const history = summarizeHistory(result.history, result.usage);
+  output(flags, {
+    ok: result.ok,
+    dryRun: !!result.dryRun,
+    rounds: result.rounds,
+    error: result.error,
+    out: result.out,
+    diff: result.diff,
+    fixed: result.fixed,
+    regressed: result.regressed,
+    sessionId: result.sessionId,
+    git: result.git,
+    usage: result.usage,
+    budgetExceeded: result.budgetExceeded,
+    history,
+  }, () => {
+    if (result.dryRun) {
+      console.log(`📝 Dry run — proposed changes (nothing written), last error: ${result.error}`);
+      console.log(result.diff || "(no changes proposed)");
+    } else if (result.ok) {
+      console.log(`🎉 Success after ${result.rounds} round(s)!`, flags.test ? "All tests pass." : "Output:", flags.test ? "" : result.out);
+    } else {
+      console.error(`❌ Failed to fix after ${result.rounds} round(s). Last error:`, result.error);
+    }
+    if (!result.dryRun) console.log("Fix history:", history.map(({ edits, candidates, usage, ...h }) => h));
+    printUsage(result);
+    if (result.fixed) {
+      console.log(`Tests fixed: ${result.fixed.length ? result.fixed.join(", ") : "none"}`);
+      console.log(`Tests regressed: ${result.regressed.length ? result.regressed.join(", ") : "none"}`);
+    }
+    if (result.git) {
+      printGit(result.git);
+    } else if (history.some(h => h.applied)) {
+      console.log(`Undo all changes from this run with: node cli.js rollback ${result.sessionId}`);
+    }
+    const transcript = transcriptPath(getConfig().root, result.sessionId);
+    if (fs.existsSync(transcript)) console.log(`Session transcript: ${path.relative(process.cwd(), transcript)}`);
+  });
+  return result.ok || result.dryRun ? EXIT.ok : EXIT.failed;
+}
+
+async function cmdRepro(positionals, flags) {
+  // `repro "npm run start -- --once"`, or unquoted after `--`: `repro -- node scripts/repro.js`
+  const command = positionals.join(" ").trim();
+  if (!command) throw new UsageError("repro needs a command");
+  const userInput = (await readContext(flags)).trim();
+
+  let result;
+  try {
+    result = await fixCommand({
+      command,
+      expect: flags.expect,
+      maxRounds: toInt(flags.rounds, "--rounds"),
+      candidates: toInt(flags.candidates, "--candidates"),
+      timeoutMs: toInt(flags.timeout, "--timeout"),
+      extraContext: userInput ? `User-reported errors and instructions: ${userInput}\n` : "",
+      dryRun: dryRunFor(flags),
+      review: isInteractive(flags) ? reviewChangeset : undefined,
+    });
+  } catch (err) {
+    if (/^invalid expect pattern/.test(err.message)) throw new UsageError(err.message);
+    throw err;
+  }
+  closePrompt();
+
+  const history = summarizeHistory(result.history, result.usage);
+  output(flags, {
+    ok: result.ok,
+    dryRun: !!result.dryRun,
+    rounds: result.rounds,
+    error: result.error,
+    exitCode: result.exitCode,
+    diff: result.diff,
+    sessionId: result.sessionId,
+    usage: result.usage,
+    budgetExceeded: result.budgetExceeded,
+    history,
+  }, () => {
+    if (result.dryRun) {
+      console.log(`📝 Dry run — proposed changes (nothing written), last error: ${result.error}`);
+      console.log(result.diff || "(no changes proposed)");
+    } else if (result.ok) {
+      console.log(`🎉 ${command} passes after ${result.rounds} round(s).`);
+    } else {
+      console.error(`❌ ${command} still fails after ${result.rounds} round(s). Last error:`, result.error);
+    }
+    if (!result.dryRun) console.log("Fix history:", history.map(({ edits, candidates, usage, ...h }) => h));
+    printUsage(result);
+    if (history.some(h => h.applied)) console.log(`Undo all changes from this run with: node cli.js rollback ${result.sessionId}`);
+  });
+  return result.ok || result.dryRun ? EXIT.ok : EXIT.failed;
+}
+
+async function cmdScan(positionals, flags) {
+  let eslintReport;
+  if (flags["eslint-report"]) {
+    const file = flags["eslint-report"];
+    if (file !== "-" && !fs.existsSync(file)) throw new UsageError(`eslint report ${file} does not exist`);
+    try {
+      eslintReport = JSON.parse(file === "-" ? await readStdin() : fs.readFileSync(file, "utf-8"));
+    } catch (err) {
+      throw new UsageError(`${file} is not an eslint JSON report: ${err.message}`);
+    }
+  }
+  const files = positionals.map(f => path.resolve(f));
+  const missing = files.find(f => !fs.existsSync(f));
+  if (missing) throw new UsageError(`File ${missing} does not exist.`);
+
+  const userInput = flags.fix ? (await readContext(flags)).trim() : "";
+  const result = await scan({
+    files,
+    fix: !!flags.fix,
+    eslint: !!flags.eslint,
+    eslintReport,
+    maxRounds: toInt(flags.rounds, "--rounds"),
+    candidates: toInt(flags.candidates, "--candidates"),
+    extraContext: userInput ? `User-reported errors and instructions: ${userInput}\n` : "",
+    dryRun: flags.fix ? dryRunFor(flags) : !!flags["dry-run"],
+    review: isInteractive(flags) ? reviewChangeset : undefined,
+  });
+  closePrompt();
+
+  const history = summarizeHistory(result.history, result.usage);
+  output(flags, { ...result, history }, () => {
+    const list = formatDiagnosticList(result.diagnostics);
+    if (result.dryRun) {
+      console.log(`📝 Dry run — proposed changes for ${result.before} diagnostic(s) (nothing written):`);
+      console.log(result.diff || "(no changes proposed)");
+    } else if (flags.fix) {
+      console.log(`${result.ok ? "🎉" : "❌"} ${result.before} diagnostic(s) before, ${result.after} after (${result.files} file(s) scanned)`);
+      if (list) console.log(list);
+      printUsage(result);
+      if (history.some(h => h.applied)) console.log(`Undo all changes from this run with: node cli.js rollback ${result.sessionId}`);
+    } else {
+      console.log(list || "No problems found.");
+      console.log(`${result.after} diagnostic(s) in ${result.files} file(s)`);
+    }
+  });
+  return result.ok || result.dryRun ? EXIT.ok : EXIT.failed;
+}
+
+async function cmdIndex(positionals, flags) {
+  const sub = positionals[0];
+  if (sub === "build") {
+    const stats = await rebuildIndex({ force: !!flags.force });
+    output(flags, stats, () => {
+      console.log(`Indexed ${stats.chunks} chunks (${stats.changed} changed file(s), ${stats.embedded} new embedding(s), ${stats.removed} removed) → ${stats.indexFile}`);
+      if (stats.usage.calls) console.log(`Embedding usage: ${formatUsage(stats.usage)}`);
+    });
+    return EXIT.ok;
+  }
+  if (sub === "status") {
+    const status = indexStatus();
+    output(flags, status, () => {
+      if (!status.exists) return console.log(`No index at ${status.indexFile}`);
+      console.log([
+        `Index:      ${status.indexFile}`,
+        `Root:       ${status.root}`,
+        `Model:      ${status.model} (${status.dimensions} dims)`,
+        `Files:      ${status.files}, chunks: ${status.chunks}`,
+        `Vectors:    ${status.vectors} (generation ${status.vectorGeneration}), search: ${status.ann ? `${status.ann} + lexical` : "lexical only"}`,
+        `Stale:      ${status.staleFiles} file(s) changed since indexing`,
+        `Updated:    ${new Date(status.updatedAt).toISOString()}`,
+      ].join("\n"));
+    });
+    return EXIT.ok;
+  }
+  if (sub === "clear") {
+    const removed = clearIndex();
+    output(flags, { removed }, () => console.log(removed ? "Index removed." : "No index to remove."));
+    return EXIT.ok;
+  }
+  throw new UsageError("index needs one of: build, status, clear");
+}
+
+async function cmdSearch(positionals, flags) {
+  const query = positionals.join(" ");
+  if (!query) throw new UsageError("search needs a query");
+  const hits = await search(query, toInt(flags.k, "-k") || 10, { explain: !!flags.explain });
+  const rank = (r, digits) => (r ? `#${r.rank} (${r.score.toFixed(digits)})` : "-");
+  output(flags, hits, () => {
+    hits.forEach((h, i) => {
+      console.log(`${i + 1}. ${h.filePath}:${h.startLine}-${h.endLine} ${h.name}`);
+      if (h.scores) console.log(`   fused ${h.scores.fused.toFixed(4)}  lexical ${rank(h.scores.lexical, 2)}  semantic ${rank(h.scores.semantic, 3)}`);
+    });
+  });
+  return EXIT.ok;
+}
+
+async function cmdApply(positionals, flags) {
+  const file = positionals[0];
+  if (!file) throw new UsageError("apply needs an edits JSON file");
+  const raw = file === "-" ? await readStdin() : fs.readFileSync(file, "utf-8");
+  let parsed;
+  try { parsed = JSON.parse(raw); } catch (err) { throw new UsageError(`${file} is not valid JSON: ${err.message}`); }
+  const fixJson = Array.isArray(parsed) ? { edits: parsed } : parsed;
+
+  if (dryRunFor(flags)) {
+    const preview = previewFix(fixJson);
+    output(flags, preview, () => {
+      console.log(preview.diff || "(no changes)");
+      preview.results.filter(r => !r.ok).forEach(r => console.error(`❌ ${r.path}: ${r.reason}`));
+    });
+    return preview.ok ? EXIT.ok : EXIT.failed;
+  }
+
+  const results = await applyFix(fixJson, { review: isInteractive(flags) ? reviewChangeset : undefined });
+  closePrompt();
+  const ok = results.length > 0 && results.every(r => r.ok);
+  output(flags, { ok, results, sessionId: results.find(r => r.sessionId)?.sessionId }, () => {
+    for (const r of results) console.log(`${r.ok ? "✅" : "❌"} ${r.path}${r.reason ? ` (${r.reason})` : ""}`);
+    const sessionId = results.find(r => r.sessionId)?.sessionId;
+    if (sessionId) console.log(`Undo with: node cli.js rollback ${sessionId}`);
+  });
+  return ok ? EXIT.ok : EXIT.failed;
+}
+
+async function cmdQueue(positionals, flags) {
+  const [action = "list", id] = positionals;
+  if (action === "list") {
+    const entries = queuedErrors();
+    output(flags, entries.map(({ frames, runtime, suggestion, ...e }) => ({ ...e, suggested: !!suggestion?.edits?.length })), () => {
+      if (!entries.length) return console.log("No queued errors.");
+      for (const e of entries) {
+        const suggested = e.suggestion?.edits?.length ? "fix suggested" : e.kind;
+        console.log(`${e.id}  ${String(e.count).padStart(4)}x  ${new Date(e.lastSeen).toISOString()}  [${suggested}] ${e.error.message}`);
+      }
+    });
+    return EXIT.ok;
+  }
+  if (!["show", "apply", "drop"].includes(action)) throw new UsageError("queue needs one of: list, show <id>, apply <id>, drop <id>");
+  if (!id) throw new UsageError(`queue ${action} needs an id`);
+  const entry = queuedError(id);
+  if (!entry) {
+    console.error(`No queued error ${id}.`);
+    return EXIT.failed;
+  }
+
+  if (action === "show") {
+    output(flags, entry, () => {
+      console.log(`${entry.id} (${entry.kind}), seen ${entry.count}x, first ${new Date(entry.createdAt).toISOString()}, last ${new Date(entry.lastSeen).toISOString()}`);
+      console.log(entry.error.stack || entry.errMessage);
+      if (entry.extraContext) console.log(`\nContext:\n${entry.extraContext}`);
+      for (const f of entry.frames) console.log(`\n${f.path}:${f.startLine}-${f.endLine} ${f.name}`);
+      if (entry.suggestion?.diff) console.log(`\nSuggested fix (${entry.suggestion.model}):\n${entry.suggestion.diff}`);
+      else if (entry.suggestionError) console.log(`\nNo suggestion: ${entry.suggestionError}`);
+      else if (entry.rateLimited) console.log("\nNo suggestion: the inline rate limit was reached.");
+    });
+    return EXIT.ok;
+  }
+  if (action === "drop") {
+    dropQueuedError(id);
+    output(flags, { removed: true }, () => console.log(`Dropped ${id}.`));
+    return EXIT.ok;
+  }
+
+  const res = await applyQueuedError(id, {
+    dryRun: dryRunFor(flags),
+    review: isInteractive(flags) ? reviewChangeset : undefined,
+  });
+  closePrompt();
+  output(flags, res, () => {
+    if (res.dryRun) console.log(res.diff || "(no changes)");
+    for (const r of res.results) console.log(`${r.ok ? "✅" : "❌"} ${r.path}${r.reason ? ` (${r.reason})` : ""}`);
+    if (res.applied && res.sessionId) console.log(`Undo with: node cli.js rollback ${res.sessionId}`);
+  });
+  return res.applied || res.dryRun ? EXIT.ok : EXIT.failed;
+}
+
+async function cmdRollback(positionals, flags) {
+  const sessionId = positionals[0];
+  if (!sessionId) {
+    const list = sessions();
+    output(flags, list, () => console.log(list.length ? list.join("\n") : "No sessions."));
+    return EXIT.ok;
+  }
+  const results = rollback(sessionId, { force: !!flags.force });
+  output(flags, { ok: results.every(r => r.ok), results }, () => {
+    for (const r of results) console.log(`${r.ok ? "↩️ restored" : "❌ failed"} ${r.path}${r.reason ? ` (${r.reason})` : ""}`);
+  });
+  return results.every(r => r.ok) ? EXIT.ok : EXIT.failed;
+}
+
+async function cmdUsage(positionals, flags) {
+  const sessionId = positionals[0];
+  const perModel = (totals) => Object.entries(totals.byModel).map(([model, m]) =>
+    `  ${model}: ${m.calls} call(s), ${m.totalTokens.toLocaleString("en-US")} tokens, ${usd(m.costUsd)}`);
+  if (sessionId) {
+    const report = usageReport(sessionId);
+    output(flags, report, () => {
+      console.log(`${report.id} (${report.kind}): ${formatUsage(report)}`);
+      for (const r of report.rounds) console.log(`  round ${r.round}: ${formatUsage(r)}`);
+      console.log(perModel(report).join("\n"));
+    });
+    return EXIT.ok;
+  }
+  const report = usageReport();
+  output(flags, report, () => {
+    if (!report.sessions.length) return console.log("No recorded sessions.");
+    for (const s of report.sessions) {
+      if (s.calls) console.log(`${s.id}  ${String(s.kind).padEnd(7)}  ${formatUsage(s)}${s.replayOf ? ` (replay of ${s.replayOf}, not counted)` : ""}`);
+    }
+    console.log(`Total: ${formatUsage(report.total)}`);
+    console.log(perModel(report.total).join("\n"));
+  });
+  return EXIT.ok;
+}
+
+async function cmdReplay(positionals, flags) {
+  const sessionId = positionals[0];
+  if (!sessionId) {
+    const list = transcripts();
+    output(flags, list, () => console.log(list.length ? list.join("\n") : "No recorded sessions."));
+    return EXIT.ok;
+  }
+  const report = await replaySession(sessionId, { restore: !!flags.restore, dryRun: !!flags["dry-run"] });
+  const { result, ...summary } = report;
+  output(flags, { ...summary, diff: result.diff, history: summarizeHistory(result.history || []) }, () => {
+    console.log(`Replayed ${report.kind} session ${sessionId} as ${report.sessionId}: ${report.ok ? "fixed" : "not fixed"} (recorded: ${report.recordedOk === null ? "unknown" : report.recordedOk ? "fixed" : "not fixed"})`);
+    for (const r of report.rounds) {
+      console.log(`  round ${r.round}: ${r.same ? "same error" : "different error"}${r.same ? "" : `\n    recorded: ${r.recorded}\n    replayed: ${r.replayed}`}`);
+    }
+    console.log(report.matches ? "✅ Replay matches the recorded session." : "⚠️ Replay diverged from the recorded session.");
+    if (result.diff && flags["dry-run"]) console.log(result.diff);
+  });
+  return report.matches ? EXIT.ok : EXIT.failed;
+}
+
+// Runs until Ctrl-C. Fixes are reviewed hunk by hunk when interactive, applied with
+// --yes, and only shown otherwise (see dryRunFor).
+async function cmdWatch(positionals, flags) {
+  const filePath = positionals[0];
+  if (filePath && !fs.existsSync(filePath)) throw new UsageError(`File ${path.resolve(filePath)} does not exist.`);
+  if (filePath && flags.test) throw new UsageError("watch takes a file or --test, not both");
+  const userInput = flags.context || flags["context-file"] ? (await readContext(flags)).trim() : "";
+
+  const watcher = await watch({
+    target: filePath && path.resolve(filePath),
+    testExportName: flags.export,
+    test: flags.test ? { command: flags.test, timeoutMs: toInt(flags.timeout, "--timeout") } : undefined,
+    maxRounds: toInt(flags.rounds, "--rounds"),
+    candidates: toInt(flags.candidates, "--candidates"),
+    extraContext: userInput ? `User-reported errors and instructions: ${userInput}\n` : "",
+    dryRun: dryRunFor(flags),
+    review: isInteractive(flags) ? reviewChangeset : undefined,
+    onEvent: flags.json ? (event) => process.stdout.write(JSON.stringify(event) + "\n") : undefined,
+  });
+  await new Promise(resolve => process.once("SIGINT", resolve));
+  console.error("\nStopping watch...");
+  await watcher.close();
+  closePrompt();
+  return EXIT.ok;
+}
+
+async function cmdServe(positionals, flags) {
+  const host = flags.host || "127.0.0.1";
+  const token = flags.token || process.env.LLM_FIXER_SERVER_TOKEN;
+  const port = flags.port === "0" ? 0 : toInt(flags.port, "--port") ?? 7077;
+  const server = await startServer({ host, port, token });
+  const { port: actual } = server.address();
+  console.error(`Serving ${getConfig().root} on http://${host.includes(":") ? `[${host}]` : host}:${actual}/rpc, Ctrl-C to stop`);
+  if (server.tokenFile) console.error(`Bearer token in ${path.relative(process.cwd(), server.tokenFile) || server.tokenFile}`);
+  await new Promise(resolve => process.once("SIGINT", resolve));
+  await new Promise(resolve => server.close(resolve));
+  return EXIT.ok;
+}
+
+function cmdConfig(positionals, flags) {
+  const { sources, ...cfg } = getConfig();
+  output(flags, { ...cfg, sources }, () => {
+    console.log(`Config file: ${cfg.configFile || "(none)"}`);
+    for (const [key, value] of Object.entries(cfg)) {
+      if (key === "configFile") continue;
+      console.log(`  ${key.padEnd(16)} ${JSON.stringify(value)}${sources[key] && sources[key] !== "default" ? `  [${sources[key]}]` : ""}`);
+    }
+  });
+  return EXIT.ok;
+}
+
+// --max-tokens / --max-cost on top of the configured budget
+function budgetFlags(flags) {
+  const budget = {};
+  if (flags["max-tokens"] !== undefined) budget.tokens = toInt(flags["max-tokens"], "--max-tokens");
+  if (flags["max-cost"] !== undefined) budget.costUsd = toAmount(flags["max-cost"], "--max-cost");
+  return Object.keys(budget).length ? budget : undefined;
+}
+
+const COMMANDS = { fix: cmdFix, repro: cmdRepro, scan: cmdScan, index: cmdIndex, search: cmdSearch, apply: cmdApply, queue: cmdQueue, rollback: cmdRollback, replay: cmdReplay, usage: cmdUsage, watch: cmdWatch, serve: cmdServe, config: cmdConfig };
+
+async function runCli() {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: process.argv.slice(2), options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values: flags, positionals } = parsed;
+  if (flags.help || !positionals.length) {
+    console.log(USAGE);
+    return flags.help ? EXIT.ok : EXIT.usage;
+  }
+  // keep stdout clean for the JSON result
+  if (flags.json) console.log = (...args) => console.error(...args);
+
+  if (flags.config && !fs.existsSync(flags.config)) throw new UsageError(`config file ${flags.config} does not exist`);
+  await configure({
+    root: flags.root,
+    configFile: flags.config,
+    fixModel: flags["fix-model"],
+    embeddingModel: flags["embedding-model"],
+    budget: budgetFlags(flags),
+  });
+
+  const [name, ...rest] = positionals;
+  const command = COMMANDS[name];
+  // bare file path: `node cli.js test.js`
+  if (!command) return cmdFix(positionals, flags);
+  return command(rest, flags);
+}
+
+runCli()
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    closePrompt();
+    if (err instanceof UsageError) {
+      console.error(`Error: ${err.message}\n\n${USAGE}`);
+      process.exitCode = EXIT.usage;
+    } else {
+      console.error("CLI error:", err.message);
+      process.exitCode = EXIT.error;
+    }
+  });
@@ -0,0 +1,216 @@
+// lib/ast-edits.js — edit strategies that target AST nodes instead of line numbers
+//   replace_function { name, new_text }            function / method / const-arrow by name ("Class.method" allowed)
+//   insert_import    { source, specifiers, default, namespace }
+//   rename_symbol    { from, to, line? }           a binding and all of its references
+//   replace_node     { node_path, new_text }       e.g. "program.body.3.declarations.0.init"
+// Nodes are located with parseAst() and replaced by character offsets, so the rest
+// of the file keeps its exact formatting.
+
+import * as recast from "recast";
+import { parseAst, parseError, nodeLines, lineStartsOf } from "./chunker.js";
+
+const n = recast.types.namedTypes;
+
+export const AST_STRATEGIES = ["replace_function", "insert_import", "rename_symbol", "replace_node"];
+
+function requireAst(code, filePath) {
+  const ast = parseAst(code, filePath);
+  if (!ast) throw new Error(`cannot parse ${filePath} before editing: ${parseError(code, filePath) || "unknown error"}`);
+  return ast;
+}
+
+function splice(code, start, end, text) {
+  return code.slice(0, start) + text + code.slice(end);
+}
+
+function requireString(e, field) {
+  if (typeof e[field] !== "string" || !e[field]) throw new Error(`missing ${field} for ${e.strategy}`);
+}
+
+// ------------ replace_function ------------
+function isFunctionNode(node) {
+  return n.Function.check(node);
+}
+
+// Definition nodes named `name`, with the node whose text should be replaced
+function findFunctionTargets(ast, name) {
+  const [owner, member] = name.includes(".") ? name.split(".") : [null, name];
+  const found = [];
+  recast.types.visit(ast, {
+    visitFunctionDeclaration(p) {
+      if (!owner && p.node.id?.name === member) found.push(p);
+      this.traverse(p);
+    },
+    visitVariableDeclarator(p) {
+      if (!owner && p.node.id?.name === member && isFunctionNode(p.node.init)) {
+        // replace the whole `const x = () => {}` statement when it declares only this name
+        const decl = p.parent;
+        found.push(decl.node.declarations.length === 1 ? decl : p);
+      }
+      this.traverse(p);
+    },
+    visitClassMethod(p) {
+      const cls = p.parent?.parent?.node;
+      if (p.node.key?.name === member && (!owner || cls?.id?.name === owner)) found.push(p);
+      this.traverse(p);
+    },
+    visitObjectMethod(p) {
+      if (!owner && p.node.key?.name === member) found.push(p);
+      this.traverse(p);
+    },
+  });
+  return found;
+}
+
+function replaceFunction(code, e, filePath) {
+  requireString(e, "name");
+  if (typeof e.new_text !== "string") throw new Error("missing new_text for replace_function");
+  const ast = requireAst(code, filePath);
+  const targets = findFunctionTargets(ast, e.name);
+  if (!targets.length) throw new Error(`function '${e.name}' not found in ${filePath}`);
+  if (targets.length > 1) throw new Error(`function name '${e.name}' is ambiguous in ${filePath} (${targets.length} definitions)`);
+
+  let target = targets[0];
+  // new_text that repeats `export` replaces the export statement too
+  const parent = target.parent?.node;
+  if (/^\s*export\b/.test(e.new_text) && (n.ExportNamedDeclaration.check(parent) || n.ExportDefaultDeclaration.check(parent))) {
+    target = target.parent;
+  }
+  return splice(code, target.node.start, target.node.end, e.new_text.trim());
+}
+
+// ------------ insert_import ------------
+function specifierText(spec) {
+  const imported = spec.imported?.name ?? spec.imported?.value;
+  return imported === spec.local.name ? imported : `${imported} as ${spec.local.name}`;
+}
+
+function importText(source, { def, ns, named }) {
+  const parts = [];
+  if (def) parts.push(def);
+  if (ns) parts.push(`* as ${ns}`);
+  if (named.length) parts.push(`{ ${named.join(", ")} }`);
+  return parts.length ? `import ${parts.join(", ")} from ${JSON.stringify(source)};` : `import ${JSON.stringify(source)};`;
+}
+
+function insertImport(code, e, filePath) {
+  requireString(e, "source");
+  const specifiers = e.specifiers || [];
+  if (!Array.isArray(specifiers) || specifiers.some(s => typeof s !== "string")) throw new Error("specifiers must be an array of strings");
+  const ast = requireAst(code, filePath);
+  const body = ast.program.body;
+  const imports = body.filter(s => n.ImportDeclaration.check(s));
+  const existing = imports.find(s => s.source.value === e.source && s.importKind !== "type");
+
+  if (existing) {
+    const def = existing.specifiers.find(s => n.ImportDefaultSpecifier.check(s))?.local.name;
+    const ns = existing.specifiers.find(s => n.ImportNamespaceSpecifier.check(s))?.local.name;
+    const named = existing.specifiers.filter(s => n.ImportSpecifier.check(s)).map(specifierText);
+    const wanted = specifiers.map(s => s.trim()).filter(s => !named.includes(s));
+    if (e.default && def && def !== e.default) throw new Error(`'${e.source}' is already imported as default '${def}'`);
+    if (e.namespace && (ns || named.length + wanted.length)) throw new Error(`cannot add a namespace import to the existing import of '${e.source}'`);
+    if (!wanted.length && (!e.default || def)) return code; // already imported
+    if (ns && wanted.length) throw new Error(`'${e.source}' is imported as a namespace; named specifiers cannot be merged`);
+    return splice(code, existing.start, existing.end, importText(e.source, { def: def || e.default, ns, named: [...named, ...wanted] }));
+  }
+
+  const text = importText(e.source, { def: e.default, ns: e.namespace, named: specifiers });
+  const last = imports[imports.length - 1];
+  if (last) return splice(code, last.end, last.end, `\n${text}`);
+  // after a shebang / directive prologue, else at the very top
+  const directives = ast.program.directives || [];
+  const after = directives.length ? directives[directives.length - 1].end : (code.startsWith("#!") ? code.indexOf("\n") : -1);
+  return after >= 0 ? splice(code, after, after, `\n${text}`) : `${text}\n${code}`;
+}
+
+// ------------ rename_symbol ------------
+// Is this Identifier path a reference/binding (not a property name or label)?
+export function isBindingOrReference(p) {
+  const parent = p.parent?.node;
+  const name = p.name;
+  if (!parent) return true;
+  if ((n.MemberExpression.check(parent) || n.OptionalMemberExpression?.check(parent)) && name === "property" && !parent.computed) return false;
+  if ((n.Property.check(parent) || n.ObjectProperty?.check(parent)) && name === "key" && !parent.computed && !parent.shorthand) return false;
+  if ((n.MethodDefinition.check(parent) || n.ClassMethod?.check(parent) || n.ObjectMethod?.check(parent) ||
+       n.ClassProperty?.check(parent) || n.ClassPrivateProperty?.check(parent)) && name === "key" && !parent.computed) return false;
+  if ((n.LabeledStatement.check(parent) || n.BreakStatement.check(parent) || n.ContinueStatement.check(parent)) && name === "label") return false;
+  if (n.ImportSpecifier.check(parent) && name === "imported") return false;
+  if (n.ExportSpecifier.check(parent) && name === "exported") return false;
+  return true;
+}
+
+function renameSymbol(code, e, filePath) {
+  requireString(e, "from");
+  requireString(e, "to");
+  if (!/^[A-Za-z_$][\w$]*$/.test(e.to)) throw new Error(`'${e.to}' is not a valid identifier`);
+  const ast = requireAst(code, filePath);
+  const lineStarts = lineStartsOf(code);
+
+  // Scopes that declare `from` (optionally the one declared on/around `line`)
+  const hits = [];
+  recast.types.visit(ast, {
+    visitIdentifier(p) {
+      if (p.node.name === e.from && isBindingOrReference(p)) {
+        const scope = p.scope?.lookup(e.from) || null;
+        hits.push({ p, scope });
+      }
+      this.traverse(p);
+    },
+  });
+  const scopes = [...new Set(hits.map(h => h.scope).filter(Boolean))];
+  if (!scopes.length) throw new Error(`no binding named '${e.from}' in ${filePath}`);
+
+  let scope = scopes[0];
+  if (scopes.length > 1) {
+    if (!e.line) throw new Error(`'${e.from}' is bound in ${scopes.length} scopes in ${filePath}; give 'line' to pick one`);
+    const onLine = hits.find(h => h.scope && nodeLines(h.p.node, lineStarts)?.start === e.line);
+    if (!onLine) throw new Error(`no '${e.from}' on line ${e.line} of ${filePath}`);
+    scope = onLine.scope;
+  }
+  if (scope.declares(e.to)) throw new Error(`'${e.to}' is already declared in that scope`);
+
+  // Apply back to front so offsets stay valid
+  const edits = hits.filter(h => h.scope === scope).map(({ p }) => {
+    const parent = p.parent.node;
+    let text = e.to;
+    if ((n.Property.check(parent) || n.ObjectProperty?.check(parent)) && parent.shorthand) {
+      if (p.name === "key") return null; // the value identifier of a shorthand is renamed instead
+      text = `${e.from}: ${e.to}`;
+    } else if (n.ExportSpecifier.check(parent) && parent.exported?.name === parent.local?.name) {
+      text = `${e.to} as ${e.from}`; // keep the public name
+    } else if (n.ImportSpecifier.check(parent) && (parent.imported?.name === parent.local?.name)) {
+      text = `${e.from} as ${e.to}`;
+    }
+    return { start: p.node.start, end: p.node.start + e.from.length, text };
+  }).filter(Boolean);
+
+  const unique = [...new Map(edits.map(x => [x.start, x])).values()].sort((a, b) => b.start - a.start);
+  let out = code;
+  for (const x of unique) out = splice(out, x.start, x.end, x.text);
+  return out;
+}
+
+// ------------ replace_node ------------
+function replaceNode(code, e, filePath) {
+  requireString(e, "node_path");
+  if (typeof e.new_text !== "string") throw new Error("missing new_text for replace_node");
+  const ast = requireAst(code, filePath);
+  let node = ast;
+  for (const key of e.node_path.split(".")) {
+    node = node?.[/^\d+$/.test(key) ? Number(key) : key];
+    if (node == null) throw new Error(`node_path '${e.node_path}' not found (stopped at '${key}')`);
+  }
+  if (typeof node.type !== "string" || typeof node.start !== "number") throw new Error(`node_path '${e.node_path}' does not point at a node`);
+  return splice(code, node.start, node.end, e.new_text);
+}
+
+export function applyAstEdit(code, e, filePath) {
+  if (code == null) throw new Error(`${e.strategy} on a file that does not exist`);
+  switch (e.strategy) {
+    case "replace_function": return replaceFunction(code, e, filePath);
+    case "insert_import": return insertImport(code, e, filePath);
+    case "rename_symbol": return renameSymbol(code, e, filePath);
+    case "replace_node": return replaceNode(code, e, filePath);
+    default: throw new Error("unknown strategy");
+  }
+}
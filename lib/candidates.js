@@ -0,0 +1,109 @@
+// lib/candidates.js — score and rank alternative fixes
+// Each candidate is a planned change set validated in a scratch copy of the project
+// (lib/scratch.js). Ranking: passes first, then fewest regressions, fewest remaining
+// failures, smallest diff.
+
+import { planChangeset } from "./changeset.js";
+
+export function diffSize(changeset) {
+  let added = 0, removed = 0;
+  for (const f of changeset.files) {
+    for (const h of f.hunks) {
+      for (const line of h.lines) {
+        if (line[0] === "+") added++;
+        else if (line[0] === "-") removed++;
+      }
+    }
+  }
+  return { added, removed, lines: added + removed };
+}
+
+// validate(scratchDir, changeset) -> { pass, failing, regressed, detail }
+// Returns candidates [{ index, proposal, changeset, valid, score, reason, duplicateOf }]
+export async function evaluateCandidates(proposals, { root, scratch, validate, policy }) {
+  const out = [];
+  const seen = new Map(); // change set fingerprint -> candidate index
+  for (let i = 0; i < proposals.length; i++) {
+    const proposal = proposals[i];
+    const edits = proposal?.edits || [];
+    const changeset = planChangeset(edits, { root, policy });
+    const candidate = { index: i + 1, proposal, changeset, valid: false, size: diffSize(changeset), score: null, reason: "" };
+    out.push(candidate);
+
+    if (!edits.length || !changeset.files.length) {
+      candidate.reason = "no changes";
+      continue;
+    }
+    if (!changeset.ok) {
+      candidate.reason = changeset.results.find(r => !r.ok)?.reason || "invalid edits";
+      continue;
+    }
+    candidate.valid = true;
+
+    const key = changeset.files.map(f => `${f.relPath}\0${f.after}`).join("\0");
+    if (seen.has(key)) {
+      const first = out[seen.get(key)];
+      Object.assign(candidate, { score: first.score, reason: first.reason, duplicateOf: first.index });
+      continue;
+    }
+    seen.set(key, i);
+
+    if (!validate || !scratch) {
+      candidate.score = { pass: null, failing: 0, regressed: 0, detail: "not validated" };
+      continue;
+    }
+    const undo = scratch.apply(changeset);
+    try {
+      candidate.score = await validate(scratch.dir, changeset);
+    } catch (err) {
+      candidate.score = { pass: false, failing: Infinity, regressed: 0, detail: `validation failed: ${err?.message || String(err)}` };
+    } finally {
+      undo();
+    }
+    candidate.reason = candidate.score.detail || "";
+  }
+  return out;
+}
+
+function compare(a, b) {
+  if (a.valid !== b.valid) return a.valid ? -1 : 1;
+  if (!a.valid) return a.index - b.index;
+  const pa = a.score.pass ? 1 : 0, pb = b.score.pass ? 1 : 0;
+  if (pa !== pb) return pb - pa;
+  if (a.score.regressed !== b.score.regressed) return a.score.regressed - b.score.regressed;
+  if (a.score.failing !== b.score.failing) return a.score.failing - b.score.failing;
+  if (a.size.lines !== b.size.lines) return a.size.lines - b.size.lines;
+  return a.index - b.index;
+}
+
+export function rankCandidates(candidates) {
+  return [...candidates].sort(compare);
+}
+
+// One line per candidate, best first
+export function formatCandidates(ranked, selected) {
+  return ranked.map(c => {
+    const mark = c === selected ? "→" : " ";
+    if (!c.valid) return `${mark} #${c.index} ✖ invalid   ${c.reason}`;
+    const s = c.score;
+    const status = s.pass === null ? "? unchecked" : s.pass ? "✔ pass     " : "✖ fail     ";
+    return `${mark} #${c.index} ${status} regressed ${s.regressed}, failing ${s.failing === Infinity ? "?" : s.failing}, +${c.size.added}/-${c.size.removed}` +
+      `${c.duplicateOf ? ` (same as #${c.duplicateOf})` : ""}${s.detail ? ` — ${s.detail}` : ""}`;
+  }).join("\n");
+}
+
+// Scores without the change sets, for history / transcripts / JSON output
+export function summarizeCandidates(ranked, selected) {
+  return ranked.map(c => ({
+    index: c.index,
+    selected: c === selected,
+    valid: c.valid,
+    pass: c.score?.pass ?? null,
+    regressed: c.score?.regressed ?? null,
+    failing: c.score && Number.isFinite(c.score.failing) ? c.score.failing : null,
+    added: c.size.added,
+    removed: c.size.removed,
+    duplicateOf: c.duplicateOf,
+    detail: c.reason,
+  }));
+}
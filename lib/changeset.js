@@ -0,0 +1,292 @@
+// lib/changeset.js — transactional edit application
+// Edits are first planned in memory into a change set (before/after content +
+// diff hunks per file), optionally reviewed hunk by hunk, then written
+// all-or-nothing. The original content of every touched file is kept in a
+// session manifest under <root>/.llm-fixer/sessions/<id>/ so a whole fix
+// session can be rolled back.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { sha1, readText, writeText, outsideRoot } from "./util.js";
+import { splitLines, eolOf, withEol, buildHunks, formatFileDiff, applyHunks } from "./diff.js";
+import { parseError } from "./chunker.js";
+import { AST_STRATEGIES, applyAstEdit } from "./ast-edits.js";
+import { STATE_DIR } from "./config.js";
+
+const PARSEABLE_EXTS = [".js", ".mjs", ".cjs", ".jsx", ".ts", ".mts", ".cts", ".tsx"];
+
+export function sessionsDir(root) {
+  return path.join(root, STATE_DIR, "sessions");
+}
+
+// Session ids name directories, so they are limited to the characters newSessionId() uses
+export function isSessionId(id) {
+  return typeof id === "string" && /^[\w-]+$/.test(id);
+}
+
+// <root>/.llm-fixer/sessions/<id>
+export function sessionDir(root, sessionId) {
+  if (!isSessionId(sessionId)) throw new Error(`invalid session id ${sessionId}`);
+  return path.join(sessionsDir(root), sessionId);
+}
+
+export function sessionFile(root, sessionId, name) {
+  return path.join(sessionDir(root, sessionId), name);
+}
+
+// Copy a session's manifest and transcript to another root, e.g. out of a worktree
+// that is about to be removed
+export function copySession(fromRoot, toRoot, sessionId) {
+  const from = sessionDir(fromRoot, sessionId);
+  if (fs.existsSync(from)) fs.cpSync(from, sessionDir(toRoot, sessionId), { recursive: true });
+}
+
+export function newSessionId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function resolveEditPath(root, p) {
+  return path.isAbsolute(p) ? p : path.join(root, p);
+}
+
+// Edits may only touch files under root, also through symlinks
+function escapesRoot(root, abs) {
+  if (outsideRoot(root, abs)) return true;
+  let existing = abs;
+  while (!fs.existsSync(existing)) existing = path.dirname(existing);
+  const real = fs.realpathSync(existing);
+  const realRoot = fs.realpathSync(root);
+  return real !== realRoot && !real.startsWith(realRoot + path.sep);
+}
+
+// Line numbers drift between rounds, so out-of-range edits are rejected rather than
+// clamped, and an optional `old_text` must match (or be found once elsewhere).
+function applyReplaceRange(content, e) {
+  const lines = content.split(/\r?\n/);
+  let start = e.startLine, end = e.endLine;
+  if (typeof e.old_text === "string") {
+    const want = e.old_text.split(/\r?\n/);
+    const matchesAt = (at) => want.every((l, i) => (lines[at - 1 + i] ?? "").trim() === l.trim());
+    if (!matchesAt(start)) {
+      const found = [];
+      for (let at = 1; at + want.length - 1 <= lines.length; at++) if (matchesAt(at)) found.push(at);
+      if (found.length !== 1) throw new Error(`old_text not found at lines ${start}-${end}${found.length ? ` (found ${found.length} matches elsewhere)` : ""}`);
+      start = found[0];
+    }
+    end = start + want.length - 1;
+  }
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start || end > lines.length) {
+    throw new Error(`line range ${start}-${end} is outside the file (1-${lines.length})`);
+  }
+  const before = lines.slice(0, start - 1);
+  const after = lines.slice(end);
+  return [...before, ...e.new_text.split(/\r?\n/), ...after].join(eolOf(content));
+}
+
+function applyOne(content, e, abs) {
+  if (e.strategy === "replace_range") {
+    if (typeof e.new_text !== "string" || !e.startLine || !e.endLine) throw new Error("missing fields for replace_range");
+    if (content == null) throw new Error("replace_range on a file that does not exist");
+    return applyReplaceRange(content, e);
+  }
+  if (e.strategy === "replace_file") {
+    if (typeof e.new_content !== "string") throw new Error("missing new_content");
+    return e.new_content;
+  }
+  if (AST_STRATEGIES.includes(e.strategy)) return applyAstEdit(content, e, abs);
+  throw new Error("unknown strategy");
+}
+
+function unparseable(file) {
+  if (!PARSEABLE_EXTS.includes(path.extname(file.path).toLowerCase())) return null;
+  return parseError(file.after, file.path);
+}
+
+function withHunks(file) {
+  file.hunks = buildHunks(splitLines(file.before), splitLines(file.after));
+  return file;
+}
+
+// Plan edits without touching disk. Several edits to one file are composed in order.
+// policy(changeset) -> [{ path, rule, reason }] (lib/policy.js) fails the edits it flags.
+// Returns { files: [{ path, relPath, existed, before, after, strategies, hunks }], results, ok }
+export function planChangeset(edits, { root, policy }) {
+  const files = new Map();
+  const results = [];
+
+  for (const e of (edits || [])) {
+    const abs = resolveEditPath(root, e?.path || "");
+    try {
+      if (!e?.path) throw new Error("missing path");
+      if (escapesRoot(root, abs)) throw new Error(`path ${e.path} is outside the project root`);
+      let file = files.get(abs);
+      if (!file) {
+        const existed = fs.existsSync(abs);
+        const before = existed ? readText(abs) : null;
+        file = { path: abs, relPath: path.relative(root, abs), existed, before, after: before, strategies: [] };
+      }
+      // Keep a CRLF file CRLF whatever line endings the edit itself uses
+      const next = applyOne(file.after, e, abs);
+      file.after = file.before == null ? next : withEol(next, eolOf(file.before));
+      file.strategies.push(e.strategy);
+      files.set(abs, file);
+      results.push({ path: abs, ok: true, strategy: e.strategy });
+    } catch (err) {
+      results.push({ path: abs, ok: false, reason: err?.message || String(err) });
+    }
+  }
+
+  // Every edited source file must still parse before anything is written
+  for (const f of files.values()) {
+    const err = unparseable(f);
+    if (!err) continue;
+    for (const r of results) {
+      if (r.path === f.path && r.ok) Object.assign(r, { ok: false, reason: `edit leaves ${f.relPath} unparseable: ${err}` });
+    }
+  }
+
+  const planned = [...files.values()].map(withHunks).filter(f => !f.existed || f.hunks.length);
+  for (const v of policy ? policy({ files: planned }) : []) {
+    for (const r of results) {
+      if (r.path === v.path && r.ok) Object.assign(r, { ok: false, policy: v.rule, reason: `policy (${v.rule}): ${v.reason}` });
+    }
+  }
+  return { files: planned, results, ok: results.every(r => r.ok) };
+}
+
+export function formatChangeset(changeset) {
+  return changeset.files
+    .map(f => formatFileDiff(f.relPath, f.hunks, { existed: f.existed }))
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Keep only the hunks `decide(file, hunk, index)` accepts. Async so the CLI can prompt.
+export async function selectHunks(changeset, decide) {
+  const files = [];
+  for (const f of changeset.files) {
+    const accepted = new Set();
+    for (let i = 0; i < f.hunks.length; i++) {
+      if (await decide(f, f.hunks[i], i)) accepted.add(i);
+    }
+    if (!accepted.size) continue;
+    if (accepted.size === f.hunks.length) { files.push(f); continue; }
+    const after = applyHunks(splitLines(f.before), f.hunks, accepted).join(eolOf(f.before));
+    files.push(withHunks({ ...f, after }));
+  }
+  return { ...changeset, files };
+}
+
+// A subset of hunks is content nobody checked, so a reviewed change set goes through
+// the parse check and the policy again. Returns { changeset, rejected }: the files that
+// still pass, and a failed result for each file dropped.
+export function recheckChangeset(changeset, { policy }) {
+  const failed = new Map();
+  for (const f of changeset.files) {
+    const err = unparseable(f);
+    if (err) failed.set(f.path, { reason: `reviewed hunks leave ${f.relPath} unparseable: ${err}` });
+  }
+  for (const v of policy ? policy({ files: changeset.files }) : []) {
+    if (!failed.has(v.path)) failed.set(v.path, { policy: v.rule, reason: `policy (${v.rule}): ${v.reason}` });
+  }
+  return {
+    changeset: { ...changeset, files: changeset.files.filter(f => !failed.has(f.path)) },
+    rejected: [...failed].map(([p, r]) => ({ path: p, ok: false, ...r })),
+  };
+}
+
+// ------------ Session manifests ------------
+function manifestPath(root, sessionId) {
+  return sessionFile(root, sessionId, "manifest.json");
+}
+
+export function loadManifest(root, sessionId) {
+  const p = manifestPath(root, sessionId);
+  if (!fs.existsSync(p)) return null;
+  return JSON.parse(readText(p));
+}
+
+function saveManifest(root, manifest) {
+  writeText(manifestPath(root, manifest.id), JSON.stringify(manifest, null, 2));
+}
+
+export function listSessions(root) {
+  const dir = sessionsDir(root);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(id => isSessionId(id) && fs.existsSync(manifestPath(root, id))).sort();
+}
+
+// Write every file in the change set, or none of them.
+export function commitChangeset(changeset, { root, sessionId }) {
+  const manifest = loadManifest(root, sessionId) || { id: sessionId, createdAt: Date.now(), root, files: {}, applies: [] };
+
+  // Record originals before the first write of each file in this session
+  for (const f of changeset.files) {
+    if (!manifest.files[f.relPath]) manifest.files[f.relPath] = { existed: f.existed, content: f.before };
+  }
+  manifest.applies.push({ at: Date.now(), files: changeset.files.map(f => f.relPath) });
+  saveManifest(root, manifest);
+
+  const written = [];
+  try {
+    for (const f of changeset.files) {
+      writeText(f.path, f.after);
+      written.push(f);
+    }
+  } catch (err) {
+    for (const f of written) restoreFile(f.path, f.existed, f.before);
+    manifest.applies.pop();
+    saveManifest(root, manifest);
+    const reason = `changeset rolled back: ${err?.message || String(err)}`;
+    return changeset.files.map(f => ({ path: f.path, ok: false, reason }));
+  }
+  // Hash of what the session last wrote, so a rollback can tell if the file changed since
+  for (const f of changeset.files) manifest.files[f.relPath].hash = sha1(f.after);
+  saveManifest(root, manifest);
+  return changeset.files.map(f => ({ path: f.path, ok: true, strategy: f.strategies.join(",") }));
+}
+
+function currentHash(abs) {
+  return fs.existsSync(abs) ? sha1(readText(abs)) : null;
+}
+
+function restoreFile(abs, existed, content) {
+  if (existed) writeText(abs, content);
+  else if (fs.existsSync(abs)) fs.unlinkSync(abs);
+}
+
+// Restore every file touched in the session to its pre-session state. A file edited
+// after the session last wrote it would lose those edits, so then nothing is restored
+// unless options.force is set.
+export function rollbackSession(root, sessionId, options = {}) {
+  const manifest = loadManifest(root, sessionId);
+  if (!manifest) throw new Error(`no session manifest for ${sessionId}`);
+  // a session copied out of a git worktree restores the worktree while it exists; the
+  // manifest is still marked rolled back under the caller's root
+  const target = manifest.root && manifest.root !== root && fs.existsSync(manifest.root) ? manifest.root : root;
+  const changed = new Set(Object.entries(manifest.files)
+    .filter(([rel, orig]) => orig.hash && currentHash(path.join(target, rel)) !== orig.hash)
+    .map(([rel]) => rel));
+  if (changed.size && !options.force) {
+    return Object.keys(manifest.files).map(rel => ({
+      path: path.join(target, rel),
+      ok: false,
+      reason: changed.has(rel) ? "changed since the session wrote it (force to overwrite)" : "not restored: other files changed since the session",
+    }));
+  }
+  const results = [];
+  for (const [rel, orig] of Object.entries(manifest.files)) {
+    const abs = path.join(target, rel);
+    try {
+      restoreFile(abs, orig.existed, orig.content);
+      results.push({ path: abs, ok: true });
+    } catch (err) {
+      results.push({ path: abs, ok: false, reason: err?.message || String(err) });
+    }
+  }
+  manifest.rolledBackAt = Date.now();
+  saveManifest(root, manifest);
+  return results;
+}
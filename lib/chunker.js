@@ -0,0 +1,233 @@
+// lib/chunker.js — parse source with recast/babel and split it into function-level chunks
+
+import path from "path";
+import * as recast from "recast";
+import babelParser from "@babel/parser";
+import { sha1 } from "./util.js";
+
+// .ts can't enable jsx (angle-bracket casts); everything else gets both
+function babelOptions(filePath) {
+  const ext = path.extname(filePath || "").toLowerCase();
+  const plugins = ext === ".ts" || ext === ".mts" || ext === ".cts"
+    ? ["typescript", "classProperties", "decorators-legacy"]
+    : ["jsx", "typescript", "classProperties", "decorators-legacy"];
+  return {
+    sourceType: "module",
+    tokens: true, // recast needs the token list to attach locations
+    plugins,
+  };
+}
+
+export function parseAst(code, filePath) {
+  try {
+    return recast.parse(code, {
+      parser: {
+        parse(source) {
+          return babelParser.parse(source, babelOptions(filePath));
+        },
+      },
+    });
+  } catch (err) {
+    // Return null when parse fails (we'll fallback to file chunking)
+    return null;
+  }
+}
+
+// { message, line, column } (1-based) for code that does not parse, else null
+export function parseErrorInfo(code, filePath) {
+  try {
+    babelParser.parse(code, babelOptions(filePath));
+    return null;
+  } catch (err) {
+    return {
+      message: (err?.message || String(err)).replace(/\s*\(\d+:\d+\)$/, ""),
+      line: err?.loc?.line ?? null,
+      column: err?.loc ? err.loc.column + 1 : null,
+    };
+  }
+}
+
+// Parse error message (with position) for code that does not parse, else null
+export function parseError(code, filePath) {
+  const info = parseErrorInfo(code, filePath);
+  if (!info) return null;
+  return `${info.message}${info.line ? ` (${info.line}:${info.column})` : ""}`;
+}
+
+// 1-based line number of a character offset
+function lineOf(lineStarts, offset) {
+  let lo = 0, hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+  }
+  return lo + 1;
+}
+
+// Start/end lines of a node. recast drops `loc` from some nodes (e.g. exported
+// declarations), so fall back to babel's character offsets.
+export function nodeLines(node, lineStarts) {
+  if (node.loc) return { start: node.loc.start.line, end: node.loc.end.line };
+  if (typeof node.start === "number" && typeof node.end === "number") {
+    return { start: lineOf(lineStarts, node.start), end: lineOf(lineStarts, Math.max(node.start, node.end - 1)) };
+  }
+  return null;
+}
+
+export function lineStartsOf(code) {
+  const starts = [0];
+  for (let i = 0; i < code.length; i++) if (code[i] === "\n") starts.push(i + 1);
+  return starts;
+}
+
+// Callee names of the calls inside a function, including inline callbacks but not
+// nested function declarations: "fn", "ns.fn", "this.fn", or ".fn" for a method on
+// any other object
+function calleeName(callee) {
+  if (callee.type === "Identifier") return callee.name;
+  if (callee.type !== "MemberExpression" || callee.computed || callee.property.type !== "Identifier") return null;
+  const obj = callee.object;
+  if (obj.type === "Identifier") return `${obj.name}.${callee.property.name}`;
+  if (obj.type === "ThisExpression") return `this.${callee.property.name}`;
+  return `.${callee.property.name}`;
+}
+
+// range: { start, end } lines, to keep only the calls of one part of a split function
+function functionCalls(fnNode, lineStarts, range) {
+  const calls = new Set();
+  const visitCall = function (p) {
+    const name = calleeName(p.node.callee);
+    const at = range && nodeLines(p.node, lineStarts);
+    if (name && (!range || (at && at.start >= range.start && at.start <= range.end))) calls.add(name);
+    this.traverse(p);
+  };
+  recast.types.visit(fnNode.body, {
+    visitFunctionDeclaration() { return false; },
+    visitCallExpression: visitCall,
+    visitNewExpression: visitCall,
+  });
+  return [...calls];
+}
+
+// Identifier names under a node, property names included (so `obj.foo` gives "foo"),
+// for the lexical index (lib/lexical.js); range as for functionCalls
+function identifierNames(node, lineStarts, range) {
+  const names = new Set();
+  recast.types.visit(node, {
+    visitIdentifier(p) {
+      const at = range && nodeLines(p.node, lineStarts);
+      if (!range || (at && at.start >= range.start && at.start <= range.end)) names.add(p.node.name);
+      this.traverse(p);
+    },
+  });
+  return [...names];
+}
+
+// Line ranges of at most maxLen chars covering start..end (1-based, inclusive). Parts end
+// on one of `cuts` (lines where a statement ends) when one fits, otherwise between
+// lines; only a single line longer than maxLen is cut inside the line.
+export function splitLines(lines, start, end, cuts, maxLen) {
+  const textOf = (s, e) => lines.slice(s - 1, e).join("\n");
+  const whole = textOf(start, end);
+  if (whole.length <= maxLen) return [{ start, end, text: whole }];
+  const ends = [...new Set(cuts)].filter(l => l >= start && l < end).sort((a, b) => a - b);
+  const parts = [];
+  let s = start;
+  while (s <= end) {
+    // last line that still fits
+    let len = -1, fit = s - 1;
+    while (fit < end && len + 1 + lines[fit].length <= maxLen) len += 1 + lines[fit++].length;
+    const e = fit >= end ? end : fit < s ? s : ends.filter(l => l >= s && l <= fit).pop() ?? fit;
+    parts.push({ start: s, end: e, text: textOf(s, e).slice(0, maxLen) });
+    s = e + 1;
+  }
+  return parts;
+}
+
+// End lines of every statement and declaration at any depth: where a long piece of code
+// can be cut without splitting a statement. [] when the code does not parse on its own
+export function statementEndLines(code, filePath) {
+  let ast;
+  try {
+    ast = babelParser.parse(code, { ...babelOptions(filePath), tokens: false });
+  } catch {
+    return [];
+  }
+  const ends = new Set();
+  (function walk(node) {
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (!node || typeof node.type !== "string") return;
+    if (/(Statement|Declaration)$/.test(node.type) && node.loc) ends.add(node.loc.end.line);
+    for (const [key, value] of Object.entries(node)) if (key !== "loc" && value && typeof value === "object") walk(value);
+  })(ast.program);
+  return [...ends];
+}
+
+function statementEnds(statements, lineStarts) {
+  return (statements || []).map(st => nodeLines(st, lineStarts)?.end).filter(Boolean);
+}
+
+// Function chunks (kind "function"), or file chunks when there are none. Anything longer
+// than maxChunkLen is split on statement boundaries into parts ({ part, parts }).
+export function extractFunctionChunks(code, filePath, maxChunkLen = 3000) {
+  const ast = parseAst(code, filePath);
+  const chunks = [];
+
+  if (ast) {
+    try {
+      const lines = code.split(/\r?\n/);
+      const lineStarts = lineStartsOf(code);
+      recast.types.visit(ast, {
+        visitFunction(pathNode) {
+          const node = pathNode.node;
+          const loc = nodeLines(node, lineStarts);
+          if (!loc) {
+            this.traverse(pathNode);
+            return;
+          }
+          const name =
+            node.id?.name ||
+            node.key?.name ||
+            (pathNode.parent?.node?.key?.name) ||
+            (pathNode.parent?.node?.id?.name) ||
+            (node.type || "Function").toString();
+          const parts = splitLines(lines, loc.start, loc.end, statementEnds(node.body?.body, lineStarts), maxChunkLen);
+          parts.forEach((r, i) => chunks.push({
+            id: sha1(`${filePath}:${r.start}-${r.end}`),
+            filePath,
+            kind: "function",
+            name,
+            startLine: r.start,
+            endLine: r.end,
+            text: r.text,
+            ...(parts.length > 1 ? { part: i + 1, parts: parts.length } : {}),
+            calls: functionCalls(node, lineStarts, parts.length > 1 ? r : null), // for the call graph (lib/graph.js)
+            identifiers: identifierNames(node, lineStarts, parts.length > 1 ? r : null),
+          }));
+          this.traverse(pathNode);
+        },
+      });
+    } catch {
+      // fallthrough to file-level chunk below
+    }
+  }
+
+  // Fallback: file-level chunks if AST absent or no function chunks
+  if (chunks.length === 0) {
+    const lines = code.split(/\r?\n/);
+    const lineStarts = lineStartsOf(code);
+    const parts = splitLines(lines, 1, lines.length, ast ? statementEnds(ast.program.body, lineStarts) : [], maxChunkLen);
+    parts.forEach((r, i) => chunks.push({
+      id: sha1(`${filePath}:${r.start}-${r.end}`),
+      filePath,
+      kind: "file",
+      name: path.basename(filePath),
+      startLine: r.start,
+      endLine: r.end,
+      text: r.text,
+      ...(parts.length > 1 ? { part: i + 1, parts: parts.length } : {}),
+      ...(ast ? { identifiers: identifierNames(ast.program, lineStarts, parts.length > 1 ? r : null) } : {}),
+    }));
+  }
+  return chunks;
+}
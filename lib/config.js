@@ -0,0 +1,288 @@
+// lib/config.js — project configuration: defaults < config file < env < runtime overrides
+// The config file (.llmfixerrc, .llmfixerrc.json or llm-fixer.config.js) is found by
+// walking up from the working directory; its directory becomes the project root.
+// Without one, the root is the nearest directory holding .git or package.json.
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { globMatcher, gitignoreMatcher } from "./glob.js";
+
+export const CONFIG_FILES = [".llmfixerrc", ".llmfixerrc.json", "llm-fixer.config.js", "llm-fixer.config.mjs"];
+export const STATE_DIR = ".llm-fixer"; // index, sessions, ... — never indexed
+
+export const DEFAULTS = {
+  root: null,
+  indexFile: null, // default: <root>/.llm-fixer/vector_index.json
+  queueDir: null, // suggestions and crash reports from tryq()/help() modes; default: <root>/.llm-fixer/queue
+  includeExts: [".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx"],
+  include: [], // globs relative to root; empty means every file with an included extension
+  exclude: ["node_modules", ".git", STATE_DIR],
+  gitignore: true,
+  embeddingModel: "text-embedding-3-large", // "none": no embeddings, search is lexical only
+  fixModel: "gpt-4o",
+  topK: 10,
+  maxChunkLen: 3000, // chars per chunk
+  annMinRows: 5000, // vectors before search uses an HNSW graph instead of an exact scan (without faiss-node)
+  maxFrameChunks: 5, // stack-frame chunks always included in the prompt
+  graphContextTokens: 2000, // budget for callers, callees and imported definitions of the failing code
+  repairRetries: 2, // times invalid model output is sent back with its schema errors
+  promptTokens: { default: 16000 }, // prompt budget per fix model, e.g. { "gpt-4o-mini": 8000 }
+  budget: { tokens: 0, costUsd: 0, roundTokens: 0, roundCostUsd: 0 }, // model spend per session and per round; 0 means no limit
+  prices: {}, // USD per 1M tokens by model, added to lib/usage.js's, e.g. { "llama3": { input: 0, output: 0 } }
+  maxRounds: 5,
+  runTimeoutMs: 30000, // wall clock per sandboxed run
+  runMaxMemoryMb: 512, // V8 old-generation limit per sandboxed run
+  testTimeoutMs: 120000, // wall clock per test-suite run
+  typeCheck: true, // TypeScript targets must also pass tsc --noEmit
+  globals: [], // extra global names for the undefined-identifier check in `scan`
+  candidates: 1, // fixes generated per round; above 1 each is validated in a scratch copy and the best applied
+  candidateTemperature: 0.8, // sampling temperature for every candidate after the first
+  inlineRateLimit: 10, // model calls tryq()/help() may make per inlineRateWindowMs outside the fix loops
+  inlineRateWindowMs: 3600000,
+  watchTarget: null, // file `watch` runs when no file or --test is given
+  watchTest: null, // test command `watch` runs instead of a target
+  watchDebounceMs: 200, // quiet time after the last change before `watch` re-checks
+  provider: {}, // { provider, baseURL, apiKey, jsonMode, fixturesFile, recordFile }
+  policy: { // checked for every change set before it is written (lib/policy.js)
+    allow: [], // globs edits may touch; empty means anywhere under root
+    deny: [], // globs edits may never touch
+    protected: ["package.json", "package-lock.json", "npm-shrinkwrap.json", "yarn.lock", "pnpm-lock.yaml", "bun.lockb", ".env", ".env.*", "*.env", ".git", "node_modules"],
+    maxLinesChanged: 200, // added + removed lines per existing file; 0 means no limit
+    newFiles: true, // edits may create files
+    replaceFile: true, // replace_file may rewrite an existing file
+    protectExports: true, // no removing exports that other project files import
+  },
+};
+
+const POLICY_KEYS = {
+  allow: "globs", deny: "globs", protected: "globs", maxLinesChanged: "number", newFiles: "boolean", replaceFile: "boolean", protectExports: "boolean",
+};
+
+const BUDGET_KEYS = ["tokens", "costUsd", "roundTokens", "roundCostUsd"];
+
+const NUMBER_KEYS = ["topK", "maxChunkLen", "annMinRows", "maxFrameChunks", "graphContextTokens", "maxRounds", "runTimeoutMs", "runMaxMemoryMb", "testTimeoutMs", "candidates", "candidateTemperature", "inlineRateLimit", "inlineRateWindowMs", "watchDebounceMs"];
+
+function findUp(start, test) {
+  let dir = path.resolve(start);
+  while (true) {
+    const hit = test(dir);
+    if (hit) return hit;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+export function findConfigFile(cwd = process.cwd()) {
+  return findUp(cwd, dir => {
+    const name = CONFIG_FILES.find(f => fs.existsSync(path.join(dir, f)));
+    return name ? path.join(dir, name) : null;
+  });
+}
+
+export function findProjectRoot(cwd = process.cwd()) {
+  return findUp(cwd, dir => (fs.existsSync(path.join(dir, ".git")) || fs.existsSync(path.join(dir, "package.json")) ? dir : null))
+    || path.resolve(cwd);
+}
+
+async function readConfigFile(file) {
+  if (/\.m?js$/.test(file)) {
+    const mod = await import(`${pathToFileURL(file).href}?t=${fs.statSync(file).mtimeMs}`);
+    const value = mod.default ?? mod;
+    return typeof value === "function" ? await value() : value;
+  }
+  const text = fs.readFileSync(file, "utf-8");
+  try {
+    return text.trim() ? JSON.parse(text) : {};
+  } catch (err) {
+    throw new Error(`invalid JSON in ${file}: ${err.message}`);
+  }
+}
+
+function envLayer(env) {
+  const out = {};
+  if (env.LLM_FIXER_EMBEDDING_MODEL) out.embeddingModel = env.LLM_FIXER_EMBEDDING_MODEL;
+  if (env.LLM_FIXER_FIX_MODEL) out.fixModel = env.LLM_FIXER_FIX_MODEL;
+  const provider = {};
+  if (env.LLM_FIXER_PROVIDER) provider.provider = env.LLM_FIXER_PROVIDER;
+  if (env.LLM_FIXER_BASE_URL) provider.baseURL = env.LLM_FIXER_BASE_URL;
+  if (env.LLM_FIXER_API_KEY) provider.apiKey = env.LLM_FIXER_API_KEY;
+  if (env.LLM_FIXER_JSON_MODE) provider.jsonMode = env.LLM_FIXER_JSON_MODE !== "0";
+  if (env.LLM_FIXER_FIXTURES) provider.fixturesFile = env.LLM_FIXER_FIXTURES;
+  if (env.LLM_FIXER_RECORD) provider.recordFile = env.LLM_FIXER_RECORD;
+  if (Object.keys(provider).length) out.provider = provider;
+  return out;
+}
+
+function validate(cfg, source) {
+  for (const key of Object.keys(cfg)) {
+    if (!(key in DEFAULTS)) throw new Error(`unknown config key '${key}' in ${source}`);
+  }
+  for (const key of NUMBER_KEYS) {
+    if (cfg[key] !== undefined && !(Number.isFinite(cfg[key]) && cfg[key] > 0)) throw new Error(`'${key}' must be a positive number in ${source}`);
+  }
+  if (cfg.policy !== undefined) validatePolicy(cfg.policy, source);
+  if (cfg.repairRetries !== undefined && !(Number.isInteger(cfg.repairRetries) && cfg.repairRetries >= 0)) {
+    throw new Error(`'repairRetries' must be an integer >= 0 in ${source}`);
+  }
+  if (cfg.promptTokens !== undefined) {
+    const v = cfg.promptTokens;
+    if (!v || typeof v !== "object" || Array.isArray(v) || !Object.values(v).every(n => Number.isFinite(n) && n > 0)) {
+      throw new Error(`'promptTokens' must be an object of positive numbers (by model, or "default") in ${source}`);
+    }
+  }
+  if (cfg.budget !== undefined) {
+    const v = cfg.budget;
+    if (!v || typeof v !== "object" || Array.isArray(v)) throw new Error(`'budget' must be an object in ${source}`);
+    for (const [key, n] of Object.entries(v)) {
+      if (!BUDGET_KEYS.includes(key)) throw new Error(`unknown budget key '${key}' in ${source}`);
+      if (!(Number.isFinite(n) && n >= 0)) throw new Error(`'budget.${key}' must be a number >= 0 in ${source}`);
+    }
+  }
+  if (cfg.prices !== undefined) {
+    const v = cfg.prices;
+    const isPrice = (p) => p && typeof p === "object" && Object.entries(p).every(([k, n]) => ["input", "output"].includes(k) && Number.isFinite(n) && n >= 0);
+    if (!v || typeof v !== "object" || Array.isArray(v) || !Object.values(v).every(isPrice)) {
+      throw new Error(`'prices' must map model names to { input, output } (USD per 1M tokens, >= 0) in ${source}`);
+    }
+  }
+  for (const key of ["queueDir", "watchTarget", "watchTest"]) {
+    if (cfg[key] !== undefined && cfg[key] !== null && typeof cfg[key] !== "string") throw new Error(`'${key}' must be a string in ${source}`);
+  }
+  for (const key of ["includeExts", "include", "exclude", "globals"]) {
+    if (cfg[key] !== undefined && !(Array.isArray(cfg[key]) && cfg[key].every(s => typeof s === "string"))) {
+      throw new Error(`'${key}' must be an array of strings in ${source}`);
+    }
+  }
+}
+
+function validatePolicy(policy, source) {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) throw new Error(`'policy' must be an object in ${source}`);
+  for (const [key, value] of Object.entries(policy)) {
+    const type = POLICY_KEYS[key];
+    if (!type) throw new Error(`unknown policy key '${key}' in ${source}`);
+    const ok = type === "globs" ? Array.isArray(value) && value.every(s => typeof s === "string")
+      : type === "number" ? Number.isFinite(value) && value >= 0
+        : typeof value === "boolean";
+    if (!ok) throw new Error(`'policy.${key}' must be ${type === "globs" ? "an array of strings" : type === "number" ? "a number >= 0" : "a boolean"} in ${source}`);
+  }
+}
+
+// Paths in a config file are relative to the file's directory
+function resolvePaths(cfg, base) {
+  const out = { ...cfg };
+  if (out.root) out.root = path.resolve(base, out.root);
+  if (out.indexFile) out.indexFile = path.resolve(base, out.indexFile);
+  if (out.queueDir) out.queueDir = path.resolve(base, out.queueDir);
+  if (out.watchTarget) out.watchTarget = path.resolve(base, out.watchTarget);
+  if (out.provider) {
+    out.provider = { ...out.provider };
+    for (const key of ["fixturesFile", "recordFile"]) {
+      if (out.provider[key]) out.provider[key] = path.resolve(base, out.provider[key]);
+    }
+  }
+  return out;
+}
+
+function merge(...layers) {
+  const out = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer)) {
+      if (value === undefined || value === null) continue;
+      out[key] = ["provider", "policy", "promptTokens", "budget", "prices"].includes(key) ? { ...out[key], ...value } : value;
+    }
+  }
+  return out;
+}
+
+// opts: { cwd, configFile, overrides, env }. configFile: false skips the file lookup.
+// Returns the effective config plus { configFile, sources }.
+export async function loadConfig(opts = {}) {
+  const cwd = path.resolve(opts.cwd || process.cwd());
+  const configFile = opts.configFile === false ? null
+    : opts.configFile ? path.resolve(opts.configFile) : findConfigFile(cwd);
+
+  let fileLayer = {};
+  if (configFile) {
+    const raw = await readConfigFile(configFile);
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(`config in ${configFile} must be an object`);
+    validate(raw, configFile);
+    fileLayer = resolvePaths(raw, path.dirname(configFile));
+  }
+  const env = envLayer(opts.env || process.env);
+  const given = Object.entries(opts.overrides || {}).filter(([, v]) => v !== undefined && v !== null);
+  const overrides = resolvePaths(Object.fromEntries(given), cwd);
+  validate(overrides, "overrides");
+
+  const cfg = merge(DEFAULTS, fileLayer, env, overrides);
+  cfg.root = cfg.root || (configFile ? path.dirname(configFile) : findProjectRoot(cwd));
+  cfg.indexFile = cfg.indexFile || path.join(cfg.root, STATE_DIR, "vector_index.json");
+  cfg.queueDir = cfg.queueDir || path.join(cfg.root, STATE_DIR, "queue");
+  cfg.includeExts = cfg.includeExts.map(e => (e.startsWith(".") ? e : `.${e}`).toLowerCase());
+
+  const sources = {};
+  for (const key of Object.keys(DEFAULTS)) {
+    sources[key] = key in overrides ? "overrides" : key in env ? "env" : key in fileLayer ? "file" : "default";
+  }
+  return { root: cfg.root, indexFile: cfg.indexFile, ...cfg, configFile, sources };
+}
+
+// Config safe to print: the API key is masked
+export function describeConfig(cfg) {
+  const provider = { ...cfg.provider };
+  if (provider.apiKey) provider.apiKey = "***";
+  return { ...cfg, provider };
+}
+
+// ------------ File selection ------------
+// Which files under root belong to the project: extension, include/exclude globs
+// and (optionally) .gitignore. Paths are absolute.
+export function createFileFilter(cfg) {
+  const root = cfg.root;
+  const included = cfg.include?.length ? globMatcher(cfg.include) : null;
+  const excluded = globMatcher([...cfg.exclude, STATE_DIR]);
+  const ignored = cfg.gitignore ? gitignoreMatcher(root) : () => false;
+  const rel = abs => path.relative(root, abs).split(path.sep).join("/");
+
+  // directories (and files) that are never entered / listed
+  function skip(abs, isDir) {
+    const r = rel(abs);
+    if (!r) return false;
+    if (r === ".." || r.startsWith("../")) return true;
+    return excluded(r, isDir) || ignored(r, isDir);
+  }
+
+  function accepts(abs) {
+    if (!cfg.includeExts.includes(path.extname(abs).toLowerCase())) return false;
+    const r = rel(abs);
+    if (r === ".." || r.startsWith("../") || path.isAbsolute(r)) return false;
+    // an excluded or ignored ancestor directory excludes the file too
+    const parts = r.split("/");
+    for (let i = 1; i < parts.length; i++) {
+      const dir = parts.slice(0, i).join("/");
+      if (excluded(dir, true) || ignored(dir, true)) return false;
+    }
+    if (excluded(r, false) || ignored(r, false)) return false;
+    return included ? included(r, false) : true;
+  }
+
+  return { skip, accepts };
+}
+
+export function listProjectFiles(cfg, filter = createFileFilter(cfg)) {
+  const out = [];
+  (function walk(dir) {
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const ent of entries) {
+      const p = path.join(dir, ent.name);
+      if (ent.isDirectory()) {
+        if (!filter.skip(p, true)) walk(p);
+      } else if (ent.isFile() && filter.accepts(p)) {
+        out.push(p);
+      }
+    }
+  })(cfg.root);
+  return out.sort();
+}
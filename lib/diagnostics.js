@@ -0,0 +1,210 @@
+// lib/diagnostics.js — static checks that need no code to run: parse errors,
+// unresolved imports and undefined identifiers (from the same recast/babel AST
+// the chunker uses), plus ESLint JSON output.
+// Diagnostic: { file, absPath, line, column, severity, rule, message, source }
+
+import fs from "fs";
+import path from "path";
+import { builtinModules } from "module";
+import * as recast from "recast";
+import { parseAst, parseErrorInfo, nodeLines, lineStartsOf } from "./chunker.js";
+import { isBindingOrReference } from "./ast-edits.js";
+import { resolveRelative } from "./modules.js";
+import { readText } from "./util.js";
+
+const n = recast.types.namedTypes;
+
+// Names that are defined without a declaration in Node, browsers or test runners
+const EXTRA_GLOBALS = [
+  "require", "module", "exports", "__dirname", "__filename", "arguments",
+  "window", "document", "navigator", "location", "history", "screen", "self", "localStorage", "sessionStorage",
+  "alert", "confirm", "prompt", "requestAnimationFrame", "cancelAnimationFrame", "getComputedStyle",
+  "XMLHttpRequest", "Image", "HTMLElement", "Element", "Node", "MutationObserver", "IntersectionObserver", "ResizeObserver",
+  "describe", "it", "test", "expect", "before", "after", "beforeEach", "afterEach", "beforeAll", "afterAll",
+  "context", "jest", "vi",
+];
+
+function isFile(p) {
+  try { return fs.statSync(p).isFile(); } catch { return false; }
+}
+
+function isDir(p) {
+  try { return fs.statSync(p).isDirectory(); } catch { return false; }
+}
+
+function packageName(spec) {
+  const parts = spec.split("/");
+  return spec.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+function packageInstalled(fromFile, name) {
+  let dir = path.dirname(fromFile);
+  while (true) {
+    if (isDir(path.join(dir, "node_modules", name))) return true;
+    const parent = path.dirname(dir);
+    if (parent === dir) return false;
+    dir = parent;
+  }
+}
+
+function isBuiltin(spec) {
+  return spec.startsWith("node:") || builtinModules.includes(spec.split("/")[0]);
+}
+
+// null when the specifier resolves, else the reason it does not
+function unresolvedReason(fromFile, spec) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(spec) && !spec.startsWith("node:") && !spec.startsWith("file:")) return null; // data:, http:, ...
+  if (spec.startsWith("#")) return null; // package.json "imports"
+  if (spec.startsWith("file:")) return isFile(new URL(spec).pathname) ? null : "file not found";
+  if (spec.startsWith(".") || spec.startsWith("/")) return resolveRelative(fromFile, spec) ? null : "file not found";
+  if (isBuiltin(spec)) return null;
+  return packageInstalled(fromFile, packageName(spec)) ? null : `package '${packageName(spec)}' is not installed`;
+}
+
+// ------------ AST checks ------------
+function importSources(ast) {
+  const out = [];
+  const add = (lit) => {
+    if (lit && typeof lit.value === "string") out.push(lit);
+  };
+  recast.types.visit(ast, {
+    visitImportDeclaration(p) { add(p.node.source); return false; },
+    visitExportNamedDeclaration(p) { add(p.node.source); this.traverse(p); },
+    visitExportAllDeclaration(p) { add(p.node.source); return false; },
+    visitCallExpression(p) {
+      const { callee, arguments: args } = p.node;
+      const literal = args.length === 1 && (n.StringLiteral?.check(args[0]) || n.Literal.check(args[0])) ? args[0] : null;
+      if (literal && (callee.type === "Import" || (n.Identifier.check(callee) && callee.name === "require" && !p.scope?.lookup("require")))) add(literal);
+      this.traverse(p);
+    },
+    visitImportExpression(p) {
+      const src = p.node.source;
+      if (n.StringLiteral?.check(src) || n.Literal.check(src)) add(src);
+      this.traverse(p);
+    },
+  });
+  return out;
+}
+
+// Identifiers inside type annotations are types, not values
+function inTypePosition(p) {
+  for (let q = p; q?.parent; q = q.parent) {
+    if (q.parent.node.type?.startsWith("TS") && q.name !== "expression") return true;
+  }
+  return false;
+}
+
+// Names TypeScript declares in ways ast-types scopes do not track
+function typeScriptNames(ast) {
+  const names = new Set();
+  recast.types.visit(ast, {
+    visitNode(p) {
+      const node = p.node;
+      if (/^TS(EnumDeclaration|ModuleDeclaration|DeclareFunction|InterfaceDeclaration|TypeAliasDeclaration)$/.test(node.type) && node.id?.name) names.add(node.id.name);
+      if (node.type === "TSParameterProperty" && node.parameter?.name) names.add(node.parameter.name);
+      this.traverse(p);
+    },
+  });
+  return names;
+}
+
+function undefinedIdentifiers(ast, globals) {
+  const declared = typeScriptNames(ast);
+  const found = new Map(); // name -> [nodes]
+  recast.types.visit(ast, {
+    visitIdentifier(p) {
+      const name = p.node.name;
+      const parent = p.parent?.node;
+      if (!isBindingOrReference(p) || globals.has(name) || declared.has(name)) return false;
+      if (n.MetaProperty.check(parent)) return false; // import.meta, new.target
+      if (n.UnaryExpression.check(parent) && parent.operator === "typeof") return false;
+      if (n.ExportSpecifier.check(parent) && p.name === "exported") return false;
+      if (inTypePosition(p) || p.scope?.lookup(name)) return false;
+      if (!found.has(name)) found.set(name, []);
+      found.get(name).push(p.node);
+      return false;
+    },
+  });
+  return found;
+}
+
+// Every static diagnostic for one file. opts: { root, globals: [names] }
+export function staticDiagnostics(absPath, opts = {}) {
+  const root = opts.root || path.dirname(absPath);
+  const file = path.relative(root, absPath);
+  const diag = (d) => ({ file, absPath, severity: "error", ...d });
+  let code;
+  try {
+    code = readText(absPath);
+  } catch (err) {
+    return [diag({ line: null, column: null, rule: "read", source: "read", message: err.message })];
+  }
+
+  const syntax = parseErrorInfo(code, absPath);
+  if (syntax) return [diag({ line: syntax.line, column: syntax.column, rule: "parse", source: "parse", message: syntax.message })];
+  const ast = parseAst(code, absPath);
+  if (!ast) return [];
+  const lineStarts = lineStartsOf(code);
+  const pos = (node) => {
+    const line = nodeLines(node, lineStarts)?.start ?? null;
+    return { line, column: line && typeof node.start === "number" ? node.start - lineStarts[line - 1] + 1 : null };
+  };
+
+  const out = [];
+  for (const lit of importSources(ast)) {
+    const reason = unresolvedReason(absPath, lit.value);
+    if (reason) out.push(diag({ ...pos(lit), rule: "unresolved-import", source: "imports", message: `Cannot resolve '${lit.value}': ${reason}` }));
+  }
+
+  const globals = new Set([...Object.getOwnPropertyNames(globalThis), ...EXTRA_GLOBALS, ...(opts.globals || [])]);
+  for (const [name, nodes] of undefinedIdentifiers(ast, globals)) {
+    const more = nodes.length > 1 ? ` (${nodes.length} references)` : "";
+    out.push(diag({ ...pos(nodes[0]), rule: "undefined-identifier", source: "identifiers", message: `'${name}' is not defined${more}` }));
+  }
+  return out.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+}
+
+// ------------ ESLint ------------
+// `eslint -f json` output; warnings are dropped unless includeWarnings is set
+export function eslintDiagnostics(report, { root, includeWarnings = false } = {}) {
+  const out = [];
+  for (const entry of Array.isArray(report) ? report : []) {
+    const absPath = path.resolve(root || process.cwd(), entry.filePath || "");
+    for (const m of entry.messages || []) {
+      if (m.severity < 2 && !includeWarnings) continue;
+      out.push({
+        file: root ? path.relative(root, absPath) : absPath,
+        absPath,
+        line: m.line ?? null,
+        column: m.column ?? null,
+        severity: m.severity >= 2 ? "error" : "warning",
+        rule: m.ruleId || (m.fatal ? "parse" : "eslint"),
+        source: "eslint",
+        message: m.message,
+      });
+    }
+  }
+  return out;
+}
+
+// ------------ Formatting ------------
+export function groupByFile(diagnostics) {
+  const groups = new Map();
+  for (const d of diagnostics) {
+    if (!groups.has(d.absPath)) groups.set(d.absPath, { file: d.file, absPath: d.absPath, diagnostics: [] });
+    groups.get(d.absPath).diagnostics.push(d);
+  }
+  return [...groups.values()];
+}
+
+// "src/a.js:3:10 error 'bb' is not defined [undefined-identifier]"
+export function formatDiagnosticList(diagnostics) {
+  return diagnostics.map(d =>
+    `${d.file}${d.line ? `:${d.line}${d.column ? `:${d.column}` : ""}` : ""} ${d.severity} ${d.message} [${d.rule}]`
+  ).join("\n");
+}
+
+// Diagnostics as stack frames, so the fix prompt leads with the code around them
+export function diagnosticFrames(diagnostics) {
+  return diagnostics.filter(d => d.line).map(d => `    at ${d.absPath}:${d.line}:${d.column || 1}`).join("\n");
+}
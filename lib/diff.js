@@ -0,0 +1,154 @@
+// lib/diff.js — line diff (Myers), unified diff hunks and partial hunk application
+
+export function splitLines(text) {
+  if (text == null || text === "") return [];
+  return String(text).split(/\r?\n/);
+}
+
+// The line ending a file uses ("\r\n" when its first line break is CRLF)
+export function eolOf(text) {
+  const i = String(text ?? "").indexOf("\n");
+  return i > 0 && text[i - 1] === "\r" ? "\r\n" : "\n";
+}
+
+// Rewrite every line break in text to eol
+export function withEol(text, eol) {
+  return String(text).replace(/\r?\n/g, eol);
+}
+
+// Edit distance past which the search gives up and the changed middle of the file is
+// shown as replaced. Bounds the saved V slices to about MAX_EDIT_DISTANCE² entries.
+const MAX_EDIT_DISTANCE = 2000;
+
+// Myers O(ND) diff. Returns ops: { type: "eq" | "del" | "add", line }
+export function diffLines(a, b) {
+  // A common prefix and suffix need no search
+  let pre = 0, suf = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+  const midA = a.slice(pre, a.length - suf), midB = b.slice(pre, b.length - suf);
+  const mid = myers(midA, midB) || [
+    ...midA.map((line, i) => ({ type: "del", line, aIdx: i })),
+    ...midB.map((line, i) => ({ type: "add", line, bIdx: i })),
+  ];
+  const ops = [];
+  for (let i = 0; i < pre; i++) ops.push({ type: "eq", line: a[i], aIdx: i, bIdx: i });
+  for (const o of mid) {
+    ops.push({ ...o, ...(o.aIdx !== undefined ? { aIdx: o.aIdx + pre } : {}), ...(o.bIdx !== undefined ? { bIdx: o.bIdx + pre } : {}) });
+  }
+  for (let i = suf; i > 0; i--) ops.push({ type: "eq", line: a[a.length - i], aIdx: a.length - i, bIdx: b.length - i });
+  return ops;
+}
+
+// null when the edit distance exceeds MAX_EDIT_DISTANCE
+function myers(a, b) {
+  const n = a.length, m = b.length, max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds only V[-d..d] as it was before step d, the part backtracking reads
+  const trace = [];
+  let found = false;
+
+  outer:
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { found = true; break outer; }
+    }
+  }
+  if (!found) return null;
+
+  // Backtrack through the saved V slices (index k + d)
+  const ops = [];
+  let x = n, y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && vd[k - 1 + d] < vd[k + 1 + d])) ? k + 1 : k - 1;
+    const prevX = vd[prevK + d];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) ops.push({ type: "eq", line: a[--x], aIdx: x, bIdx: --y });
+    if (x === prevX) ops.push({ type: "add", line: b[--y], bIdx: y });
+    else ops.push({ type: "del", line: a[--x], aIdx: x });
+  }
+  while (x > 0 && y > 0) ops.push({ type: "eq", line: a[--x], aIdx: x, bIdx: --y });
+  return ops.reverse();
+}
+
+// Group ops into hunks with `context` lines around each change.
+// Hunk: { oldStart, oldLines, newStart, newLines, lines: [" x", "-y", "+z"] } (1-based starts)
+export function buildHunks(a, b, context = 3) {
+  const ops = diffLines(a, b);
+  const hunks = [];
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].type === "eq") { i++; continue; }
+    // start a hunk `context` lines before the first change
+    let start = i;
+    let ctx = 0;
+    while (start > 0 && ops[start - 1].type === "eq" && ctx < context) { start--; ctx++; }
+    let end = i;
+    // extend while the next change is within 2 * context equal lines
+    while (end < ops.length) {
+      if (ops[end].type !== "eq") { end++; continue; }
+      let run = 0;
+      while (end + run < ops.length && ops[end + run].type === "eq") run++;
+      if (end + run >= ops.length || run > 2 * context) { end += Math.min(run, context); break; }
+      end += run;
+    }
+    const slice = ops.slice(start, end);
+    let oldLine = 1, newLine = 1;
+    for (let j = 0; j < start; j++) {
+      if (ops[j].type !== "add") oldLine++;
+      if (ops[j].type !== "del") newLine++;
+    }
+    const oldLines = slice.filter(o => o.type !== "add").length;
+    const newLines = slice.filter(o => o.type !== "del").length;
+    hunks.push({
+      oldStart: oldLines ? oldLine : oldLine - 1,
+      oldLines,
+      newStart: newLines ? newLine : newLine - 1,
+      newLines,
+      lines: slice.map(o => (o.type === "eq" ? " " : o.type === "del" ? "-" : "+") + o.line),
+    });
+    i = end;
+  }
+  return hunks;
+}
+
+export function formatHunk(h) {
+  return [`@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@`, ...h.lines].join("\n");
+}
+
+export function formatFileDiff(relPath, hunks, { existed = true, deleted = false } = {}) {
+  if (!hunks.length) return "";
+  return [
+    existed ? `--- a/${relPath}` : "--- /dev/null",
+    deleted ? "+++ /dev/null" : `+++ b/${relPath}`,
+    ...hunks.map(formatHunk),
+  ].join("\n");
+}
+
+// Rebuild the new file from `a` applying only the selected hunks (by index)
+export function applyHunks(a, hunks, accepted) {
+  const out = [];
+  let pos = 0; // 0-based index into a
+  hunks.forEach((h, idx) => {
+    const hStart = h.oldLines ? h.oldStart - 1 : h.oldStart;
+    while (pos < hStart) out.push(a[pos++]);
+    if (accepted.has(idx)) {
+      for (const l of h.lines) if (l[0] !== "-") out.push(l.slice(1));
+    } else {
+      for (const l of h.lines) if (l[0] !== "+") out.push(l.slice(1));
+    }
+    pos = hStart + h.oldLines;
+  });
+  while (pos < a.length) out.push(a[pos++]);
+  return out;
+}
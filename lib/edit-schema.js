@@ -0,0 +1,92 @@
+// lib/edit-schema.js — strict schema for the model's edit payload
+// { "edits": [{ path, strategy, ...strategy fields }] } is checked before anything is
+// planned, so malformed output can be sent back to the model with the exact problems
+// (see proposeFixes in main.js) instead of failing later inside applyEdits().
+
+import fs from "fs";
+import path from "path";
+import { outsideRoot } from "./util.js";
+
+// Field types per strategy; `?` marks optional fields
+export const EDIT_FIELDS = {
+  replace_function: { name: "string", new_text: "string" },
+  insert_import: { source: "string", "specifiers?": "string[]", "default?": "identifier", "namespace?": "identifier" },
+  rename_symbol: { from: "identifier", to: "identifier", "line?": "line" },
+  replace_node: { node_path: "string", new_text: "string" },
+  replace_range: { startLine: "line", endLine: "line", "old_text?": "string", new_text: "string" },
+  replace_file: { new_content: "string" },
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function typeError(value, type) {
+  switch (type) {
+    case "string": return typeof value === "string" ? null : "must be a string";
+    case "string[]": return Array.isArray(value) && value.every(s => typeof s === "string") ? null : "must be an array of strings";
+    case "identifier": return typeof value === "string" && IDENTIFIER.test(value) ? null : "must be a valid identifier";
+    case "line": return Number.isInteger(value) && value >= 1 ? null : "must be a line number (integer >= 1)";
+    default: return null;
+  }
+}
+
+// Response text -> { value } or { error }; tolerates a ```json fence around the object
+export function parseResponse(content) {
+  const text = String(content ?? "").trim().replace(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/, "$1");
+  if (!text) return { error: "the response is empty" };
+  try {
+    return { value: JSON.parse(text) };
+  } catch (err) {
+    return { error: `the response is not valid JSON: ${err.message}` };
+  }
+}
+
+// Problems with a parsed payload, as "edits[1].new_text: must be a string" lines.
+// Paths must stay under root and name an existing file, unless a replace_file earlier
+// in the same payload creates it. Returns { edits (the valid ones), errors }
+export function validateEdits(payload, { root }) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) return { edits: [], errors: ["the response must be a JSON object with an \"edits\" array"] };
+  const errors = Object.keys(payload).filter(k => k !== "edits").map(k => `${k}: unknown field (only "edits" is allowed)`);
+  if (!Array.isArray(payload.edits)) return { edits: [], errors: [...errors, "edits: must be an array"] };
+
+  const edits = [];
+  const created = new Set();
+  payload.edits.forEach((e, i) => {
+    const at = `edits[${i}]`;
+    const problems = [];
+    if (!e || typeof e !== "object" || Array.isArray(e)) {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    const fields = EDIT_FIELDS[e.strategy];
+    if (!fields) problems.push(`${at}.strategy: must be one of ${Object.keys(EDIT_FIELDS).join(", ")}`);
+
+    if (typeof e.path !== "string" || !e.path.trim()) {
+      problems.push(`${at}.path: must be a non-empty string`);
+    } else {
+      const abs = path.resolve(root, e.path);
+      if (outsideRoot(root, abs)) problems.push(`${at}.path: ${e.path} is outside the project root`);
+      else if (e.strategy === "replace_file") created.add(abs);
+      else if (fields && !created.has(abs) && !fs.existsSync(abs)) problems.push(`${at}.path: ${e.path} does not exist (use replace_file to create a file)`);
+    }
+
+    if (fields) {
+      for (const [key, type] of Object.entries(fields)) {
+        const name = key.replace(/\?$/, "");
+        if (e[name] === undefined || e[name] === null) {
+          if (!key.endsWith("?")) problems.push(`${at}.${name}: missing (required for ${e.strategy})`);
+          continue;
+        }
+        const problem = typeError(e[name], type);
+        if (problem) problems.push(`${at}.${name}: ${problem}`);
+      }
+      const known = new Set(["path", "strategy", ...Object.keys(fields).map(k => k.replace(/\?$/, ""))]);
+      for (const key of Object.keys(e)) if (!known.has(key)) problems.push(`${at}.${key}: unknown field for ${e.strategy}`);
+      if (e.strategy === "replace_range" && Number.isInteger(e.startLine) && Number.isInteger(e.endLine) && e.endLine < e.startLine) {
+        problems.push(`${at}.endLine: must not be before startLine`);
+      }
+    }
+    if (problems.length) errors.push(...problems);
+    else edits.push(e);
+  });
+  return { edits, errors };
+}
@@ -0,0 +1,135 @@
+// lib/git.js — run a fix on its own branch or worktree, commit every applied round
+// and export the result as patches, so auto-fixes go through normal code review.
+// Git is driven through its CLI; every helper takes the directory to run in.
+
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { STATE_DIR } from "./config.js";
+
+function git(cwd, args) {
+  try {
+    return execFileSync("git", args, { cwd, encoding: "utf-8", stdio: ["ignore", "pipe", "pipe"] }).trimEnd();
+  } catch (err) {
+    const detail = String(err.stderr || err.message).trim().split("\n").pop();
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+// Top-level directory of the repository containing `dir`, or null
+export function gitRoot(dir) {
+  try {
+    return git(dir, ["rev-parse", "--show-toplevel"]);
+  } catch {
+    return null;
+  }
+}
+
+export function headCommit(repo) {
+  return git(repo, ["rev-parse", "HEAD"]);
+}
+
+// null on a detached HEAD
+export function currentBranch(repo) {
+  const name = git(repo, ["rev-parse", "--abbrev-ref", "HEAD"]);
+  return name === "HEAD" ? null : name;
+}
+
+// Changed or untracked paths (relative to the repository), ignoring the fixer's state dir
+export function dirtyFiles(repo, root = repo) {
+  const state = path.relative(repo, path.join(root, STATE_DIR)).split(path.sep).join("/");
+  return git(repo, ["status", "--porcelain"])
+    .split("\n")
+    .filter(Boolean)
+    .map(line => line.slice(3).replace(/^"|"$/g, ""))
+    .filter(p => p !== state && p !== `${state}/` && !p.startsWith(`${state}/`));
+}
+
+export function fixBranchName(target, sessionId) {
+  const slug = String(target || "fix").replace(/\.[^./]+$/, "").replace(/[^A-Za-z0-9]+/g, "-").replace(/^-|-$/g, "").toLowerCase();
+  return `llm-fixer/${slug || "fix"}-${sessionId}`;
+}
+
+// Put the fix on a new branch: mode "branch" checks it out in place, mode "worktree"
+// adds a worktree (default <root>/.llm-fixer/worktrees/<branch>, which still resolves
+// the project's node_modules from its parent directories).
+// A tree with uncommitted changes is refused: in branch mode the round commits would take
+// them along, so always; in worktree mode (which starts from HEAD) unless opts.force.
+// opts: { mode, branch, worktreeDir, force, target, sessionId }
+// Returns { ok, reason } or { ok, mode, repo, worktree, dir, branch, base, previousBranch };
+// `dir` is the project root inside the workspace.
+export function prepareWorkspace(root, opts = {}) {
+  const mode = opts.mode || "branch";
+  if (!["branch", "worktree"].includes(mode)) return { ok: false, reason: `unknown git mode '${mode}' (branch or worktree)` };
+  const repo = gitRoot(root);
+  if (!repo) return { ok: false, reason: `${root} is not inside a git repository` };
+  let base;
+  try {
+    base = headCommit(repo);
+  } catch {
+    return { ok: false, reason: "the repository has no commits yet" };
+  }
+  const dirty = dirtyFiles(repo, root);
+  if (dirty.length && (!opts.force || mode === "branch")) {
+    const shown = dirty.slice(0, 5).join(", ") + (dirty.length > 5 ? `, … (${dirty.length} files)` : "");
+    const way = mode === "branch" ? "or run in worktree mode with force" : "or force";
+    return { ok: false, reason: `working tree has uncommitted changes (${shown}); commit or stash them, ${way}` };
+  }
+
+  const branch = opts.branch || fixBranchName(opts.target, opts.sessionId);
+  const previousBranch = currentBranch(repo);
+  try {
+    if (mode === "branch") {
+      git(repo, ["checkout", "-b", branch]);
+      return { ok: true, mode, repo, worktree: repo, dir: root, branch, base, previousBranch };
+    }
+    const worktree = path.resolve(opts.worktreeDir || path.join(root, STATE_DIR, "worktrees", branch.replace(/\//g, "-")));
+    if (fs.existsSync(worktree)) return { ok: false, reason: `worktree directory ${worktree} already exists` };
+    git(repo, ["worktree", "add", "-b", branch, worktree, base]);
+    return { ok: true, mode, repo, worktree, dir: path.join(worktree, path.relative(repo, root)), branch, base, previousBranch };
+  } catch (err) {
+    return { ok: false, reason: err.message };
+  }
+}
+
+// "fix(src/math.js): round 2 — add is not defined", with the files and session in the body
+export function commitMessage({ target, round, error, files = [], sessionId }) {
+  const full = String(error || "").trim();
+  const firstLine = full.split("\n")[0];
+  const short = firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine;
+  return [
+    `fix(${target}): round ${round}${short ? ` — ${short}` : ""}`,
+    full !== short && full,
+    files.length && `Changed:\n${files.map(f => `- ${f}`).join("\n")}`,
+    sessionId && `llm-fixer session: ${sessionId}`,
+  ].filter(Boolean).join("\n\n");
+}
+
+// Commit exactly `files` (absolute or repo-relative), leaving anything else staged
+// alone; returns the new sha, or null when the files match HEAD
+export function commitFiles(worktree, files, message) {
+  git(worktree, ["add", "--", ...files]);
+  if (!git(worktree, ["diff", "--cached", "--name-only", "--", ...files])) return null;
+  git(worktree, ["commit", "-q", "-m", message, "--", ...files]);
+  return headCommit(worktree);
+}
+
+// Export base..HEAD: a path ending in ".patch" gets one mbox file (`git am` applies
+// it), anything else is a directory for a `git format-patch` series. Returns the files.
+export function exportPatches(worktree, base, out) {
+  const target = path.resolve(out);
+  if (target.endsWith(".patch")) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, git(worktree, ["format-patch", "--stdout", `${base}..HEAD`]) + "\n", "utf-8");
+    return [target];
+  }
+  return git(worktree, ["format-patch", "-o", target, `${base}..HEAD`]).split("\n").filter(Boolean);
+}
+
+// Undo prepareWorkspace: back to the previous branch (or remove the worktree) and
+// delete the fix branch. opts: { force: drop uncommitted changes on the way, keepBranch }
+export function discardWorkspace(ws, opts = {}) {
+  if (ws.mode === "worktree") git(ws.repo, ["worktree", "remove", "--force", ws.worktree]);
+  else git(ws.repo, ["checkout", "-q", ...(opts.force ? ["-f"] : []), ws.previousBranch || ws.base]);
+  if (!opts.keepBranch) git(ws.repo, ["branch", "-D", ws.branch]);
+}
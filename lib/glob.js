@@ -0,0 +1,114 @@
+// lib/glob.js — minimal glob and .gitignore matching (no dependencies)
+// Globs support **, *, ?, [...] and {a,b}. A pattern without a slash matches a
+// file or directory name at any depth, like .gitignore.
+
+import fs from "fs";
+import path from "path";
+
+function escapeRe(c) {
+  return /[.+^$()|\\]/.test(c) ? `\\${c}` : c;
+}
+
+export function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*") {
+      if (glob[i + 1] === "*") {
+        // "**/" matches zero or more directories, a trailing "**" matches everything
+        if (glob[i + 2] === "/") { re += "(?:.*/)?"; i += 2; } else { re += ".*"; i += 1; }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "[") {
+      const end = glob.indexOf("]", i + 1);
+      if (end < 0) { re += "\\["; continue; }
+      let cls = glob.slice(i + 1, end);
+      if (cls[0] === "!") cls = "^" + cls.slice(1);
+      re += `[${cls.replace(/\\/g, "\\\\")}]`;
+      i = end;
+    } else if (c === "{") {
+      const end = glob.indexOf("}", i + 1);
+      if (end < 0) { re += "\\{"; continue; }
+      re += `(?:${glob.slice(i + 1, end).split(",").map(p => globToRegExp(p).source.slice(1, -1)).join("|")})`;
+      i = end;
+    } else {
+      re += escapeRe(c);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// Compile a list of globs into a predicate over root-relative POSIX paths
+export function globMatcher(globs = []) {
+  const compiled = globs.map(g => {
+    const dirOnly = g.endsWith("/");
+    const body = g.replace(/^\.\//, "").replace(/\/$/, "");
+    const anywhere = !body.includes("/");
+    return { re: globToRegExp(body), anywhere, dirOnly };
+  });
+  return (relPath, isDir = false) => compiled.some(({ re, anywhere, dirOnly }) => {
+    if (dirOnly && !isDir) return false;
+    if (re.test(relPath)) return true;
+    return anywhere && re.test(relPath.slice(relPath.lastIndexOf("/") + 1));
+  });
+}
+
+// ------------ .gitignore ------------
+function parseGitignore(text, baseRel) {
+  const rules = [];
+  for (let line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith("#")) continue;
+    line = line.replace(/(?<!\\)\s+$/, "");
+    const negate = line.startsWith("!");
+    if (negate) line = line.slice(1);
+    if (line.startsWith("\\")) line = line.slice(1);
+    const dirOnly = line.endsWith("/");
+    if (dirOnly) line = line.slice(0, -1);
+    // a slash at the start or middle anchors the pattern to the .gitignore's directory
+    const anchored = line.includes("/");
+    if (line.startsWith("/")) line = line.slice(1);
+    rules.push({ re: globToRegExp(line), negate, dirOnly, anchored, base: baseRel });
+  }
+  return rules;
+}
+
+// Returns isIgnored(relPath, isDir), loading nested .gitignore files as directories are visited
+export function gitignoreMatcher(root) {
+  const rules = [];
+  const loaded = new Set();
+
+  function load(dirRel) {
+    if (loaded.has(dirRel)) return;
+    loaded.add(dirRel);
+    const file = path.join(root, dirRel, ".gitignore");
+    try {
+      rules.push(...parseGitignore(fs.readFileSync(file, "utf-8"), dirRel));
+    } catch {
+      // no .gitignore here
+    }
+  }
+
+  return function isIgnored(relPath, isDir = false) {
+    const dirRel = path.posix.dirname(relPath) === "." ? "" : path.posix.dirname(relPath);
+    // make sure every ancestor's .gitignore is known
+    let acc = "";
+    load("");
+    for (const part of dirRel ? dirRel.split("/") : []) {
+      acc = acc ? `${acc}/${part}` : part;
+      load(acc);
+    }
+
+    let ignored = false;
+    for (const r of rules) {
+      if (r.base && !(relPath === r.base || relPath.startsWith(r.base + "/"))) continue;
+      if (r.dirOnly && !isDir) continue;
+      const sub = r.base ? relPath.slice(r.base.length + 1) : relPath;
+      const hit = r.anchored ? r.re.test(sub) : r.re.test(sub.slice(sub.lastIndexOf("/") + 1));
+      if (hit) ignored = !r.negate;
+    }
+    return ignored;
+  };
+}
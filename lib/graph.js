@@ -0,0 +1,128 @@
+// lib/graph.js — call/import graph over the chunk index, for prompt context
+// Function chunks list the names they call (extractFunctionChunks) and the index keeps
+// each file's import bindings (updateIndex). relatedChunks() follows both from the code
+// that failed to its callers, its callees and the definitions of what it imports.
+// Names are matched, not types: `obj.method()` on an unknown object only matches a
+// function of that name in the same file.
+
+import { estimateTokens } from "./util.js";
+import { resolveRelative } from "./modules.js";
+
+// { chunksOf(file), importsOf(file) -> [{ target, bindings }], files } from an index payload
+export function buildGraph(payload) {
+  const chunks = new Map();
+  for (const c of payload?.index || []) {
+    if (c.kind !== "function") continue;
+    if (!chunks.has(c.filePath)) chunks.set(c.filePath, []);
+    chunks.get(c.filePath).push(c);
+  }
+  const imports = new Map();
+  for (const [file, entry] of Object.entries(payload?.files || {})) {
+    const resolved = [];
+    for (const imp of entry.imports || []) {
+      if (!imp.source.startsWith(".") || !imp.bindings?.length) continue;
+      const target = resolveRelative(file, imp.source);
+      if (target && target !== file) resolved.push({ target, bindings: imp.bindings });
+    }
+    imports.set(file, resolved);
+  }
+  return {
+    chunksOf: (file) => chunks.get(file) || [],
+    importsOf: (file) => imports.get(file) || [],
+    files: () => [...imports.keys()],
+  };
+}
+
+// The chunk an imported binding refers to; default exports are matched by the local name
+function definitions(graph, target, imported, local) {
+  const name = imported === "default" ? local : imported;
+  return graph.chunksOf(target).filter(c => c.name === name);
+}
+
+function calleesOf(graph, seed) {
+  const out = [];
+  const sameFile = (name) => graph.chunksOf(seed.filePath).filter(c => c.name === name);
+  for (const call of seed.calls || []) {
+    const dot = call.lastIndexOf(".");
+    if (dot === -1) {
+      out.push(...sameFile(call));
+      for (const { target, bindings } of graph.importsOf(seed.filePath)) {
+        for (const b of bindings) if (b.local === call && b.imported !== "*") out.push(...definitions(graph, target, b.imported, b.local));
+      }
+      continue;
+    }
+    const [object, name] = [call.slice(0, dot), call.slice(dot + 1)];
+    let viaImport = false;
+    for (const { target, bindings } of graph.importsOf(seed.filePath)) {
+      if (bindings.some(b => b.local === object && b.imported === "*")) {
+        out.push(...graph.chunksOf(target).filter(c => c.name === name));
+        viaImport = true;
+      }
+    }
+    if (!viaImport) out.push(...sameFile(name));
+  }
+  return out;
+}
+
+function callersOf(graph, seed) {
+  const name = seed.name;
+  const out = graph.chunksOf(seed.filePath).filter(c => (c.calls || []).some(call => call === name || call.endsWith(`.${name}`)));
+  for (const file of graph.files()) {
+    const names = new Set();
+    for (const { target, bindings } of graph.importsOf(file)) {
+      if (target !== seed.filePath) continue;
+      for (const b of bindings) {
+        if (b.imported === "*") names.add(`${b.local}.${name}`);
+        else if (b.imported === name || (b.imported === "default" && b.local === name)) names.add(b.local);
+      }
+    }
+    if (names.size) out.push(...graph.chunksOf(file).filter(c => (c.calls || []).some(call => names.has(call))));
+  }
+  return out;
+}
+
+function importedBy(graph, seed) {
+  const out = [];
+  const text = seed.text || "";
+  for (const { target, bindings } of graph.importsOf(seed.filePath)) {
+    for (const b of bindings) {
+      if (!new RegExp(`\\b${b.local.replace(/\$/g, "\\$")}\\b`).test(text)) continue;
+      if (b.imported !== "*") {
+        out.push(...definitions(graph, target, b.imported, b.local));
+        continue;
+      }
+      const used = new Set([...text.matchAll(new RegExp(`\\b${b.local.replace(/\$/g, "\\$")}\\.([A-Za-z_$][\\w$]*)`, "g"))].map(m => m[1]));
+      out.push(...graph.chunksOf(target).filter(c => used.has(c.name)));
+    }
+  }
+  return out;
+}
+
+// Callers, then callees, then imported definitions of each seed chunk, as copies with a
+// `relation` label ("caller of add", "called by add", "imported by add"). Chunks that
+// overlap a seed, one of `exclude` or each other are skipped; the total stays within
+// maxTokens (~4 chars per token).
+// opts: { graph (from buildGraph), exclude: [chunks], maxTokens }
+export function relatedChunks(seeds, { graph, exclude = [], maxTokens = 2000 }) {
+  const taken = [...seeds, ...exclude];
+  const overlaps = (c) => taken.some(t => t.filePath === c.filePath && c.startLine <= t.endLine && c.endLine >= t.startLine);
+  const queue = [
+    ...seeds.map(s => ({ relation: `caller of ${s.name}`, chunks: callersOf(graph, s) })),
+    ...seeds.map(s => ({ relation: `called by ${s.name}`, chunks: calleesOf(graph, s) })),
+    ...seeds.map(s => ({ relation: `imported by ${s.name}`, chunks: importedBy(graph, s) })),
+  ];
+
+  const out = [];
+  let budget = maxTokens;
+  for (const { relation, chunks } of queue) {
+    for (const c of chunks) {
+      if (overlaps(c)) continue;
+      const cost = estimateTokens(c.text);
+      if (cost > budget) continue;
+      budget -= cost;
+      taken.push(c);
+      out.push({ ...c, relation });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,192 @@
+// lib/hnsw.js — pure-JS HNSW graph (Malkov & Yashunin) for approximate nearest-neighbour
+// search when faiss-node is not installed. Similarity is the inner product of the
+// store's normalised rows. Nodes are store rows and are only ever added; rows that no
+// chunk uses any more stay in the graph for navigation and are filtered from results.
+// The graph is saved next to the vector store and extended with new rows on load.
+
+import fs from "fs";
+import path from "path";
+import { dot } from "./vector-store.js";
+
+const MAGIC = "LLMFHNSW";
+const FORMAT_VERSION = 1;
+
+// Deterministic levels, so a rebuilt graph is the same graph
+function random(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Insert into a list kept sorted by descending score, capped at `max` entries
+function insertSorted(list, item, max) {
+  let i = list.length;
+  while (i > 0 && list[i - 1].score < item.score) i--;
+  if (i >= max) return false;
+  list.splice(i, 0, item);
+  if (list.length > max) list.pop();
+  return true;
+}
+
+// An empty graph; opts: { M, efConstruction, generation (of the vector store) }.
+// Every function below takes `vectors`, the store's rows as one Float32Array.
+export function createHnsw(dims, opts = {}) {
+  return {
+    dims,
+    M: opts.M || 16,
+    efConstruction: opts.efConstruction || 100,
+    generation: opts.generation || 0,
+    entry: -1,
+    maxLevel: -1,
+    links: [], // node -> [level 0 neighbours, level 1 neighbours, ...]
+  };
+}
+
+function similarity(graph, vectors, q, node) {
+  return dot(q, vectors, node * graph.dims);
+}
+
+// Best `ef` nodes on one level, starting from `entries`
+function searchLevel(graph, vectors, q, entries, ef, level) {
+  const visited = new Set(entries);
+  const found = [];
+  const candidates = [];
+  for (const e of entries) {
+    const item = { id: e, score: similarity(graph, vectors, q, e) };
+    insertSorted(found, item, ef);
+    insertSorted(candidates, item, Infinity);
+  }
+  while (candidates.length) {
+    const c = candidates.shift();
+    if (found.length >= ef && c.score < found[found.length - 1].score) break;
+    for (const n of graph.links[c.id][level] || []) {
+      if (visited.has(n)) continue;
+      visited.add(n);
+      const item = { id: n, score: similarity(graph, vectors, q, n) };
+      if (found.length < ef || item.score > found[found.length - 1].score) {
+        insertSorted(found, item, ef);
+        insertSorted(candidates, item, Infinity);
+      }
+    }
+  }
+  return found;
+}
+
+function connect(graph, vectors, node, neighbours, level) {
+  const max = level === 0 ? graph.M * 2 : graph.M;
+  graph.links[node][level] = neighbours.slice(0, graph.M).map(n => n.id);
+  for (const n of graph.links[node][level]) {
+    const list = graph.links[n][level] || (graph.links[n][level] = []);
+    list.push(node);
+    if (list.length <= max) continue;
+    // keep the neighbour's closest links
+    const q = vectors.subarray(n * graph.dims, (n + 1) * graph.dims);
+    graph.links[n][level] = list
+      .map(id => ({ id, score: similarity(graph, vectors, q, id) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, max)
+      .map(x => x.id);
+  }
+}
+
+// Add rows graph.links.length .. rows - 1
+export function extendHnsw(graph, vectors, rows) {
+  const rand = random(0x5eed + graph.links.length);
+  const mL = 1 / Math.log(graph.M);
+  for (let node = graph.links.length; node < rows; node++) {
+    const level = Math.min(16, Math.floor(-Math.log(1 - rand()) * mL));
+    graph.links[node] = Array.from({ length: level + 1 }, () => []);
+    if (graph.entry === -1) {
+      graph.entry = node;
+      graph.maxLevel = level;
+      continue;
+    }
+    const q = vectors.subarray(node * graph.dims, (node + 1) * graph.dims);
+    let entries = [graph.entry];
+    for (let l = graph.maxLevel; l > level; l--) entries = [searchLevel(graph, vectors, q, entries, 1, l)[0].id];
+    for (let l = Math.min(level, graph.maxLevel); l >= 0; l--) {
+      const found = searchLevel(graph, vectors, q, entries, graph.efConstruction, l);
+      connect(graph, vectors, node, found, l);
+      entries = found.map(f => f.id);
+    }
+    if (level > graph.maxLevel) {
+      graph.entry = node;
+      graph.maxLevel = level;
+    }
+  }
+  return graph;
+}
+
+// Up to k { id, score } for query q (normalised), best first; accept(id) filters nodes
+export function searchHnsw(graph, vectors, q, k, { ef = 64, accept = () => true } = {}) {
+  if (graph.entry === -1) return [];
+  let entries = [graph.entry];
+  for (let l = graph.maxLevel; l > 0; l--) entries = [searchLevel(graph, vectors, q, entries, 1, l)[0].id];
+  return searchLevel(graph, vectors, q, entries, Math.max(ef, k), 0).filter(f => accept(f.id)).slice(0, k);
+}
+
+// ------------ Persistence ------------
+// "LLMFHNSW" | u32 version | dims | M | efConstruction | generation | nodes | entry (i32) | maxLevel (i32)
+// then per node: u32 levels, and per level: u32 count + count u32 ids
+export function saveHnsw(file, graph) {
+  let size = 8 + 4 * 8;
+  for (const levels of graph.links) size += 4 + levels.reduce((n, l) => n + 4 + 4 * l.length, 0);
+  const buf = Buffer.alloc(size);
+  buf.write(MAGIC, 0, "latin1");
+  let at = 8;
+  const u32 = (v) => { buf.writeUInt32LE(v, at); at += 4; };
+  const i32 = (v) => { buf.writeInt32LE(v, at); at += 4; };
+  [FORMAT_VERSION, graph.dims, graph.M, graph.efConstruction, graph.generation, graph.links.length].forEach(u32);
+  i32(graph.entry);
+  i32(graph.maxLevel);
+  for (const levels of graph.links) {
+    u32(levels.length);
+    for (const l of levels) {
+      u32(l.length);
+      l.forEach(u32);
+    }
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, buf);
+  fs.renameSync(tmp, file);
+}
+
+// The saved graph, or null when missing, unreadable or built for another generation/dims
+export function loadHnsw(file, { dims, generation }) {
+  let buf;
+  try {
+    buf = fs.readFileSync(file);
+  } catch {
+    return null;
+  }
+  if (buf.length < 40 || buf.toString("latin1", 0, 8) !== MAGIC) return null;
+  let at = 8;
+  const u32 = () => { const v = buf.readUInt32LE(at); at += 4; return v; };
+  const i32 = () => { const v = buf.readInt32LE(at); at += 4; return v; };
+  const [version, d, M, efConstruction, gen, nodes] = [u32(), u32(), u32(), u32(), u32(), u32()];
+  if (version !== FORMAT_VERSION || d !== dims || gen !== generation) return null;
+  const graph = createHnsw(dims, { M, efConstruction, generation });
+  graph.entry = i32();
+  graph.maxLevel = i32();
+  try {
+    for (let node = 0; node < nodes; node++) {
+      const levels = u32();
+      const links = [];
+      for (let l = 0; l < levels; l++) {
+        const count = u32();
+        const ids = new Array(count);
+        for (let i = 0; i < count; i++) ids[i] = u32();
+        links.push(ids);
+      }
+      graph.links.push(links);
+    }
+  } catch {
+    return null; // truncated
+  }
+  return graph;
+}
@@ -0,0 +1,95 @@
+// lib/lexical.js — BM25 over chunk text and identifiers, fused with vector search
+// Error messages name code exactly (`bb is not defined`, `reading 'foo'`), which
+// embeddings tend to blur. A chunk is indexed by the words of its text, identifiers
+// also split on camelCase / snake_case, plus its AST identifiers as exact terms, so an
+// identifier from the query that the chunk really uses scores twice. fuseRankings()
+// merges this ranking with the semantic one by reciprocal-rank fusion (RRF).
+
+const K1 = 1.2;
+const B = 0.75;
+export const RRF_K = 60;
+
+const WORD = /[A-Za-z_$][\w$]*/g;
+
+// "parseConfigFile" -> ["parse", "config", "file"], "MAX_ROWS" -> ["max", "rows"]
+function subwords(word) {
+  return word
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .split(/[\s_$]+/)
+    .filter(Boolean)
+    .map(w => w.toLowerCase());
+}
+
+// Lowercased words of a text, each followed by its sub-words when it has several
+export function textTerms(text) {
+  const terms = [];
+  for (const [word] of String(text || "").matchAll(WORD)) {
+    terms.push(word.toLowerCase());
+    const parts = subwords(word);
+    if (parts.length > 1) terms.push(...parts);
+  }
+  return terms;
+}
+
+// Exact identifiers are kept apart from words by a "#" prefix
+function chunkTerms(chunk) {
+  return [...textTerms(chunk.text), ...(chunk.identifiers || []).map(n => `#${n}`)];
+}
+
+function queryTerms(query) {
+  const words = [...String(query || "").matchAll(WORD)].map(m => m[0]);
+  return [...new Set([...textTerms(query), ...words.map(w => `#${w}`)])];
+}
+
+// { chunks, postings: term -> [[doc, tf]], lengths, avgLength } over index chunks
+export function buildLexicalIndex(chunks) {
+  const postings = new Map();
+  const lengths = new Float64Array(chunks.length);
+  chunks.forEach((c, doc) => {
+    const tf = new Map();
+    for (const t of chunkTerms(c)) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const [t, n] of tf) {
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push([doc, n]);
+      lengths[doc] += n;
+    }
+  });
+  const avgLength = chunks.length ? lengths.reduce((a, b) => a + b, 0) / chunks.length : 0;
+  return { chunks, postings, lengths, avgLength };
+}
+
+// Up to k [{ chunk, score }] by BM25, best first; chunks sharing no term with the query are left out
+export function lexicalSearch(lex, query, k) {
+  const n = lex.chunks.length;
+  const scores = new Map();
+  for (const term of queryTerms(query)) {
+    const list = lex.postings.get(term);
+    if (!list) continue;
+    const idf = Math.log(1 + (n - list.length + 0.5) / (list.length + 0.5));
+    for (const [doc, tf] of list) {
+      const weight = (tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * lex.lengths[doc]) / lex.avgLength));
+      scores.set(doc, (scores.get(doc) || 0) + idf * weight);
+    }
+  }
+  return [...scores]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, k)
+    .map(([doc, score]) => ({ chunk: lex.chunks[doc], score }));
+}
+
+// lists: { lexical: [{ chunk, score }], semantic: [...] }, each best first.
+// Returns the best k [{ chunk, score (RRF), ranks: { <list>: { rank, score } } }];
+// a chunk missing from a list gets nothing from it.
+export function fuseRankings(lists, k) {
+  const byId = new Map();
+  for (const [name, hits] of Object.entries(lists)) {
+    hits.forEach((h, i) => {
+      if (!byId.has(h.chunk.id)) byId.set(h.chunk.id, { chunk: h.chunk, score: 0, ranks: {} });
+      const entry = byId.get(h.chunk.id);
+      entry.score += 1 / (RRF_K + i + 1);
+      entry.ranks[name] = { rank: i + 1, score: h.score };
+    });
+  }
+  return [...byId.values()].sort((a, b) => b.score - a.score).slice(0, k);
+}
@@ -0,0 +1,143 @@
+// lib/modules.js — what a module imports and exports, from the recast/babel AST
+// Used by the edit policy (removed exports that other files import) and the call graph
+// (lib/graph.js); kept deliberately shallow: relative specifiers are resolved on disk,
+// packages are not.
+
+import fs from "fs";
+import path from "path";
+import * as recast from "recast";
+import { parseAst } from "./chunker.js";
+
+const n = recast.types.namedTypes;
+
+const RESOLVE_EXTS = [".js", ".mjs", ".cjs", ".jsx", ".ts", ".tsx", ".mts", ".cts", ".json", ".node"];
+
+function isFile(p) {
+  try { return fs.statSync(p).isFile(); } catch { return false; }
+}
+
+// Absolute path a relative specifier ("./x", "../y.js") points to, or null
+export function resolveRelative(fromFile, spec) {
+  const base = path.resolve(path.dirname(fromFile), spec.split("?")[0]);
+  const candidates = [base, ...RESOLVE_EXTS.map(e => base + e), ...RESOLVE_EXTS.map(e => path.join(base, `index${e}`))];
+  // TypeScript sources import "./x.js" for ./x.ts
+  if (/\.[mc]?jsx?$/.test(base)) candidates.push(base.replace(/\.([mc]?)js(x?)$/, ".$1ts$2"));
+  return candidates.find(isFile) || null;
+}
+
+function stringValue(node) {
+  return node && (n.StringLiteral?.check(node) || n.Literal.check(node)) && typeof node.value === "string" ? node.value : null;
+}
+
+function keyName(node) {
+  return n.Identifier.check(node) ? node.name : stringValue(node);
+}
+
+function patternNames(node, out = []) {
+  if (!node) return out;
+  if (n.Identifier.check(node)) out.push(node.name);
+  else if (n.ObjectPattern.check(node)) node.properties.forEach(p => patternNames(p.value || p.argument, out));
+  else if (n.ArrayPattern.check(node)) node.elements.forEach(e => patternNames(e, out));
+  else if (n.AssignmentPattern.check(node)) patternNames(node.left, out);
+  else if (n.RestElement.check(node)) patternNames(node.argument, out);
+  return out;
+}
+
+function isModuleExports(node) {
+  return n.MemberExpression.check(node) && n.Identifier.check(node.object) && node.object.name === "module" && keyName(node.property) === "exports";
+}
+
+// Exported names ("default" for default exports); ESM plus the common CommonJS forms
+export function moduleExports(ast) {
+  const names = new Set();
+  for (const node of ast.program.body) {
+    if (n.ExportNamedDeclaration.check(node)) {
+      const d = node.declaration;
+      if (d?.id?.name) names.add(d.id.name);
+      if (n.VariableDeclaration.check(d)) d.declarations.forEach(v => patternNames(v.id).forEach(x => names.add(x)));
+      for (const s of node.specifiers || []) if (keyName(s.exported)) names.add(keyName(s.exported));
+    } else if (n.ExportDefaultDeclaration.check(node)) {
+      names.add("default");
+    } else if (n.ExportAllDeclaration.check(node) && node.exported) {
+      names.add(keyName(node.exported));
+    } else if (n.ExpressionStatement.check(node) && n.AssignmentExpression.check(node.expression)) {
+      const { left, right } = node.expression;
+      if (isModuleExports(left)) {
+        names.add("default");
+        if (n.ObjectExpression.check(right)) right.properties.forEach(p => keyName(p.key) && names.add(keyName(p.key)));
+      } else if (n.MemberExpression.check(left) && !left.computed &&
+        ((n.Identifier.check(left.object) && left.object.name === "exports") || isModuleExports(left.object))) {
+        names.add(keyName(left.property));
+      }
+    }
+  }
+  return names;
+}
+
+// [{ source, names: [imported names], namespace, bindings: [{ imported, local }] }] —
+// namespace is true when the whole module object is taken (import * as, bare require,
+// dynamic import, export *); a namespace binding has imported "*"
+export function moduleImports(ast) {
+  const out = [];
+  const add = (source, names, namespace = false, bindings = []) => {
+    if (source) out.push({ source, names, namespace, bindings });
+  };
+  recast.types.visit(ast, {
+    visitImportDeclaration(p) {
+      const names = [];
+      const bindings = [];
+      let namespace = false;
+      for (const s of p.node.specifiers || []) {
+        const imported = n.ImportDefaultSpecifier.check(s) ? "default" : n.ImportNamespaceSpecifier.check(s) ? "*" : keyName(s.imported);
+        if (imported === "*") namespace = true;
+        else names.push(imported);
+        bindings.push({ imported, local: s.local.name });
+      }
+      add(stringValue(p.node.source), names, namespace, bindings);
+      return false;
+    },
+    visitExportNamedDeclaration(p) {
+      if (p.node.source) add(stringValue(p.node.source), (p.node.specifiers || []).map(s => keyName(s.local)).filter(Boolean));
+      this.traverse(p);
+    },
+    visitExportAllDeclaration(p) {
+      add(stringValue(p.node.source), [], true);
+      return false;
+    },
+    visitVariableDeclarator(p) {
+      // const { a, b: c } = require("./x"), const x = require("./x")
+      const init = p.node.init;
+      const source = n.CallExpression.check(init) && n.Identifier.check(init.callee) && init.callee.name === "require" &&
+        init.arguments.length === 1 ? stringValue(init.arguments[0]) : null;
+      if (source && n.ObjectPattern.check(p.node.id)) {
+        const props = p.node.id.properties.filter(prop => prop.key && keyName(prop.key));
+        const bindings = props.filter(prop => n.Identifier.check(prop.value)).map(prop => ({ imported: keyName(prop.key), local: prop.value.name }));
+        add(source, props.map(prop => keyName(prop.key)), false, bindings);
+        return false;
+      }
+      if (source && n.Identifier.check(p.node.id)) {
+        add(source, [], true, [{ imported: "*", local: p.node.id.name }]);
+        return false;
+      }
+      this.traverse(p);
+    },
+    visitCallExpression(p) {
+      const { callee, arguments: args } = p.node;
+      const source = args.length === 1 ? stringValue(args[0]) : null;
+      if (source && (callee.type === "Import" || (n.Identifier.check(callee) && callee.name === "require"))) add(source, [], true);
+      this.traverse(p);
+    },
+    visitImportExpression(p) {
+      add(stringValue(p.node.source), [], true);
+      this.traverse(p);
+    },
+  });
+  return out;
+}
+
+// { imports, exports } of a source string, or null when it does not parse
+export function moduleInfo(code, filePath) {
+  const ast = parseAst(code, filePath);
+  if (!ast) return null;
+  return { imports: moduleImports(ast), exports: moduleExports(ast) };
+}
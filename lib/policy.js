@@ -0,0 +1,99 @@
+// lib/policy.js — rules every planned change set must pass before anything is written
+// planChangeset() already keeps edits inside the project root; this adds the configurable
+// part (config key `policy`): allowed / denied path globs, protected files, new files,
+// whole-file replacement, lines changed per file, and exports other files still import.
+// Violations are reported as failed edit results, so the change set is never written.
+
+import path from "path";
+import { globMatcher } from "./glob.js";
+import { readText } from "./util.js";
+import { moduleInfo, resolveRelative } from "./modules.js";
+
+// Globs matching a root-relative path or any directory above it
+function pathMatcher(globs) {
+  if (!globs?.length) return () => false;
+  const match = globMatcher(globs);
+  return (rel) => {
+    const parts = rel.split("/");
+    for (let i = 1; i < parts.length; i++) {
+      if (match(parts.slice(0, i).join("/"), true)) return true;
+    }
+    return match(rel, false);
+  };
+}
+
+function linesChanged(file) {
+  let n = 0;
+  for (const h of file.hunks) n += h.lines.filter(l => l[0] === "+" || l[0] === "-").length;
+  return n;
+}
+
+// Exports the change set removes while another project file, as it will be after
+// the change set, still imports them by name
+function removedExports(changeset, { root, files }) {
+  const removed = new Map(); // abs path -> { file, names }
+  for (const f of changeset.files) {
+    if (!f.existed) continue;
+    const before = moduleInfo(f.before, f.path);
+    const after = before && moduleInfo(f.after, f.path);
+    if (!after) continue;
+    const gone = [...before.exports].filter(name => !after.exports.has(name));
+    if (gone.length) removed.set(f.path, { file: f, names: new Set(gone) });
+  }
+  if (!removed.size) return [];
+
+  const planned = new Map(changeset.files.map(f => [f.path, f.after]));
+  const names = [...removed.values()].flatMap(r => [...r.names]);
+  const out = new Map();
+  for (const abs of new Set([...files(), ...planned.keys()])) {
+    let code;
+    try {
+      code = planned.has(abs) ? planned.get(abs) : readText(abs);
+    } catch {
+      continue;
+    }
+    // only parse files that could mention a removed name
+    if (!names.some(name => name === "default" || code.includes(name))) continue;
+    const info = moduleInfo(code, abs);
+    for (const imp of info?.imports || []) {
+      if (!imp.source.startsWith(".")) continue;
+      const target = resolveRelative(abs, imp.source);
+      const r = target !== abs && removed.get(target);
+      if (!r) continue;
+      for (const name of imp.names.filter(x => r.names.has(x))) {
+        const reason = `removes export '${name}' that ${path.relative(root, abs)} imports`;
+        out.set(`${r.file.path}\0${reason}`, { path: r.file.path, rule: "exports", reason });
+      }
+    }
+  }
+  return [...out.values()];
+}
+
+// policy: the `policy` config object. opts: { root, files() -> absolute project files }
+// Returns check(changeset) -> [{ path, rule, reason }]
+export function createPolicy(policy = {}, { root, files = () => [] }) {
+  const allowed = policy.allow?.length ? pathMatcher(policy.allow) : null;
+  const denied = pathMatcher(policy.deny);
+  const isProtected = pathMatcher(policy.protected);
+
+  return function check(changeset) {
+    const violations = [];
+    for (const f of changeset.files) {
+      const rel = f.relPath.split(path.sep).join("/");
+      const flag = (rule, reason) => violations.push({ path: f.path, rule, reason });
+      if (isProtected(rel)) flag("protected", `${rel} is a protected file`);
+      else if (denied(rel)) flag("deny", `${rel} matches a denied path`);
+      else if (allowed && !allowed(rel)) flag("allow", `${rel} is not under an allowed path`);
+      if (!f.existed && policy.newFiles === false) flag("new-file", `creating ${rel} is not allowed`);
+      if (f.existed && policy.replaceFile === false && f.strategies.includes("replace_file")) {
+        flag("replace-file", `replacing all of ${rel} is not allowed; edit the functions that need it`);
+      }
+      const changed = f.existed ? linesChanged(f) : 0;
+      if (policy.maxLinesChanged && changed > policy.maxLinesChanged) {
+        flag("max-lines", `${changed} lines changed in ${rel} (limit ${policy.maxLinesChanged})`);
+      }
+    }
+    if (policy.protectExports !== false) violations.push(...removedExports(changeset, { root, files }));
+    return violations;
+  };
+}
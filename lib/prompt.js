@@ -0,0 +1,105 @@
+// lib/prompt.js — fit a fix prompt into the fix model's token budget (config key
+// `promptTokens`). Context chunks come in priority order; a chunk nested in one already
+// taken is not repeated, and whatever does not fit is reported instead of silently
+// overflowing the model's context window. Tokens are estimated at ~4 chars each.
+
+import { estimateTokens } from "./util.js";
+import { splitLines, statementEndLines } from "./chunker.js";
+
+export const DEFAULT_PROMPT_TOKENS = 16000;
+
+// promptTokens: { default, "<model>": n }
+export function promptBudget(promptTokens, model) {
+  return promptTokens?.[model] ?? promptTokens?.default ?? DEFAULT_PROMPT_TOKENS;
+}
+
+// Whole lines from the start of `text` within maxTokens, ending with a note of what was cut.
+// Returns { text, omittedLines }
+export function truncateText(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return { text, omittedLines: 0 };
+  const lines = String(text).split("\n");
+  const maxChars = (maxTokens - 1) * 4 - 64; // room for the note
+  let chars = 0, kept = 0;
+  while (kept < lines.length && chars + lines[kept].length + 1 <= maxChars) chars += lines[kept++].length + 1;
+  const omittedLines = lines.length - kept;
+  return { text: [...lines.slice(0, kept), `… (${omittedLines} more line(s) cut to fit the prompt)`].join("\n"), omittedLines };
+}
+
+// Parts of at most maxTokens each, cut after a statement where one fits ({ part, parts })
+function splitChunk(c, maxTokens) {
+  const lines = c.text.split("\n");
+  const cuts = statementEndLines(c.text, c.filePath);
+  const parts = splitLines(lines, 1, lines.length, cuts, Math.max((maxTokens - 1) * 4, 1));
+  return parts.map((r, i) => ({
+    ...c,
+    startLine: c.startLine + r.start - 1,
+    endLine: c.startLine + r.end - 1,
+    text: r.text,
+    part: i + 1,
+    parts: parts.length,
+    labels: [...(c.labels || [])],
+  }));
+}
+
+// True when the taken chunks hold every line of c between them
+function covers(taken, c) {
+  let line = c.startLine;
+  for (const t of [...taken].sort((a, b) => a.startLine - b.startLine)) {
+    if (t.startLine > line) break;
+    line = Math.max(line, t.endLine + 1);
+  }
+  return line > c.endLine;
+}
+
+// chunks: [{ filePath, startLine, endLine, text, labels: [], required? }], highest priority first.
+// A chunk inside one already taken (or inside adjacent parts of a split one) only adds its labels to it (a nested function, a
+// stack frame inside a whole file); one that holds taken chunks replaces them when the
+// extra text fits. A single chunk may use at most half the budget, and a larger one is
+// split into parts on statement boundaries. A `required` chunk (the file being fixed) may
+// use all the budget left, and is split rather than left out when it does not fit.
+// Returns { chunks, omitted: [{ chunk, reason: "budget" | "too large" | "overlap" }], tokens }
+export function selectChunks(chunks, maxTokens) {
+  const taken = [];
+  const omitted = [];
+  const queue = [...chunks];
+  let tokens = 0;
+  while (queue.length) {
+    const c = queue.shift();
+    const cost = estimateTokens(c.text);
+    const overlapping = taken.filter(t => t.filePath === c.filePath && c.startLine <= t.endLine && c.endLine >= t.startLine);
+    const container = overlapping.find(t => t.startLine <= c.startLine && t.endLine >= c.endLine) ||
+      (covers(overlapping, c) ? overlapping.find(t => t.startLine <= c.startLine && t.endLine >= c.startLine) : null);
+    if (container) {
+      container.labels.push(...(c.labels || []).filter(l => !container.labels.includes(l)));
+      continue;
+    }
+    if (overlapping.some(t => t.startLine < c.startLine || t.endLine > c.endLine)) {
+      omitted.push({ chunk: c, reason: "overlap" });
+      continue;
+    }
+    const freed = overlapping.reduce((n, t) => n + t.tokens, 0);
+    const fits = tokens + cost - freed <= maxTokens;
+    if (cost > maxTokens / 2 && !(c.required && fits)) {
+      const parts = splitChunk(c, Math.floor(maxTokens / 2));
+      if (parts.length > 1) {
+        queue.unshift(...parts);
+        continue;
+      }
+      if (!c.required) {
+        omitted.push({ chunk: c, reason: "too large" });
+        continue;
+      }
+    }
+    if (!fits) {
+      omitted.push({ chunk: c, reason: "budget" });
+      continue;
+    }
+    tokens += cost - freed;
+    const entry = { ...c, tokens: cost, labels: [...overlapping.flatMap(t => t.labels), ...(c.labels || [])] };
+    // the wider chunk takes the place of the first one it holds
+    const at = overlapping.length ? taken.indexOf(overlapping[0]) : taken.length;
+    taken.splice(at, 0, entry);
+    for (const t of overlapping) taken.splice(taken.indexOf(t), 1);
+  }
+  return { chunks: taken.map(({ tokens: _, required: __, ...c }) => c), omitted, tokens };
+}
@@ -0,0 +1,177 @@
+// lib/providers.js — LLM / embedding provider layer
+// A provider exposes two calls used by main.js:
+//   embed(texts, { model })                          -> { embeddings, usage }
+//   complete({ model, messages, temperature, json }) -> { content, usage }
+// plus batching limits (maxEmbeddingInputs / maxEmbeddingTokens) for the indexer.
+
+import fs from "fs";
+import crypto from "crypto";
+import OpenAI from "openai";
+import { sha1 } from "./util.js";
+
+const DEFAULT_FAKE_DIMS = 256;
+const EMPTY_EDITS = JSON.stringify({ edits: [] });
+
+// Stable key for a completion request, used to record and replay responses
+export function completionKey({ model, messages }) {
+  return sha1(JSON.stringify({ model, messages: (messages || []).map(m => [m.role, m.content]) }));
+}
+
+export function embeddingKey(text) {
+  return sha1(String(text));
+}
+
+// ------------ OpenAI / OpenAI-compatible ------------
+export function createOpenAIProvider(options = {}) {
+  const name = options.name || (options.baseURL ? "openai-compatible" : "openai");
+  const jsonMode = options.jsonMode !== false;
+  let client = null;
+
+  // Created lazily so importing main.js never requires an API key
+  function getClient() {
+    if (client) return client;
+    const opts = {};
+    if (options.apiKey) opts.apiKey = options.apiKey;
+    if (options.baseURL) {
+      opts.baseURL = options.baseURL;
+      // local servers (Ollama, vLLM, LM Studio) usually ignore the key, but the SDK insists on one
+      if (!opts.apiKey && !process.env.OPENAI_API_KEY) opts.apiKey = "not-needed";
+    }
+    client = new OpenAI(opts);
+    return client;
+  }
+
+  return {
+    name,
+    maxEmbeddingInputs: options.maxEmbeddingInputs || 2048,
+    maxEmbeddingTokens: options.maxEmbeddingTokens || 250000,
+
+    async embed(texts, { model } = {}) {
+      const res = await getClient().embeddings.create({ model, input: texts });
+      return { embeddings: res.data.map(d => d.embedding), usage: res.usage || null };
+    },
+
+    async complete({ model, messages, temperature = 0.1, json = true } = {}) {
+      const req = { model, temperature, messages };
+      if (json && jsonMode) req.response_format = { type: "json_object" };
+      const resp = await getClient().chat.completions.create(req);
+      return { content: resp.choices?.[0]?.message?.content || "", usage: resp.usage || null };
+    },
+  };
+}
+
+// ------------ Fake (offline, deterministic) ------------
+// Feature-hashed bag of tokens: similar texts get similar vectors, so vector
+// search still behaves sensibly without any network access.
+function hashEmbedding(text, dims) {
+  const v = new Array(dims).fill(0);
+  const tokens = String(text).toLowerCase().match(/[a-z_$][a-z0-9_$]*|\d+/g) || [];
+  for (const t of tokens) {
+    const h = crypto.createHash("md5").update(t).digest();
+    const bucket = h.readUInt32LE(0) % dims;
+    v[bucket] += (h[4] & 1) ? 1 : -1;
+  }
+  const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0));
+  return norm ? v.map(x => x / norm) : v;
+}
+
+function loadFixtures(file) {
+  if (!file || !fs.existsSync(file)) return { completions: [], embeddings: {} };
+  const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return { completions: parsed.completions || [], embeddings: parsed.embeddings || {} };
+}
+
+// fixtures: { completions: [{ key?, match?, content }], embeddings: { [sha1(text)]: number[] } }
+// Completion lookup order: exact request key, then `match` substring of the last
+// user message, then the next unkeyed/unmatched entry in sequence, then empty edits.
+export function createFakeProvider(options = {}) {
+  const fixtures = options.fixtures || loadFixtures(options.fixturesFile);
+  const dims = options.dimensions || DEFAULT_FAKE_DIMS;
+  const completions = fixtures.completions || [];
+  const used = new Set();
+  const calls = [];
+
+  function pick(key, lastUser) {
+    let idx = completions.findIndex((c, i) => !used.has(i) && c.key === key);
+    if (idx < 0) idx = completions.findIndex((c, i) => !used.has(i) && !c.key && c.match && lastUser.includes(c.match));
+    if (idx < 0) idx = completions.findIndex((c, i) => !used.has(i) && !c.key && !c.match);
+    if (idx < 0) return null;
+    used.add(idx);
+    return completions[idx];
+  }
+
+  return {
+    name: "fake",
+    maxEmbeddingInputs: options.maxEmbeddingInputs || 2048,
+    maxEmbeddingTokens: options.maxEmbeddingTokens || 250000,
+    calls,
+
+    async embed(texts) {
+      calls.push({ type: "embed", count: texts.length });
+      const embeddings = texts.map(t => fixtures.embeddings?.[embeddingKey(t)] || hashEmbedding(t, dims));
+      return { embeddings, usage: null };
+    },
+
+    async complete(req = {}) {
+      const key = completionKey(req);
+      const lastUser = [...(req.messages || [])].reverse().find(m => m.role === "user")?.content || "";
+      const hit = pick(key, lastUser);
+      calls.push({ type: "complete", key, replayed: !!hit });
+      const content = hit ? (typeof hit.content === "string" ? hit.content : JSON.stringify(hit.content)) : EMPTY_EDITS;
+      return { content, usage: hit?.usage || null };
+    },
+  };
+}
+
+// ------------ Recording wrapper ------------
+// Wraps a real provider and writes every response into a fixtures file that
+// createFakeProvider() can replay later.
+export function createRecordingProvider(inner, file) {
+  const fixtures = loadFixtures(file);
+  const save = () => fs.writeFileSync(file, JSON.stringify(fixtures, null, 2), "utf-8");
+
+  return {
+    ...inner,
+    name: `${inner.name}+record`,
+
+    async embed(texts, opts) {
+      const res = await inner.embed(texts, opts);
+      texts.forEach((t, i) => { fixtures.embeddings[embeddingKey(t)] = res.embeddings[i]; });
+      save();
+      return res;
+    },
+
+    async complete(req) {
+      const res = await inner.complete(req);
+      fixtures.completions.push({ key: completionKey(req), content: res.content, usage: res.usage || undefined });
+      save();
+      return res;
+    },
+  };
+}
+
+// ------------ Factory ------------
+// options (or env): provider ("openai" | "openai-compatible" | "fake"), baseURL,
+// apiKey, fixturesFile, recordFile, jsonMode
+export function createProvider(options = {}) {
+  const env = process.env;
+  const baseURL = options.baseURL || env.LLM_FIXER_BASE_URL || "";
+  const kind = options.provider || env.LLM_FIXER_PROVIDER || (baseURL ? "openai-compatible" : "openai");
+  const recordFile = options.recordFile || env.LLM_FIXER_RECORD || "";
+
+  let provider;
+  if (kind === "fake") {
+    provider = createFakeProvider({ fixturesFile: options.fixturesFile || env.LLM_FIXER_FIXTURES, dimensions: options.dimensions });
+  } else if (kind === "openai" || kind === "openai-compatible") {
+    if (kind === "openai-compatible" && !baseURL) throw new Error("openai-compatible provider needs a baseURL (LLM_FIXER_BASE_URL)");
+    provider = createOpenAIProvider({
+      baseURL: kind === "openai-compatible" ? baseURL : undefined,
+      apiKey: options.apiKey || env.LLM_FIXER_API_KEY || undefined,
+      jsonMode: options.jsonMode ?? env.LLM_FIXER_JSON_MODE !== "0",
+    });
+  } else {
+    throw new Error(`unknown provider: ${kind}`);
+  }
+
+  return recordFile ? createRecordingProvider(provider, recordFile) : provider;
+}
@@ -0,0 +1,76 @@
+// lib/queue.js — errors captured by tryq()/help() in "suggest" and "report" mode, for
+// triage later (`node cli.js queue`). One JSON file per stack fingerprint under the
+// queue directory (config `queueDir`): a crash bundle (error, stack, context and the code
+// of the project frames), plus the model's proposal for a suggestion. Repeats of an
+// error only bump its count. Nothing here touches source files.
+
+import fs from "fs";
+import path from "path";
+import { sha1 } from "./util.js";
+import { parseStack } from "./stack.js";
+
+// Same error from the same code: the error name and its innermost project frames
+// (function and file, not line numbers, so unrelated edits keep the fingerprint).
+// Without project frames the message counts, with its numbers masked.
+export function errorFingerprint({ name, message, stack }, root) {
+  const frames = parseStack(stack)
+    .filter(f => f.file.startsWith(root + path.sep) && !f.file.includes(`${path.sep}node_modules${path.sep}`))
+    .slice(0, 5)
+    .map(f => `${f.fn}@${path.relative(root, f.file)}`);
+  const key = frames.length ? frames : [String(message || "").replace(/\d+/g, "N")];
+  return sha1([name || "Error", ...key].join("\n")).slice(0, 16);
+}
+
+function entryFile(dir, id) {
+  if (!/^[\w-]+$/.test(String(id))) throw new Error(`invalid queue id ${id}`);
+  return path.join(dir, `${id}.json`);
+}
+
+export function readEntry(dir, id) {
+  try {
+    return JSON.parse(fs.readFileSync(entryFile(dir, id), "utf-8"));
+  } catch (err) {
+    if (err.message.startsWith("invalid queue id")) throw err;
+    return null;
+  }
+}
+
+export function writeEntry(dir, entry) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = entryFile(dir, entry.id);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(entry, null, 2), "utf-8");
+  fs.renameSync(tmp, file);
+  return file;
+}
+
+export function removeEntry(dir, id) {
+  const file = entryFile(dir, id);
+  if (!fs.existsSync(file)) return false;
+  fs.rmSync(file);
+  return true;
+}
+
+// Every entry, most recently seen first
+export function listQueue(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(".json"))
+    .map(f => readEntry(dir, f.slice(0, -5)))
+    .filter(Boolean)
+    .sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+// Sliding window: allow() is true at most `max` times per windowMs
+export function createRateLimiter({ max, windowMs, now = Date.now }) {
+  const calls = [];
+  return {
+    allow() {
+      const t = now();
+      while (calls.length && calls[0] <= t - windowMs) calls.shift();
+      if (calls.length >= max) return false;
+      calls.push(t);
+      return true;
+    },
+  };
+}
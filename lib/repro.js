@@ -0,0 +1,82 @@
+// lib/repro.js — run a bug reproduction command (`node scripts/repro.js`, `npm start -- --once`)
+// and judge it: the error and stack are pulled out of its output, and the run passes when
+// the command exits 0 or, with an `expect` pattern, when its output matches that pattern.
+
+import { runCommand } from "./test-runner.js";
+
+const MAX_PROMPT_OUTPUT = 4000; // chars of each stream shown to the model
+
+// "/needle/i" or a plain regular expression source -> RegExp; null when unset. The g and
+// y flags are dropped: they make .test() resume at lastIndex, so the same pattern could
+// fail on the next round's (matching) output.
+export function expectPattern(expect) {
+  if (expect === undefined || expect === null || expect === "") return null;
+  const stateless = (flags) => flags.replace(/[gy]/g, "");
+  if (expect instanceof RegExp) return new RegExp(expect.source, stateless(expect.flags));
+  const m = String(expect).match(/^\/(.*)\/([a-z]*)$/s);
+  try {
+    return m ? new RegExp(m[1], stateless(m[2])) : new RegExp(String(expect));
+  } catch (err) {
+    throw new Error(`invalid expect pattern ${expect}: ${err.message}`);
+  }
+}
+
+// "TypeError: x is not a function", "Error [ERR_MODULE_NOT_FOUND]: ...", "Uncaught RangeError: ..."
+const ERROR_LINE = /^\s*(?:Uncaught\s+)?(?:[A-Z]\w*(?:Error|Exception)|Error)(?:\s*\[[\w-]+\])?:\s/;
+const FRAME_LINE = /^\s+at\s/;
+
+// The error a command printed: { message, stack }, preferring the first error line
+// followed by stack frames; null when the output holds none
+export function extractError(output) {
+  const lines = String(output || "").split(/\r?\n/);
+  let fallback = null;
+  for (let i = 0; i < lines.length; i++) {
+    if (!ERROR_LINE.test(lines[i])) continue;
+    let end = i + 1;
+    while (end < lines.length && FRAME_LINE.test(lines[end])) end++;
+    // V8 prints the failing "file:///a.js:3" above the message; for a syntax error that
+    // is the only pointer into the project
+    const header = lines.slice(Math.max(0, i - 6), i).find(l => /^(?:file:\/\/)?\/\S*:\d+$/.test(l.trim()));
+    const stack = [lines[i], ...(header ? [`    at ${header.trim()}`] : []), ...lines.slice(i + 1, end)];
+    const error = { message: lines[i].trim().replace(/^Uncaught\s+/, ""), stack: stack.join("\n") };
+    if (end > i + 1) return error;
+    fallback = fallback || error;
+  }
+  return fallback;
+}
+
+// Run the command once. opts: { cwd, timeoutMs, env, expect (pattern, see expectPattern) }
+// Returns { ok, command, exitCode, signal, timedOut, stdout, stderr, durationMs, matched, error: { message, stack } }
+// with `error` null when the run is ok
+export async function runRepro(command, opts = {}) {
+  const expect = expectPattern(opts.expect);
+  const proc = await runCommand(command, { cwd: opts.cwd, timeoutMs: opts.timeoutMs, env: opts.env });
+  const output = `${proc.stdout}\n${proc.stderr}`;
+  const matched = expect ? expect.test(output) : null;
+  const ok = !proc.timedOut && (expect ? matched : proc.exitCode === 0);
+  if (ok) return { ok, command, ...proc, matched, error: null };
+
+  const printed = extractError(proc.stderr) || extractError(proc.stdout);
+  const lastLine = proc.stderr.trim().split(/\r?\n/).pop();
+  const status = proc.timedOut ? `timed out after ${opts.timeoutMs}ms`
+    : proc.exitCode === null ? `was killed by ${proc.signal || "a signal"}` : `exited with code ${proc.exitCode}`;
+  const message = printed?.message
+    || (proc.exitCode === 0 && expect ? `output does not match ${expect}` : `${command} ${status}${lastLine ? `: ${lastLine}` : ""}`);
+  return { ok, command, ...proc, matched, error: { message, stack: printed?.stack || "" } };
+}
+
+function tail(text) {
+  return text.length > MAX_PROMPT_OUTPUT ? `…(truncated)\n${text.slice(-MAX_PROMPT_OUTPUT)}` : text;
+}
+
+// What the model is told about a failed run
+export function formatRun(run, expect) {
+  const pattern = expectPattern(expect);
+  return [
+    `Command: ${run.command}`,
+    run.timedOut ? "Timed out." : `Exit code: ${run.exitCode}${run.signal ? ` (signal ${run.signal})` : ""}`,
+    pattern && `Expected output matching ${pattern}${run.matched ? "" : " (not found)"}`,
+    run.stderr.trim() && `stderr:\n${tail(run.stderr.trim())}`,
+    run.stdout.trim() && `stdout:\n${tail(run.stdout.trim())}`,
+  ].filter(Boolean).join("\n");
+}
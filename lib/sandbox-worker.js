@@ -0,0 +1,69 @@
+// lib/sandbox-worker.js — worker entry used by lib/sandbox.js
+// Imports the target module (through lib/ts-loader.js for TypeScript), picks the
+// export to run and posts the outcome back.
+
+import { parentPort, workerData } from "worker_threads";
+import { inspect } from "util";
+
+// structuredClone (Node 17) and module.register (Node 18.19 / 20.6); without them results
+// would silently come back inspected and TypeScript would not load, so refuse to run
+const [major, minor] = process.versions.node.split(".").map(Number);
+if (major < 18 || (major === 18 && minor < 19) || (major === 20 && minor < 6) || major === 19) {
+  throw new Error(`the sandbox needs Node 18.19+ or 20.6+ (running ${process.version})`);
+}
+
+function serializeError(err) {
+  if (err && typeof err === "object") {
+    return { name: err.name || "Error", message: err.message || String(err), stack: err.stack || "", code: err.code };
+  }
+  return { name: "Error", message: String(err), stack: "" };
+}
+
+// Values that cannot cross the thread boundary are sent as their inspected form
+function serializeValue(v) {
+  try {
+    structuredClone(v);
+    return v;
+  } catch {
+    return inspect(v, { depth: 4 });
+  }
+}
+
+function post(msg) {
+  parentPort.postMessage({ type: "result", ...msg });
+}
+
+const { file, exportName, args = [], typescript, root } = workerData;
+
+if (typescript) {
+  // transpile .ts on import and map stack traces back to the .ts source
+  const { register } = await import("module");
+  register("./ts-loader.js", { parentURL: import.meta.url, data: { root } });
+  process.setSourceMapsEnabled(true);
+}
+
+let mod;
+try {
+  mod = await import(file);
+} catch (err) {
+  post({ ok: false, phase: "import", error: serializeError(err) });
+}
+
+if (mod) {
+  // prefer the named export, then default, then the first exported function
+  const candidate = mod[exportName] || mod.default || Object.values(mod).find(v => typeof v === "function");
+  if (typeof candidate !== "function") {
+    post({
+      ok: false,
+      phase: "resolve",
+      error: { name: "Error", message: `No runnable export found (tried '${exportName}', default, and first export)`, stack: "" },
+    });
+  } else {
+    try {
+      const out = await candidate(...args);
+      post({ ok: true, out: serializeValue(out) });
+    } catch (err) {
+      post({ ok: false, phase: "run", error: serializeError(err) });
+    }
+  }
+}
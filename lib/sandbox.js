@@ -0,0 +1,72 @@
+// lib/sandbox.js — run a module export in an isolated worker thread
+// Each call gets a fresh worker (and so a fresh ESM cache), a wall-clock
+// timeout, V8 heap limits and captured stdout/stderr. process.exit(), infinite
+// loops and out-of-memory crashes end the worker, not the fixer.
+
+import path from "path";
+import { Worker } from "worker_threads";
+import { pathToFileURL, fileURLToPath } from "url";
+import { isTypeScriptFile } from "./typescript.js";
+
+const WORKER_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "sandbox-worker.js");
+const MAX_OUTPUT = 64 * 1024; // chars kept per stream
+
+// opts: { exportName, args, timeoutMs, maxMemoryMb, root }. TypeScript targets are
+// transpiled on import; `root` is where the typescript package is looked up first.
+// Returns { ok, out, phase, error: { name, message, stack, code }, stdout, stderr, timedOut, exitCode, durationMs }
+// phase is "import" | "resolve" | "run" | "timeout" | "exit" | "crash" when ok is false
+export function runInSandbox(absPath, opts = {}) {
+  const { exportName = "run", args = [], timeoutMs = 30000, maxMemoryMb = 512, root = path.dirname(absPath) } = opts;
+  const started = Date.now();
+
+  return new Promise((resolve) => {
+    let stdout = "", stderr = "", settled = false;
+    const worker = new Worker(WORKER_FILE, {
+      workerData: { file: pathToFileURL(absPath).href, exportName, args, typescript: isTypeScriptFile(absPath), root },
+      stdout: true,
+      stderr: true,
+      resourceLimits: { maxOldGenerationSizeMb: maxMemoryMb },
+    });
+    worker.stdout.on("data", d => { if (stdout.length < MAX_OUTPUT) stdout += d; });
+    worker.stderr.on("data", d => { if (stderr.length < MAX_OUTPUT) stderr += d; });
+
+    const finish = (result, terminate = true) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      // give piped output a tick to drain before reporting
+      setImmediate(() => resolve({ stdout, stderr, timedOut: false, durationMs: Date.now() - started, ...result }));
+      if (terminate) worker.terminate().catch(() => {});
+    };
+
+    const timer = setTimeout(() => finish({
+      ok: false,
+      phase: "timeout",
+      timedOut: true,
+      error: { name: "TimeoutError", message: `Execution timed out after ${timeoutMs}ms (possible infinite loop or unresolved promise)`, stack: "" },
+    }), timeoutMs);
+
+    worker.on("message", (msg) => {
+      if (msg?.type === "result") finish(msg);
+    });
+    worker.on("error", (err) => {
+      const oom = err?.code === "ERR_WORKER_OUT_OF_MEMORY";
+      finish({
+        ok: false,
+        phase: "crash",
+        error: {
+          name: err?.name || "Error",
+          message: oom ? `Out of memory (heap limit ${maxMemoryMb}MB exceeded)` : (err?.message || String(err)),
+          stack: err?.stack || "",
+          code: err?.code,
+        },
+      }, false);
+    });
+    worker.on("exit", (code) => finish({
+      ok: false,
+      phase: "exit",
+      exitCode: code,
+      error: { name: "ExitError", message: `process.exit(${code}) was called before the export returned`, stack: "" },
+    }, false));
+  });
+}
@@ -0,0 +1,85 @@
+// lib/scratch.js — a throwaway copy of the project for trying out change sets
+// Only the project's own files are copied. node_modules is symlinked: dependencies are
+// only read. Other directories the file filter skips (excluded globs, .gitignore'd build
+// output like dist/) are created empty, so a validation step that writes to them (a
+// build, a cache) stays inside the copy; skipped files are still copied. .git and the
+// fixer's state dir are left out. Each candidate writes its files, is validated, and is reset.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { writeText } from "./util.js";
+import { STATE_DIR } from "./config.js";
+
+const SKIP = new Set([".git", STATE_DIR]);
+
+// skip(absPath, isDir) -> true for directories that are created empty rather than copied
+function copyTree(src, dest, skip) {
+  fs.mkdirSync(dest, { recursive: true });
+  for (const ent of fs.readdirSync(src, { withFileTypes: true })) {
+    if (SKIP.has(ent.name)) continue;
+    const from = path.join(src, ent.name);
+    const to = path.join(dest, ent.name);
+    if (ent.isSymbolicLink()) {
+      fs.symlinkSync(fs.readlinkSync(from), to);
+    } else if (ent.isDirectory() && ent.name === "node_modules") {
+      fs.symlinkSync(from, to);
+    } else if (ent.isDirectory()) {
+      if (skip(from, true)) fs.mkdirSync(to);
+      else copyTree(from, to, skip);
+    } else if (ent.isFile()) {
+      fs.copyFileSync(from, to);
+    }
+  }
+}
+
+// Replace symlinks on the way to relPath with real directories (of links, one level
+// deep) so that writing the file never reaches through to the project itself
+function materialize(dir, relPath) {
+  let at = dir;
+  for (const part of relPath.split(path.sep)) {
+    at = path.join(at, part);
+    let stat;
+    try { stat = fs.lstatSync(at); } catch { return; }
+    if (!stat.isSymbolicLink()) continue;
+    const target = path.resolve(path.dirname(at), fs.readlinkSync(at));
+    fs.unlinkSync(at);
+    if (!fs.statSync(target, { throwIfNoEntry: false })?.isDirectory()) {
+      if (fs.existsSync(target)) fs.copyFileSync(target, at);
+      return;
+    }
+    fs.mkdirSync(at);
+    for (const name of fs.readdirSync(target)) fs.symlinkSync(path.join(target, name), path.join(at, name));
+  }
+}
+
+// options: { skip(absPath, isDir) } — the project's file filter (createFileFilter)
+export function createScratch(root, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixer-scratch-"));
+  copyTree(root, dir, options.skip || (() => false));
+  const at = (relPath) => path.join(dir, relPath);
+
+  return {
+    dir,
+    // Mirror a change set's file paths into the scratch tree
+    pathOf(absPath) {
+      return at(path.relative(root, absPath));
+    },
+    // Write the change set's `after` content; returns a function that undoes it
+    apply(changeset) {
+      for (const f of changeset.files) {
+        materialize(dir, f.relPath);
+        writeText(at(f.relPath), f.after);
+      }
+      return () => {
+        for (const f of changeset.files) {
+          if (f.existed) writeText(at(f.relPath), f.before);
+          else fs.rmSync(at(f.relPath), { force: true });
+        }
+      };
+    },
+    dispose() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,182 @@
+// lib/stack.js — parse V8 stack traces, map frames through source maps and
+// resolve each frame to the enclosing chunk from extractFunctionChunks()
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { readText } from "./util.js";
+import { extractFunctionChunks } from "./chunker.js";
+
+const FRAME_WINDOW = 20; // lines either side when no function encloses the frame
+const OWN_DIR = path.dirname(fileURLToPath(import.meta.url)); // frames from the fixer itself (sandbox worker) are skipped
+
+// "    at fn (file:///a.js:1:2)", "at async file:///a.js:1:2", "TestContext.<anonymous> (/a.js:4:28)",
+// and the "file:///a.js:3" header V8 prints above syntax errors
+const FRAME_RE = /^\s*(?:at\s+)?(?:async\s+)?(?:(.*?)\s+\()?((?:file:\/\/)?(?:\/|[A-Za-z]:[\\/])[^()]*?):(\d+)(?::(\d+))?\)?\s*$/;
+
+function toPath(file) {
+  const clean = file.replace(/\?[^:]*$/, ""); // drop cache-busting queries like ?t=123
+  if (clean.startsWith("file://")) {
+    try { return fileURLToPath(clean); } catch { return null; }
+  }
+  return clean;
+}
+
+export function parseStack(stack) {
+  const frames = [];
+  for (const raw of String(stack || "").split(/\r?\n/)) {
+    const m = raw.match(FRAME_RE);
+    if (!m) continue;
+    const file = toPath(m[2]);
+    if (!file) continue;
+    frames.push({ fn: m[1] || "<anonymous>", file, line: Number(m[3]), column: m[4] ? Number(m[4]) : 0, raw: raw.trim() });
+  }
+  return frames;
+}
+
+// ------------ Source maps ------------
+const B64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const B64_INDEX = Object.fromEntries([...B64].map((c, i) => [c, i]));
+
+function decodeVlq(segment) {
+  const out = [];
+  let value = 0, shift = 0;
+  for (const ch of segment) {
+    const digit = B64_INDEX[ch];
+    if (digit === undefined) break;
+    value += (digit & 31) << shift;
+    if (digit & 32) { shift += 5; continue; }
+    out.push(value & 1 ? -(value >>> 1) : value >>> 1);
+    value = 0;
+    shift = 0;
+  }
+  return out;
+}
+
+// Decoded into per-line arrays of [genCol, srcIdx, srcLine, srcCol] (all 0-based)
+function decodeMappings(mappings) {
+  const lines = [];
+  let srcIdx = 0, srcLine = 0, srcCol = 0;
+  for (const lineStr of mappings.split(";")) {
+    const segs = [];
+    let genCol = 0;
+    for (const seg of lineStr.split(",")) {
+      if (!seg) continue;
+      const v = decodeVlq(seg);
+      genCol += v[0];
+      if (v.length >= 4) {
+        srcIdx += v[1];
+        srcLine += v[2];
+        srcCol += v[3];
+        segs.push([genCol, srcIdx, srcLine, srcCol]);
+      }
+    }
+    lines.push(segs);
+  }
+  return lines;
+}
+
+const mapCache = new Map();
+
+function loadSourceMap(file) {
+  if (mapCache.has(file)) return mapCache.get(file);
+  let map = null;
+  try {
+    const code = readText(file);
+    const m = [...code.matchAll(/\/\/[#@]\s*sourceMappingURL=(\S+)/g)].pop();
+    if (m) {
+      const url = m[1];
+      let json, base = path.dirname(file);
+      if (url.startsWith("data:")) {
+        const data = url.slice(url.indexOf(",") + 1);
+        json = /;base64/.test(url.slice(0, url.indexOf(","))) ? Buffer.from(data, "base64").toString("utf-8") : decodeURIComponent(data);
+      } else {
+        const mapFile = path.resolve(base, url);
+        json = readText(mapFile);
+        base = path.dirname(mapFile);
+      }
+      const raw = JSON.parse(json);
+      const sourceRoot = raw.sourceRoot || "";
+      map = {
+        sources: (raw.sources || []).map(s => {
+          const p = s.startsWith("file://") ? toPath(s) : s;
+          return path.resolve(base, sourceRoot, p);
+        }),
+        lines: decodeMappings(raw.mappings || ""),
+      };
+    }
+  } catch {
+    map = null;
+  }
+  mapCache.set(file, map);
+  return map;
+}
+
+// Map a frame back to original source if the file has a source map
+export function applySourceMap(frame) {
+  const map = loadSourceMap(frame.file);
+  const segs = map?.lines[frame.line - 1];
+  if (!segs?.length) return frame;
+  const col = Math.max(0, frame.column - 1);
+  let best = segs[0];
+  for (const s of segs) if (s[0] <= col) best = s; else break;
+  const source = map.sources[best[1]];
+  if (!source) return frame;
+  return { ...frame, file: source, line: best[2] + 1, column: best[3] + 1, generated: { file: frame.file, line: frame.line, column: frame.column } };
+}
+
+// ------------ Frame -> chunk ------------
+function isProjectFile(file, root) {
+  return file.startsWith(root + path.sep) && !file.startsWith(OWN_DIR + path.sep) &&
+    !file.includes(`${path.sep}node_modules${path.sep}`) && fs.existsSync(file);
+}
+
+// Resolve project frames to the innermost enclosing function chunk (for a long function,
+// the part holding the frame line), or a line window around top-level frames. Returns chunks with a `frame` field, deduped.
+// opts: { root, maxFrames, maxChunkLen }
+export function resolveFrameChunks(stack, opts) {
+  const { root, maxFrames = 5, maxChunkLen = 3000 } = opts;
+  const frames = parseStack(stack).map(applySourceMap).filter(f => isProjectFile(f.file, root));
+  const seen = new Set();
+  const out = [];
+
+  for (const frame of frames) {
+    if (out.length >= maxFrames) break;
+    let code;
+    try { code = readText(frame.file); } catch { continue; }
+
+    const enclosing = extractFunctionChunks(code, frame.file, maxChunkLen)
+      .filter(c => c.kind === "function" && c.startLine <= frame.line && c.endLine >= frame.line)
+      .sort((a, b) => (a.endLine - a.startLine) - (b.endLine - b.startLine))[0];
+
+    let chunk;
+    if (enclosing) {
+      chunk = enclosing;
+    } else {
+      // top-level code
+      const lines = code.split(/\r?\n/);
+      const startLine = Math.max(1, frame.line - FRAME_WINDOW);
+      const endLine = Math.min(lines.length, frame.line + FRAME_WINDOW);
+      chunk = {
+        id: `${frame.file}:${startLine}-${endLine}`,
+        filePath: frame.file,
+        kind: "frame",
+        name: path.basename(frame.file),
+        startLine,
+        endLine,
+        text: lines.slice(startLine - 1, endLine).join("\n"),
+      };
+    }
+    const key = `${chunk.filePath}:${chunk.startLine}-${chunk.endLine}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ ...chunk, frame });
+  }
+  return out;
+}
+
+// Project files (absolute) the stack passes through, innermost frame first
+export function stackFiles(stack, root) {
+  const files = parseStack(stack).map(applySourceMap).map(f => f.file).filter(f => isProjectFile(f, root));
+  return [...new Set(files)];
+}
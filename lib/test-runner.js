@@ -0,0 +1,234 @@
+// lib/test-runner.js — run a test suite in a child process and parse per-test results
+// Supported: node:test (TAP reporter), Jest (--json), Mocha (json reporter), or any
+// command that prints TAP; anything else is judged by its exit code alone.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { parseStack } from "./stack.js";
+
+const MAX_OUTPUT = 1024 * 1024; // chars kept per stream
+
+export function detectRunner(command = "") {
+  if (/\bjest\b/.test(command)) return "jest";
+  if (/\bmocha\b/.test(command)) return "mocha";
+  if (/\bnode\b.*\s--test\b/.test(command)) return "node";
+  return "command";
+}
+
+// Build the command line for a runner, adding the flags needed for parseable output.
+// opts: { runner, command, files }
+export function buildTestCommand(opts, outFile) {
+  const runner = opts.runner || detectRunner(opts.command);
+  const files = (opts.files || []).map(f => JSON.stringify(f)).join(" ");
+  const base = opts.command || {
+    node: "node --test",
+    jest: "npx jest",
+    mocha: "npx mocha",
+  }[runner];
+  if (!base) throw new Error("test command required for the generic runner");
+  // node's own flags must come before any file arguments
+  if (runner === "node") {
+    const cmd = /--test-reporter/.test(base) ? base : base.replace(/(^|\s)--test(?=\s|$)/, "$1--test --test-reporter=tap");
+    return { runner, command: [cmd, files].filter(Boolean).join(" ") };
+  }
+  const extra = {
+    jest: `--json --outputFile=${JSON.stringify(outFile)}`,
+    mocha: `--reporter json --reporter-option output=${JSON.stringify(outFile)}`,
+    command: "",
+  }[runner];
+  return { runner, command: [base, extra, files].filter(Boolean).join(" ") };
+}
+
+export function runCommand(command, { cwd, timeoutMs = 120000, env } = {}) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const detached = process.platform !== "win32";
+    const child = spawn(command, { cwd, shell: true, detached, env: { ...process.env, ...env } });
+    let stdout = "", stderr = "", timedOut = false;
+    child.stdout.on("data", d => { if (stdout.length < MAX_OUTPUT) stdout += d; });
+    child.stderr.on("data", d => { if (stderr.length < MAX_OUTPUT) stderr += d; });
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try { detached ? process.kill(-child.pid, "SIGKILL") : child.kill("SIGKILL"); } catch {}
+    }, timeoutMs);
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      resolve({ exitCode: null, signal: null, stdout, stderr: stderr + String(err?.message || err), timedOut, durationMs: Date.now() - started });
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      resolve({ exitCode: code, signal, stdout, stderr, timedOut, durationMs: Date.now() - started });
+    });
+  });
+}
+
+// ------------ Parsers ------------
+function unquoteYaml(v) {
+  v = v.trim();
+  if (v.startsWith("'") && v.endsWith("'")) return v.slice(1, -1).replace(/''/g, "'");
+  if (v.startsWith('"') && v.endsWith('"')) {
+    try { return JSON.parse(v); } catch { return v.slice(1, -1); }
+  }
+  return v;
+}
+
+// Minimal reader for the YAML diagnostic block that follows a TAP test line
+function parseYamlBlock(lines) {
+  const out = {};
+  const indent = lines.length ? lines[0].match(/^\s*/)[0].length : 0;
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(/^(\s*)([A-Za-z_]+):\s?(.*)$/);
+    if (!m || m[1].length !== indent) continue;
+    const [, , key, rest] = m;
+    if (rest === "|-" || rest === "|" || rest === ">-" || rest === "") {
+      const body = [];
+      while (i + 1 < lines.length && lines[i + 1].match(/^\s*/)[0].length > indent) body.push(lines[++i].trim());
+      out[key] = body.join("\n");
+    } else {
+      out[key] = unquoteYaml(rest);
+    }
+  }
+  return out;
+}
+
+export function parseTap(text) {
+  const lines = String(text).split(/\r?\n/);
+  const tests = [];
+  const subtests = []; // names of enclosing "# Subtest:" headers by depth
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const sub = line.match(/^(\s*)# Subtest: (.*)$/);
+    if (sub) {
+      const depth = Math.floor(sub[1].length / 4);
+      subtests.length = depth;
+      subtests[depth] = sub[2];
+      continue;
+    }
+    const m = line.match(/^(\s*)(not ok|ok) \d+(?: - (.*?))?(?:\s+#\s*(SKIP|TODO)\b.*)?$/i);
+    if (!m) continue;
+    const depth = Math.floor(m[1].length / 4);
+    const name = [...subtests.slice(0, depth), m[3] || "(unnamed)"].join(" > ");
+
+    // YAML block between "---" and "..."
+    let diag = {};
+    if (lines[i + 1]?.trim() === "---") {
+      const block = [];
+      let j = i + 2;
+      while (j < lines.length && lines[j].trim() !== "...") block.push(lines[j++]);
+      diag = parseYamlBlock(block);
+      i = j;
+    }
+    if (diag.failureType === "subtestsFailed") continue; // parent of a failing subtest
+    const status = m[4] ? "skip" : m[2] === "ok" ? "pass" : "fail";
+    tests.push({
+      name,
+      status,
+      message: status === "fail" ? (diag.error || diag.message || "") : "",
+      stack: diag.stack || "",
+      expected: diag.expected,
+      actual: diag.actual,
+    });
+  }
+  return tests;
+}
+
+export function parseJestJson(json) {
+  const tests = [];
+  for (const file of json.testResults || []) {
+    for (const a of file.assertionResults || []) {
+      const msg = (a.failureMessages || []).join("\n");
+      tests.push({
+        name: a.fullName || a.title,
+        file: file.name,
+        status: a.status === "passed" ? "pass" : a.status === "failed" ? "fail" : "skip",
+        message: msg.split("\n")[0] || "",
+        stack: msg,
+      });
+    }
+    // suite-level failure (e.g. the file itself does not compile)
+    if (!file.assertionResults?.length && file.status === "failed") {
+      tests.push({ name: file.name, file: file.name, status: "fail", message: file.message || "", stack: file.message || "" });
+    }
+  }
+  return tests;
+}
+
+export function parseMochaJson(json) {
+  const tests = [];
+  for (const t of json.passes || []) tests.push({ name: t.fullTitle, file: t.file, status: "pass", message: "", stack: "" });
+  for (const t of json.failures || []) {
+    tests.push({ name: t.fullTitle, file: t.file, status: "fail", message: t.err?.message || "", stack: t.err?.stack || "" });
+  }
+  for (const t of json.pending || []) tests.push({ name: t.fullTitle, file: t.file, status: "skip", message: "", stack: "" });
+  return tests;
+}
+
+function readJson(file) {
+  try { return JSON.parse(fs.readFileSync(file, "utf-8")); } catch { return null; }
+}
+
+// Run the suite once. opts: { runner, command, files, cwd, timeoutMs }
+// Returns { ok, runner, command, exitCode, timedOut, tests, failed, stdout, stderr, durationMs }
+export async function runTests(opts = {}) {
+  const outFile = path.join(os.tmpdir(), `llm-fixer-tests-${process.pid}-${Date.now()}.json`);
+  const { runner, command } = buildTestCommand(opts, outFile);
+  const proc = await runCommand(command, { cwd: opts.cwd, timeoutMs: opts.timeoutMs });
+
+  let tests = [];
+  if (runner === "jest" || runner === "mocha") {
+    const json = readJson(outFile);
+    if (json) tests = runner === "jest" ? parseJestJson(json) : parseMochaJson(json);
+    try { fs.unlinkSync(outFile); } catch {}
+  } else {
+    tests = parseTap(proc.stdout);
+  }
+
+  const failed = tests.filter(t => t.status === "fail");
+  const ok = proc.exitCode === 0 && !proc.timedOut && failed.length === 0;
+  return { ok, runner, command, ...proc, tests, failed };
+}
+
+// Compare two runs by test name
+export function compareRuns(before, after) {
+  const prev = new Map((before?.tests || []).map(t => [t.name, t.status]));
+  const fixed = [], regressed = [], stillFailing = [], newFailing = [];
+  for (const t of after.tests) {
+    const was = prev.get(t.name);
+    if (t.status === "pass" && was === "fail") fixed.push(t.name);
+    else if (t.status === "fail" && was === "pass") regressed.push(t.name);
+    else if (t.status === "fail" && was === "fail") stillFailing.push(t.name);
+    else if (t.status === "fail" && !was) newFailing.push(t.name);
+  }
+  return { fixed, regressed, stillFailing, newFailing };
+}
+
+// Failures as prompt text; falls back to raw output when nothing was parsed
+export function formatFailures(run, maxChars = 8000) {
+  let text;
+  if (run.failed.length) {
+    text = run.failed.map((t, i) => [
+      `${i + 1}) ${t.name}${t.file ? ` [${t.file}]` : ""}`,
+      t.message,
+      t.expected !== undefined ? `expected: ${t.expected}\nactual: ${t.actual}` : "",
+      t.stack,
+    ].filter(Boolean).join("\n")).join("\n\n");
+  } else {
+    text = `${run.timedOut ? "Test command timed out.\n" : ""}Exit code ${run.exitCode}\n${run.stderr || run.stdout}`;
+  }
+  return text.length > maxChars ? text.slice(0, maxChars) + "\n…(truncated)" : text;
+}
+
+// Source files (inside root, outside node_modules) mentioned in failure stacks
+export function failureFiles(run, root) {
+  const found = new Set();
+  const text = run.failed.map(t => `${t.stack}\n${t.message}`).join("\n") + (run.failed.length ? "" : run.stderr);
+  for (const frame of parseStack(text)) {
+    const abs = path.resolve(frame.file);
+    if (abs.startsWith(root + path.sep) && !abs.includes(`${path.sep}node_modules${path.sep}`) && fs.existsSync(abs)) {
+      found.add(path.relative(root, abs));
+    }
+  }
+  return [...found];
+}
@@ -0,0 +1,76 @@
+// lib/transcript.js — per-session audit log
+// Every event of a fix session (the run's arguments, the error before each round,
+// retrieved chunks, prompts, raw model responses, the tokens, cost and latency of
+// each model call, edits and their results, the final outcome) is appended as one JSON line to
+// <root>/.llm-fixer/sessions/<id>/transcript.jsonl, next to the rollback manifest.
+
+import fs from "fs";
+import path from "path";
+import { ensureDir, readText } from "./util.js";
+import { sessionsDir, sessionFile, isSessionId } from "./changeset.js";
+
+export function transcriptPath(root, sessionId) {
+  return sessionFile(root, sessionId, "transcript.jsonl");
+}
+
+export function hasTranscript(root, sessionId) {
+  return fs.existsSync(transcriptPath(root, sessionId));
+}
+
+// In-process listeners see every event as it is recorded (the server streams them)
+const listeners = new Set();
+
+// listener(sessionId, event); returns a function that unsubscribes
+export function onEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Append one event; failures to write the log never break a fix
+export function recordEvent(root, sessionId, type, data = {}) {
+  if (!sessionId) return;
+  const event = { at: Date.now(), type, ...data };
+  const file = transcriptPath(root, sessionId);
+  try {
+    ensureDir(path.dirname(file));
+    fs.appendFileSync(file, JSON.stringify(event) + "\n", "utf-8");
+  } catch (err) {
+    // the audit log is best effort
+  }
+  for (const listener of listeners) {
+    try { listener(sessionId, event); } catch {}
+  }
+}
+
+// The first "session" event describes how the session was started (used by replay)
+export function startSession(root, sessionId, meta) {
+  if (hasTranscript(root, sessionId)) return false;
+  recordEvent(root, sessionId, "session", { id: sessionId, ...meta });
+  return true;
+}
+
+export function readTranscript(root, sessionId) {
+  const file = transcriptPath(root, sessionId);
+  if (!fs.existsSync(file)) throw new Error(`no transcript for session ${sessionId}`);
+  return readText(file).split("\n").filter(Boolean).map(line => JSON.parse(line));
+}
+
+export function listTranscripts(root) {
+  const dir = sessionsDir(root);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(id => isSessionId(id) && hasTranscript(root, id)).sort();
+}
+
+// Recorded responses in order (with the usage the API reported), as fixtures for createFakeProvider()
+export function replayFixtures(events) {
+  return { completions: events.filter(e => e.type === "response").map(e => ({ content: e.content, usage: e.usage || undefined })), embeddings: {} };
+}
+
+// Error before each round plus the final outcome, for comparing a replay with the original
+export function roundErrors(events) {
+  return events.filter(e => e.type === "round").map(e => ({ round: e.round, error: e.error?.message ?? e.error ?? null }));
+}
+
+export function sessionOutcome(events) {
+  return [...events].reverse().find(e => e.type === "end") || null;
+}
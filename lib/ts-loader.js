@@ -0,0 +1,58 @@
+// lib/ts-loader.js — ESM loader hooks the sandbox worker registers for TypeScript
+// targets: .ts/.tsx/.mts files are transpiled on load, and the "./x.js" or
+// extensionless specifiers TypeScript code uses resolve to the .ts source.
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { loadTypeScript, isTypeScriptFile, transpileTypeScript } from "./typescript.js";
+
+let ts = null;
+
+export async function initialize(data = {}) {
+  ts = loadTypeScript(data.root);
+}
+
+function isTsUrl(url) {
+  return url?.startsWith("file:") && isTypeScriptFile(fileURLToPath(url));
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    if (!/^\.{1,2}\//.test(specifier) || !isTsUrl(context.parentURL)) throw err;
+    const candidates = [
+      specifier.replace(/\.(m|c)?js$/, ".$1ts"),
+      specifier.replace(/\.jsx$/, ".tsx"),
+      `${specifier}.ts`,
+      `${specifier}.tsx`,
+      `${specifier}/index.ts`,
+    ];
+    for (const candidate of new Set(candidates)) {
+      if (candidate === specifier) continue;
+      try {
+        return await nextResolve(candidate, context);
+      } catch {
+        // try the next spelling
+      }
+    }
+    throw err;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  // .cts stays with Node's CommonJS loader
+  if (!isTsUrl(url) || url.endsWith(".cts")) return nextLoad(url, context);
+  const file = fileURLToPath(url);
+  if (!ts) throw new Error(`cannot run ${file}: install the optional 'typescript' package (npm i -D typescript)`);
+
+  const { code, diagnostics } = transpileTypeScript(ts, fs.readFileSync(file, "utf-8"), file);
+  if (diagnostics.length) {
+    const d = diagnostics[0];
+    const err = new SyntaxError(`${d.message} (TS${d.code})`);
+    // a frame at the error position, so the fix prompt gets the surrounding code
+    if (d.line) err.stack = `SyntaxError: ${err.message}\n    at ${file}:${d.line}:${d.column}`;
+    throw err;
+  }
+  return { format: "module", source: code, shortCircuit: true };
+}
@@ -0,0 +1,110 @@
+// lib/typescript.js — optional TypeScript support: transpiling for the sandbox
+// loader hook (lib/ts-loader.js) and `tsc --noEmit` style diagnostics.
+// The `typescript` package is optional; the project's own copy is preferred over
+// the one installed next to the fixer.
+
+import path from "path";
+import { createRequire } from "module";
+
+export const TS_EXTS = [".ts", ".tsx", ".mts", ".cts"];
+
+// Diagnostics about the environment (missing @types, untyped packages) that no
+// edit to the project's source can fix
+const ENVIRONMENT_CODES = new Set([2580, 2591, 2688, 7016]);
+
+export function isTypeScriptFile(p) {
+  return TS_EXTS.includes(path.extname(p || "").toLowerCase());
+}
+
+const loaded = new Map();
+export function loadTypeScript(root = process.cwd()) {
+  if (loaded.has(root)) return loaded.get(root);
+  let ts = null;
+  for (const base of [path.join(root, "package.json"), import.meta.url]) {
+    try {
+      ts = createRequire(base)("typescript");
+      break;
+    } catch {
+      // not installed there
+    }
+  }
+  loaded.set(root, ts);
+  return ts;
+}
+
+function diagnosticInfo(ts, d, root) {
+  const pos = d.file && d.start !== undefined ? d.file.getLineAndCharacterOfPosition(d.start) : null;
+  return {
+    file: d.file ? (root ? path.relative(root, d.file.fileName) : d.file.fileName) : null,
+    absPath: d.file?.fileName || null,
+    line: pos ? pos.line + 1 : null,
+    column: pos ? pos.character + 1 : null,
+    code: d.code,
+    category: ts.DiagnosticCategory[d.category].toLowerCase(),
+    message: ts.flattenDiagnosticMessageText(d.messageText, "\n"),
+  };
+}
+
+// Type-only syntax is erased; returns { code, diagnostics } with syntax errors only.
+// The output carries an inline source map so stack traces point at the .ts source.
+export function transpileTypeScript(ts, code, fileName) {
+  const ext = path.extname(fileName).toLowerCase();
+  const out = ts.transpileModule(code, {
+    fileName,
+    reportDiagnostics: true,
+    compilerOptions: {
+      module: ts.ModuleKind.ESNext,
+      target: ts.ScriptTarget.ES2022,
+      ...(ext === ".tsx" ? { jsx: ts.JsxEmit.ReactJSX } : {}),
+      esModuleInterop: true,
+      experimentalDecorators: true,
+      inlineSourceMap: true,
+      inlineSources: true,
+    },
+  });
+  const diagnostics = (out.diagnostics || []).filter(d => d.category === ts.DiagnosticCategory.Error).map(d => diagnosticInfo(ts, d));
+  return { code: out.outputText, diagnostics };
+}
+
+function compilerOptionsFor(ts, file, root) {
+  const configPath = ts.findConfigFile(path.dirname(file), ts.sys.fileExists, "tsconfig.json");
+  if (configPath && path.resolve(configPath).startsWith(root + path.sep)) {
+    const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+    if (!error) return { options: ts.parseJsonConfigFileContent(config, ts.sys, path.dirname(configPath)).options, configPath };
+  }
+  // tsc's own defaults, plus what a modern ESM project needs to resolve its imports
+  return {
+    options: {
+      target: ts.ScriptTarget.ES2022,
+      module: ts.ModuleKind.ESNext,
+      moduleResolution: ts.ModuleResolutionKind.Bundler,
+      jsx: ts.JsxEmit.ReactJSX,
+      allowJs: true,
+      esModuleInterop: true,
+      allowImportingTsExtensions: true,
+      skipLibCheck: true,
+    },
+    configPath: null,
+  };
+}
+
+// Type-check `files` (and what they import) like `tsc --noEmit`, using the nearest
+// tsconfig.json inside root. Only diagnostics for project files are returned.
+export function typeCheck(ts, files, { root }) {
+  const { options, configPath } = compilerOptionsFor(ts, files[0], root);
+  const program = ts.createProgram(files, { ...options, noEmit: true });
+  const diagnostics = ts.getPreEmitDiagnostics(program)
+    .filter(d => d.category === ts.DiagnosticCategory.Error && !ENVIRONMENT_CODES.has(d.code))
+    .filter(d => !(d.code === 2307 && /Cannot find module '[^./]/.test(ts.flattenDiagnosticMessageText(d.messageText, "\n"))))
+    .map(d => diagnosticInfo(ts, d, root))
+    .filter(d => !d.absPath || (d.absPath.startsWith(root + path.sep) && !d.absPath.includes(`${path.sep}node_modules${path.sep}`)));
+  return { ok: diagnostics.length === 0, diagnostics, configPath };
+}
+
+// "src/a.ts(3,5): error TS2322: Type 'string' is not assignable to type 'number'."
+export function formatDiagnostics(diagnostics, maxChars = 6000) {
+  const text = diagnostics.map(d =>
+    `${d.file ? `${d.file}(${d.line},${d.column}): ` : ""}${d.category} TS${d.code}: ${d.message}`
+  ).join("\n");
+  return text.length > maxChars ? text.slice(0, maxChars) + "\n…(truncated)" : text;
+}
@@ -0,0 +1,121 @@
+// lib/usage.js — token, cost and latency accounting for provider calls
+// Each embed() / complete() call becomes a record { call, model, promptTokens, completionTokens,
+// totalTokens, costUsd, latencyMs, estimated }. Token counts come from the API's `usage`; when
+// a provider returns none (local servers, the fake provider) they are estimated from the text.
+// Records are summed into totals per round and per session, and checked against the budget.
+
+import { estimateTokens } from "./util.js";
+
+// USD per 1M tokens; config `prices` adds or overrides models. A dated model
+// ("gpt-4o-2024-08-06") is priced as its longest listed prefix.
+export const DEFAULT_PRICES = {
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4-turbo": { input: 10, output: 30 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+  "o3-mini": { input: 1.1, output: 4.4 },
+  "o4-mini": { input: 1.1, output: 4.4 },
+  "text-embedding-3-small": { input: 0.02 },
+  "text-embedding-3-large": { input: 0.13 },
+  "text-embedding-ada-002": { input: 0.1 },
+};
+
+// { input, output } for a model, or null when it has no price
+export function modelPrice(model, prices = {}) {
+  const table = { ...DEFAULT_PRICES, ...prices };
+  if (table[model]) return table[model];
+  const prefix = Object.keys(table)
+    .filter(k => String(model).startsWith(`${k}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+// texts (embed) or messages (complete)
+function estimateInput(input) {
+  const parts = (input || []).map(x => (typeof x === "string" ? x : x?.content || ""));
+  return parts.reduce((n, p) => n + estimateTokens(p), 0);
+}
+
+// call: { call: "embed" | "complete", model, usage (from the API, or null), latencyMs, input, output }
+export function usageRecord(call, prices = {}) {
+  const usage = call.usage || null;
+  const promptTokens = usage?.prompt_tokens ?? usage?.input_tokens ?? estimateInput(call.input);
+  const completionTokens = call.call === "embed" ? 0 : usage?.completion_tokens ?? usage?.output_tokens ?? estimateTokens(call.output || "");
+  const price = modelPrice(call.model, prices);
+  return {
+    call: call.call,
+    model: call.model,
+    promptTokens,
+    completionTokens,
+    totalTokens: usage?.total_tokens ?? promptTokens + completionTokens,
+    costUsd: price ? (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6 : null,
+    latencyMs: call.latencyMs,
+    estimated: !usage,
+  };
+}
+
+// estimatedCalls: token counts guessed from the text; unpricedCalls: no price for the model
+export function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, latencyMs: 0, estimatedCalls: 0, unpricedCalls: 0, byModel: {} };
+}
+
+export function addUsage(totals, record) {
+  totals.calls++;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.totalTokens;
+  totals.costUsd += record.costUsd || 0;
+  totals.latencyMs += record.latencyMs || 0;
+  if (record.estimated) totals.estimatedCalls++;
+  if (record.costUsd === null) totals.unpricedCalls++;
+  const m = totals.byModel[record.model] || (totals.byModel[record.model] = { calls: 0, totalTokens: 0, costUsd: 0 });
+  m.calls++;
+  m.totalTokens += record.totalTokens;
+  m.costUsd += record.costUsd || 0;
+  return totals;
+}
+
+// Add one set of totals into another (e.g. sessions into a report)
+export function mergeTotals(into, totals) {
+  for (const key of ["calls", "promptTokens", "completionTokens", "totalTokens", "costUsd", "latencyMs", "estimatedCalls", "unpricedCalls"]) into[key] += totals[key];
+  for (const [model, m] of Object.entries(totals.byModel)) {
+    const t = into.byModel[model] || (into.byModel[model] = { calls: 0, totalTokens: 0, costUsd: 0 });
+    t.calls += m.calls;
+    t.totalTokens += m.totalTokens;
+    t.costUsd += m.costUsd;
+  }
+  return into;
+}
+
+// budget: { tokens, costUsd, roundTokens, roundCostUsd }, 0 meaning no limit.
+// Returns { scope: "session" | "round", reason } for the first limit reached, or null
+export function checkBudget(session, round, budget = {}) {
+  const limits = [
+    ["session", session, "tokens", "totalTokens", "tokens"],
+    ["session", session, "costUsd", "costUsd", "USD"],
+    ["round", round, "roundTokens", "totalTokens", "tokens"],
+    ["round", round, "roundCostUsd", "costUsd", "USD"],
+  ];
+  for (const [scope, totals, key, field, unit] of limits) {
+    const limit = budget[key];
+    if (!limit || !totals || totals[field] < limit) continue;
+    const spent = unit === "USD" ? usd(totals[field]) : `${totals[field]} tokens`;
+    return { scope, reason: `${scope} budget of ${unit === "USD" ? `$${limit}` : `${limit} tokens`} reached (${spent})` };
+  }
+  return null;
+}
+
+// "$0.0312", small amounts to two significant digits ("$0.000016")
+export function usd(n) {
+  return `$${n === 0 || n >= 0.01 ? n.toFixed(4) : n.toPrecision(2)}`;
+}
+
+// "3 call(s), 12,345 tokens (some estimated), $0.0312, 4.2s"
+export function formatUsage(totals) {
+  const tokens = `${totals.totalTokens.toLocaleString("en-US")} tokens${totals.estimatedCalls ? " (some estimated)" : ""}`;
+  const cost = `${usd(totals.costUsd)}${totals.unpricedCalls ? ` + ${totals.unpricedCalls} unpriced call(s)` : ""}`;
+  return `${totals.calls} call(s), ${tokens}, ${cost}, ${(totals.latencyMs / 1000).toFixed(1)}s`;
+}
@@ -0,0 +1,45 @@
+// lib/util.js — small filesystem / hashing helpers shared by main.js and lib/*
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export function sha1(s) {
+  return crypto.createHash("sha1").update(s).digest("hex");
+}
+
+// Rough token count (~4 chars per token), used for batching and prompt budgets
+export function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4) + 1;
+}
+
+// True when abs is root itself or not below it ("..foo" is a legal name below root)
+export function outsideRoot(root, abs) {
+  const rel = path.relative(root, abs);
+  return !rel || rel === ".." || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel);
+}
+
+export function cosineSim(a = [], b = []) {
+  if (a.length !== b.length) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  if (na === 0 || nb === 0) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+export function ensureDir(p) {
+  fs.mkdirSync(p, { recursive: true });
+}
+
+export function readText(p) {
+  return fs.readFileSync(p, "utf-8");
+}
+
+export function writeText(p, content) {
+  ensureDir(path.dirname(p));
+  fs.writeFileSync(p, content, "utf-8");
+}
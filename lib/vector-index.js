@@ -0,0 +1,267 @@
+// lib/vector-index.js — incremental, content-hashed chunk index
+// Files are tracked by mtime/size and a content hash; only chunks whose text
+// changed are re-embedded, in batches that respect the provider's input limits.
+// On disk the index is three files: the chunk metadata as JSON (`indexFile`), the
+// vectors as a binary store (lib/vector-store.js, ".vec") and, once the index is big
+// enough to need it, the HNSW graph searched without faiss-node (lib/hnsw.js, ".hnsw").
+
+import fs from "fs";
+import path from "path";
+import { sha1, readText, writeText, estimateTokens } from "./util.js";
+import { extractFunctionChunks } from "./chunker.js";
+import { moduleInfo } from "./modules.js";
+import { openVectorStore, normalize, dot } from "./vector-store.js";
+import { createHnsw, extendHnsw, searchHnsw, saveHnsw, loadHnsw } from "./hnsw.js";
+
+export const INDEX_VERSION = 6;
+
+// Every file of the index at `indexFile`: { meta, vectors, ann }
+export function indexFiles(indexFile) {
+  const base = indexFile.replace(/\.json$/, "");
+  return { meta: indexFile, vectors: `${base}.vec`, ann: `${base}.hnsw` };
+}
+
+export function removeIndexFiles(indexFile) {
+  let removed = false;
+  for (const f of Object.values(indexFiles(indexFile))) {
+    if (fs.existsSync(f)) {
+      fs.rmSync(f, { force: true });
+      removed = true;
+    }
+  }
+  return removed;
+}
+
+export function copyIndexFiles(from, to) {
+  const src = indexFiles(from), dest = indexFiles(to);
+  for (const key of Object.keys(src)) {
+    if (!fs.existsSync(src[key])) continue;
+    fs.mkdirSync(path.dirname(dest[key]), { recursive: true });
+    fs.copyFileSync(src[key], dest[key]);
+  }
+}
+
+export function emptyIndex(root, model) {
+  const now = Date.now();
+  return { version: INDEX_VERSION, createdAt: now, updatedAt: now, root, model, dims: 0, files: {}, index: [], store: openVectorStore({ model }) };
+}
+
+// The index with its vector store opened (vectors are read on first search), or null
+// when it is missing or its files do not belong together. Indexes from before v5 kept
+// every embedding in the JSON; they are moved into a store here and saved in the new
+// format by the next sync.
+export function loadIndexFile(indexFile) {
+  if (!fs.existsSync(indexFile)) return null;
+  try {
+    const parsed = JSON.parse(readText(indexFile));
+    if (!Array.isArray(parsed.index)) return null;
+    // v1 files have no per-file table: every file looks changed, but embeddings
+    // are still reused below through the chunk text hash.
+    if (!parsed.files) parsed.files = {};
+    parsed.index.forEach(c => { if (!c.textHash) c.textHash = sha1(c.text || ""); });
+
+    if ((parsed.version || 1) < 5) {
+      const store = openVectorStore({ model: parsed.model });
+      const rows = new Map();
+      for (const c of parsed.index) {
+        if (!rows.has(c.textHash)) rows.set(c.textHash, store.append(c.embedding));
+        c.row = rows.get(c.textHash);
+        delete c.embedding;
+      }
+      return { ...parsed, dims: store.dims, store };
+    }
+
+    const { rows, generation } = parsed.vectors || {};
+    const store = openVectorStore({ file: indexFiles(indexFile).vectors, model: parsed.model, dims: parsed.dims, rows, generation });
+    if (store.rows !== rows) return null; // vectors missing or from another build
+    const { vectors, ...meta } = parsed;
+    return { ...meta, store };
+  } catch {
+    return null;
+  }
+}
+
+// Vectors first (only rows added since the last save), then the metadata that points at them
+export function saveIndexFile(indexFile, payload) {
+  const files = indexFiles(indexFile);
+  const { store, ...meta } = payload;
+  store.save(files.vectors);
+  writeText(files.meta, JSON.stringify({ ...meta, dims: store.dims, vectors: { rows: store.rows, generation: store.generation } }));
+}
+
+// Split texts into batches under both the input-count and token limits
+export function batchTexts(texts, { maxInputs = 2048, maxTokens = 250000 } = {}) {
+  const batches = [];
+  let cur = [], tokens = 0;
+  for (const t of texts) {
+    const n = estimateTokens(t);
+    if (cur.length && (cur.length >= maxInputs || tokens + n > maxTokens)) {
+      batches.push(cur);
+      cur = [];
+      tokens = 0;
+    }
+    cur.push(t);
+    tokens += n;
+  }
+  if (cur.length) batches.push(cur);
+  return batches;
+}
+
+// Bring `payload` up to date with the given files.
+// opts: { root, model, files, only, force, maxChunkLen, embed(texts) -> vectors, limits }
+//  - files: every indexable file (absolute); entries for files not listed are dropped
+//  - only:  restrict the refresh to these paths (used after applying edits)
+//  - force: ignore mtime/size/hash and re-chunk every file (embeddings still reused by text)
+// Each file entry also keeps its import bindings ({ source, bindings }) for lib/graph.js.
+// An index written by an older version is re-chunked once (v3 added the call graph, v4
+// splits long functions on statement boundaries, v5 moved the vectors to a binary store,
+// v6 added each chunk's identifiers for lib/lexical.js).
+// Chunks point at their vector with `row` (-1 when the provider returned none). Without
+// `embed` (no embedding model) nothing is embedded and every row is -1.
+export async function updateIndex(payload, opts) {
+  const { root, model, maxChunkLen, embed, limits } = opts;
+  const prev = payload && payload.model === model ? payload : null;
+  const next = prev ? { ...prev, files: { ...prev.files } } : emptyIndex(root, model);
+  const stats = { files: 0, changed: 0, touched: 0, removed: 0, reused: 0, embedded: 0, compacted: false };
+  const force = opts.force || (prev && (prev.version || 1) < INDEX_VERSION);
+
+  // Existing vectors, reusable by chunk text
+  const byTextHash = new Map();
+  for (const c of prev?.index || []) if (c.row >= 0) byTextHash.set(c.textHash, c.row);
+
+  const chunksByFile = new Map();
+  for (const c of prev?.index || []) {
+    if (!chunksByFile.has(c.filePath)) chunksByFile.set(c.filePath, []);
+    chunksByFile.get(c.filePath).push(c);
+  }
+
+  const targets = opts.only ? opts.only : opts.files;
+  if (!opts.only) {
+    const keep = new Set(opts.files);
+    for (const f of Object.keys(next.files)) {
+      if (!keep.has(f)) { delete next.files[f]; chunksByFile.delete(f); stats.removed++; }
+    }
+    for (const f of [...chunksByFile.keys()]) if (!keep.has(f)) chunksByFile.delete(f);
+  }
+
+  const pending = [];
+  for (const f of targets) {
+    stats.files++;
+    let st;
+    try { st = fs.statSync(f); } catch { st = null; }
+    if (!st || !st.isFile()) {
+      if (next.files[f]) stats.removed++;
+      delete next.files[f];
+      chunksByFile.delete(f);
+      continue;
+    }
+    const known = next.files[f];
+    if (!force && known && known.mtimeMs === st.mtimeMs && known.size === st.size && chunksByFile.has(f)) continue;
+
+    let code;
+    try { code = readText(f); } catch { continue; }
+    const hash = sha1(code);
+    if (!force && known && known.hash === hash && chunksByFile.has(f)) {
+      next.files[f] = { ...known, mtimeMs: st.mtimeMs, size: st.size };
+      stats.touched++;
+      continue;
+    }
+
+    stats.changed++;
+    const chunks = extractFunctionChunks(code, f, maxChunkLen).map(c => ({ ...c, textHash: sha1(c.text) }));
+    for (const c of chunks) {
+      const row = byTextHash.get(c.textHash);
+      if (row !== undefined) { c.row = row; stats.reused++; } else pending.push(c);
+    }
+    chunksByFile.set(f, chunks);
+    const imports = (moduleInfo(code, f)?.imports || []).map(({ source, bindings }) => ({ source, bindings }));
+    next.files[f] = { hash, mtimeMs: st.mtimeMs, size: st.size, chunks: chunks.map(c => c.id), imports };
+  }
+
+  // Embed new chunk texts once each, batched, appending them to the store
+  const store = next.store;
+  const uniqueTexts = [...new Map(pending.map(c => [c.textHash, c.text])).entries()];
+  const rows = new Map();
+  let offset = 0;
+  for (const batch of embed ? batchTexts(uniqueTexts.map(([, t]) => t), limits) : []) {
+    const embs = await embed(batch);
+    batch.forEach((_, i) => rows.set(uniqueTexts[offset + i][0], store.append(embs[i])));
+    offset += batch.length;
+  }
+  for (const c of pending) c.row = rows.get(c.textHash) ?? -1;
+  stats.embedded = rows.size;
+
+  next.index = [...chunksByFile.values()].flat();
+  // Drop rows no chunk uses once they are a quarter of the store
+  const live = [...new Set(next.index.map(c => c.row).filter(r => r >= 0))].sort((a, b) => a - b);
+  if (store.rows - live.length > store.rows / 4) {
+    const remap = store.compact(live);
+    next.index = next.index.map(c => (c.row >= 0 ? { ...c, row: remap.get(c.row) } : c));
+    stats.compacted = true;
+  }
+  next.dims = store.dims;
+  next.root = root;
+  if (!opts.only) next.version = INDEX_VERSION; // a partial refresh leaves older files as they were
+  if (stats.changed || stats.removed || !prev) next.updatedAt = Date.now();
+  return { payload: next, stats };
+}
+
+// ------------ Search ------------
+// faiss-node's IndexFlatIP over the normalised rows, extended as rows are appended
+function faissHits(store, faiss, q, k) {
+  let ann = store.ann?.kind === "faiss" ? store.ann : null;
+  if (!ann) ann = store.ann = { kind: "faiss", index: new faiss.IndexFlatIP(store.dims), rows: 0 };
+  if (ann.rows < store.rows) {
+    const ids = Int32Array.from({ length: store.rows - ann.rows }, (_, i) => ann.rows + i);
+    ann.index.addWithIds(store.vectors().subarray(ann.rows * store.dims, store.rows * store.dims), ids);
+    ann.rows = store.rows;
+  }
+  k = Math.min(k, store.rows);
+  const D = new Float32Array(k);
+  const I = new Int32Array(k);
+  ann.index.search(q, k, D, I);
+  return [...I].map((id, r) => ({ id, score: D[r] })).filter(h => h.id >= 0 && h.id < store.rows);
+}
+
+// The HNSW graph saved with the index, extended with new rows (and saved again) first
+function hnswHits(store, q, k, { annFile, accept }) {
+  let ann = store.ann?.kind === "hnsw" ? store.ann : null;
+  if (!ann) {
+    let graph = annFile ? loadHnsw(annFile, { dims: store.dims, generation: store.generation }) : null;
+    if (graph && graph.links.length > store.rows) graph = null;
+    ann = store.ann = { kind: "hnsw", graph: graph || createHnsw(store.dims, { generation: store.generation }) };
+  }
+  if (ann.graph.links.length < store.rows) {
+    extendHnsw(ann.graph, store.vectors(), store.rows);
+    if (annFile) saveHnsw(annFile, ann.graph);
+  }
+  return searchHnsw(ann.graph, store.vectors(), q, k, { ef: Math.max(64, k * 4), accept });
+}
+
+function exactHits(store, q, k, accept) {
+  const vectors = store.vectors();
+  const scored = [];
+  for (let r = 0; r < store.rows; r++) if (accept(r)) scored.push({ id: r, score: dot(q, vectors, r * store.dims) });
+  return scored.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+// Best k chunks for a query embedding: [{ chunk, score }], score being the cosine
+// similarity. faiss-node is used when given; without it an HNSW graph from annMinRows
+// rows up, and an exact scan below that.
+// opts: { faiss, annMinRows, annFile }
+export function searchIndex(payload, queryVec, k, opts = {}) {
+  const store = payload?.store;
+  if (!store?.rows || !queryVec?.length || queryVec.length !== store.dims) return [];
+  const q = normalize(queryVec);
+  const byRow = new Map();
+  for (const c of payload.index) {
+    if (c.row < 0 || c.row === undefined) continue;
+    if (!byRow.has(c.row)) byRow.set(c.row, []);
+    byRow.get(c.row).push(c);
+  }
+  const accept = (r) => byRow.has(r);
+  const hits = opts.faiss ? faissHits(store, opts.faiss, q, k + store.rows - byRow.size)
+    : store.rows >= (opts.annMinRows ?? Infinity) ? hnswHits(store, q, k, { annFile: opts.annFile, accept })
+      : exactHits(store, q, k, accept);
+  return hits.filter(h => accept(h.id)).flatMap(h => byRow.get(h.id).map(chunk => ({ chunk, score: h.score }))).slice(0, k);
+}
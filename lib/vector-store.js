@@ -0,0 +1,154 @@
+// lib/vector-store.js — binary store for the index's embedding vectors
+// One normalised Float32 row per distinct chunk text, after a fixed 256-byte header:
+//   "LLMFXVEC" | u32 format version | u32 dims | u32 rows | u32 generation | u32 model length | model (utf-8)
+// (little-endian). Rows are only ever appended, so refreshing a few files writes a few
+// rows; rows nobody uses any more are dropped by compact(), which starts a new
+// generation. The vectors are read on first use, not when the index is opened.
+
+import fs from "fs";
+import path from "path";
+
+const MAGIC = "LLMFXVEC";
+export const STORE_VERSION = 1;
+const HEADER_BYTES = 256;
+const MAX_MODEL_BYTES = HEADER_BYTES - 32;
+
+export function normalize(vec) {
+  const out = Float32Array.from(vec);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+export function dot(a, b, offset = 0) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[offset + i];
+  return s;
+}
+
+// { version, dims, rows, generation, model } or null when `file` is not a vector store
+export function readStoreHeader(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, "r");
+    const buf = Buffer.alloc(HEADER_BYTES);
+    if (fs.readSync(fd, buf, 0, HEADER_BYTES, 0) < HEADER_BYTES || buf.toString("latin1", 0, 8) !== MAGIC) return null;
+    const modelLength = buf.readUInt32LE(24);
+    return {
+      version: buf.readUInt32LE(8),
+      dims: buf.readUInt32LE(12),
+      rows: buf.readUInt32LE(16),
+      generation: buf.readUInt32LE(20),
+      model: buf.toString("utf-8", 28, 28 + Math.min(modelLength, MAX_MODEL_BYTES)),
+    };
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function header({ dims, rows, generation, model }) {
+  const buf = Buffer.alloc(HEADER_BYTES);
+  buf.write(MAGIC, 0, "latin1");
+  buf.writeUInt32LE(STORE_VERSION, 8);
+  buf.writeUInt32LE(dims, 12);
+  buf.writeUInt32LE(rows, 16);
+  buf.writeUInt32LE(generation, 20);
+  const modelBytes = Buffer.from(String(model || ""), "utf-8").subarray(0, MAX_MODEL_BYTES);
+  buf.writeUInt32LE(modelBytes.length, 24);
+  modelBytes.copy(buf, 28);
+  return buf;
+}
+
+// opts: { file, model, dims, rows, generation } — rows/generation as recorded next to the
+// index; with `file` unset (or not matching them) the store starts empty.
+// Returns { model, dims, rows, generation, vectors(), row(i), append(vec), compact(keep), save(file) }
+export function openVectorStore(opts = {}) {
+  const onDisk = opts.file ? readStoreHeader(opts.file) : null;
+  const usable = onDisk && onDisk.version === STORE_VERSION && onDisk.generation === opts.generation &&
+    onDisk.dims === opts.dims && onDisk.model === String(opts.model || "") && onDisk.rows >= opts.rows;
+  const store = {
+    model: opts.model,
+    dims: usable ? opts.dims : 0,
+    rows: usable ? opts.rows : 0,
+    generation: usable ? opts.generation : (opts.generation || 0) + 1,
+    ann: null, // search structure built over the rows (see lib/vector-index.js)
+  };
+  let data = usable ? null : new Float32Array(0); // loaded lazily
+  let saved = usable ? { file: opts.file, rows: opts.rows } : null;
+
+  function load() {
+    if (data) return data;
+    data = new Float32Array(store.rows * store.dims);
+    const fd = fs.openSync(opts.file, "r");
+    try {
+      fs.readSync(fd, new Uint8Array(data.buffer), 0, data.byteLength, HEADER_BYTES);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return data;
+  }
+
+  // All rows, row i at [i * dims, (i + 1) * dims)
+  store.vectors = () => load();
+  store.row = (i) => load().subarray(i * store.dims, (i + 1) * store.dims);
+
+  // Normalises and appends one vector; returns its row, or -1 for an empty vector
+  store.append = (vec) => {
+    if (!vec?.length) return -1;
+    if (!store.dims) store.dims = vec.length;
+    if (vec.length !== store.dims) throw new Error(`embedding has ${vec.length} dimensions, the index has ${store.dims}`);
+    const all = load();
+    if (all.length < (store.rows + 1) * store.dims) {
+      const grown = new Float32Array(Math.max((store.rows + 1) * store.dims, all.length * 2));
+      grown.set(all.subarray(0, store.rows * store.dims));
+      data = grown;
+    }
+    data.set(normalize(vec), store.rows * store.dims);
+    return store.rows++;
+  };
+
+  // Keep only the rows in `keep` (ascending); returns Map(oldRow -> newRow) and starts
+  // a new generation, so anything built over the old rows is rebuilt
+  store.compact = (keep) => {
+    const all = load();
+    const next = new Float32Array(keep.length * store.dims);
+    const remap = new Map();
+    keep.forEach((r, i) => {
+      next.set(all.subarray(r * store.dims, (r + 1) * store.dims), i * store.dims);
+      remap.set(r, i);
+    });
+    data = next;
+    store.rows = keep.length;
+    store.generation++;
+    store.ann = null;
+    saved = null;
+    return remap;
+  };
+
+  // Write to `file`: only the new rows when the file already holds this generation
+  store.save = (file) => {
+    const rows = load().subarray(0, store.rows * store.dims);
+    const bytes = (from) => Buffer.from(rows.buffer, rows.byteOffset + from * store.dims * 4, (store.rows - from) * store.dims * 4);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (saved?.file === file && fs.existsSync(file) && readStoreHeader(file)?.generation === store.generation) {
+      const fd = fs.openSync(file, "r+");
+      try {
+        fs.writeSync(fd, bytes(saved.rows), 0, undefined, HEADER_BYTES + saved.rows * store.dims * 4);
+        fs.writeSync(fd, header(store), 0, HEADER_BYTES, 0);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } else {
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, Buffer.concat([header(store), bytes(0)]));
+      fs.renameSync(tmp, file);
+    }
+    saved = { file, rows: store.rows };
+  };
+
+  return store;
+}
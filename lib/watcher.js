@@ -0,0 +1,77 @@
+// lib/watcher.js — debounced project watcher for `watch` mode
+// One non-recursive fs.watch per directory, so skipped trees (node_modules, .git,
+// .llm-fixer, ignored dirs) cost nothing; directories created later are picked up.
+
+import fs from "fs";
+import path from "path";
+
+// filter: { skip(abs, isDir), accepts(abs) } from createFileFilter.
+// onChange([absPaths]) gets the accepted files changed or removed within one debounce window.
+// Returns { close(), dirs() }
+export function watchTree(root, { filter, debounceMs = 200, onChange }) {
+  const watchers = new Map(); // dir -> FSWatcher
+  const pending = new Set();
+  let timer = null;
+
+  function flush() {
+    timer = null;
+    const paths = [...pending];
+    pending.clear();
+    if (paths.length) onChange(paths);
+  }
+
+  function unwatch(dir) {
+    for (const [d, w] of watchers) {
+      if (d === dir || d.startsWith(dir + path.sep)) {
+        w.close();
+        watchers.delete(d);
+      }
+    }
+  }
+
+  function changed(abs) {
+    let st = null;
+    try { st = fs.statSync(abs); } catch {}
+    if (st?.isDirectory()) {
+      addDir(abs);
+      return;
+    }
+    if (!st && watchers.has(abs)) {
+      unwatch(abs);
+      return;
+    }
+    if (!filter.accepts(abs)) return;
+    pending.add(abs);
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  }
+
+  function addDir(dir) {
+    if (watchers.has(dir) || (dir !== root && filter.skip(dir, true))) return;
+    let w;
+    try {
+      w = fs.watch(dir, (event, name) => {
+        if (name) changed(path.join(dir, String(name)));
+      });
+    } catch {
+      return; // gone already, or not readable
+    }
+    w.on("error", () => unwatch(dir));
+    watchers.set(dir, w);
+    let entries = [];
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch {}
+    for (const ent of entries) {
+      if (ent.isDirectory()) addDir(path.join(dir, ent.name));
+    }
+  }
+
+  addDir(root);
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const w of watchers.values()) w.close();
+      watchers.clear();
+    },
+    dirs: () => watchers.size,
+  };
+}
@@ -3,31 +3,88 @@
 
 import fs from "fs";
 import path from "path";
-import os from "os";
-import crypto from "crypto";
 import { fileURLToPath } from "url";
-import OpenAI from "openai";
-import * as recast from "recast";
-import babelParser from "@babel/parser";
+import { createProvider, createFakeProvider } from "./lib/providers.js";
+import { readText, writeText, estimateTokens } from "./lib/util.js";
+import { loadConfig, describeConfig, createFileFilter, listProjectFiles, STATE_DIR } from "./lib/config.js";
+import { loadIndexFile, saveIndexFile, updateIndex, searchIndex, indexFiles, removeIndexFiles, copyIndexFiles } from "./lib/vector-index.js";
+import { runInSandbox } from "./lib/sandbox.js";
+import { isTypeScriptFile, loadTypeScript, typeCheck, formatDiagnostics } from "./lib/typescript.js";
+import { resolveFrameChunks, stackFiles } from "./lib/stack.js";
+import { buildGraph, relatedChunks } from "./lib/graph.js";
+import { buildLexicalIndex, lexicalSearch, fuseRankings } from "./lib/lexical.js";
+import { promptBudget, selectChunks, truncateText } from "./lib/prompt.js";
+import { parseResponse, validateEdits } from "./lib/edit-schema.js";
+import { runTests, runCommand, compareRuns, formatFailures, failureFiles } from "./lib/test-runner.js";
+import { runRepro, expectPattern, formatRun } from "./lib/repro.js";
+import { staticDiagnostics, eslintDiagnostics, groupByFile, formatDiagnosticList, diagnosticFrames } from "./lib/diagnostics.js";
+import { planChangeset, recheckChangeset, formatChangeset, commitChangeset, rollbackSession, listSessions, newSessionId, loadManifest, sessionFile, copySession } from "./lib/changeset.js";
+import { createScratch } from "./lib/scratch.js";
+import { createPolicy } from "./lib/policy.js";
+import { errorFingerprint, readEntry, writeEntry, removeEntry, listQueue, createRateLimiter } from "./lib/queue.js";
+import { evaluateCandidates, rankCandidates, formatCandidates, summarizeCandidates } from "./lib/candidates.js";
+import { watchTree } from "./lib/watcher.js";
+import { prepareWorkspace, commitMessage, commitFiles, exportPatches, discardWorkspace } from "./lib/git.js";
+import { recordEvent, onEvent, startSession, readTranscript, listTranscripts, replayFixtures, roundErrors, sessionOutcome } from "./lib/transcript.js";
+import { usageRecord, emptyTotals, addUsage, mergeTotals, checkBudget } from "./lib/usage.js";
 
-const openai = new OpenAI({ /* ensure OPENAI_API_KEY env var is set */ });
+export { createProvider, createOpenAIProvider, createFakeProvider, createRecordingProvider } from "./lib/providers.js";
 
 // Resolve __dirname in ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // ------------ Config ------------
-const ROOT_DIR = path.resolve(path.join(__dirname, "..")); // project root
-const INDEX_FILE = path.join(__dirname, ".vector_index.json");
-const INCLUDE_EXTS = [".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx"];
-const EMBEDDING_MODEL = "text-embedding-3-large";
-const FIX_MODEL = "gpt-4o";
-const TOP_K = 10;
-const MAX_CHUNK_LEN = 3000; // chars per chunk
-const MAX_ROUNDS = 5; // increased for stronger fixing
+// Values come from lib/config.js (defaults < .llmfixerrc / llm-fixer.config.js < env),
+// re-applied by configure().
+let config = null;
+let ROOT_DIR, INDEX_FILE, EMBEDDING_MODEL, FIX_MODEL, TOP_K, MAX_CHUNK_LEN, ANN_MIN_ROWS,
+  MAX_FRAME_CHUNKS, GRAPH_CONTEXT_TOKENS, PROMPT_TOKENS, REPAIR_RETRIES, MAX_ROUNDS, RUN_TIMEOUT_MS, RUN_MAX_MEMORY_MB, TEST_TIMEOUT_MS, TYPE_CHECK, GLOBALS,
+  CANDIDATES, CANDIDATE_TEMPERATURE, WATCH_DEBOUNCE_MS, QUEUE_DIR, BUDGET, PRICES;
+let fileFilter = null;
+let editPolicy = null; // check(changeset) from lib/policy.js
+let inlineLimiter = null; // model calls from tryq()/help() outside the fix loops
+
+function applyConfig(cfg) {
+  config = cfg;
+  ROOT_DIR = cfg.root; // project root
+  INDEX_FILE = cfg.indexFile;
+  EMBEDDING_MODEL = cfg.embeddingModel;
+  FIX_MODEL = cfg.fixModel;
+  TOP_K = cfg.topK;
+  MAX_CHUNK_LEN = cfg.maxChunkLen; // chars per chunk
+  ANN_MIN_ROWS = cfg.annMinRows; // vectors before search switches to the HNSW graph (without faiss-node)
+  MAX_FRAME_CHUNKS = cfg.maxFrameChunks; // stack-frame chunks always included in the prompt
+  GRAPH_CONTEXT_TOKENS = cfg.graphContextTokens; // callers / callees / imports of the failing code
+  PROMPT_TOKENS = cfg.promptTokens; // { default, <model>: n } prompt budget per fix model
+  REPAIR_RETRIES = cfg.repairRetries; // re-asks when the model's output fails the edit schema
+  MAX_ROUNDS = cfg.maxRounds;
+  BUDGET = cfg.budget; // { tokens, costUsd, roundTokens, roundCostUsd } of model spend (lib/usage.js)
+  PRICES = cfg.prices; // USD per 1M tokens, on top of lib/usage.js's
+  RUN_TIMEOUT_MS = cfg.runTimeoutMs; // wall clock per sandboxed run
+  RUN_MAX_MEMORY_MB = cfg.runMaxMemoryMb; // V8 old-generation limit per sandboxed run
+  TEST_TIMEOUT_MS = cfg.testTimeoutMs;
+  TYPE_CHECK = cfg.typeCheck; // tsc diagnostics for TypeScript targets
+  GLOBALS = cfg.globals; // extra globals for `scan`
+  CANDIDATES = cfg.candidates; // fixes generated and validated per round
+  CANDIDATE_TEMPERATURE = cfg.candidateTemperature;
+  WATCH_DEBOUNCE_MS = cfg.watchDebounceMs;
+  QUEUE_DIR = cfg.queueDir; // suggestions and crash reports (lib/queue.js)
+  inlineLimiter = createRateLimiter({ max: cfg.inlineRateLimit, windowMs: cfg.inlineRateWindowMs });
+  fileFilter = createFileFilter(cfg);
+  const filter = fileFilter;
+  editPolicy = createPolicy(cfg.policy, { root: cfg.root, files: () => listProjectFiles(cfg, filter) });
+}
+try {
+  applyConfig(await loadConfig());
+} catch (err) {
+  // a broken config file must not make the module unimportable; configure() reports it again
+  console.error(`llm-fixer: ignoring config (${err.message})`);
+  applyConfig(await loadConfig({ configFile: false }));
+}
 // ---------------------------------
 
-// Optional FAISS index (if installed). Fallback to cosine.
+// Optional FAISS index (if installed). Fallback to HNSW / an exact scan (lib/vector-index.js).
 let faiss = null;
 try {
   // optional: npm i faiss-node
@@ -36,235 +93,323 @@ try {
   faiss = null;
 }
 
-// ------------ Utils ------------
-function listFilesRecursive(dir) {
-  const out = [];
-  for (const name of fs.readdirSync(dir)) {
-    const p = path.join(dir, name);
-    const st = fs.statSync(p);
-    if (st.isDirectory()) {
-      if (name === "node_modules" || name === ".git") continue;
-      out.push(...listFilesRecursive(p));
-    } else {
-      if (INCLUDE_EXTS.includes(path.extname(p).toLowerCase())) out.push(p);
-    }
-  }
-  return out;
+// Reload the config at runtime (used by the CLI flags). `root` or `configFile`
+// re-run the config file lookup from there; everything else is an override on top.
+// overrides: { root, configFile, indexFile, embeddingModel, fixModel, topK, maxRounds, ... }
+export async function configure(overrides = {}) {
+  const { configFile, ...rest } = overrides;
+  if (rest.root) rest.root = path.resolve(rest.root);
+  const cwd = rest.root || process.cwd();
+  applyConfig(await loadConfig({ cwd, configFile, overrides: rest }));
+  resetIndexCache();
+  provider = null;
+  return getConfig();
 }
 
-function sha1(s) {
-  return crypto.createHash("sha1").update(s).digest("hex");
+// Effective config, with the API key masked and where each value came from
+export function getConfig() {
+  return describeConfig(config);
 }
 
-function cosineSim(a = [], b = []) {
-  if (a.length !== b.length) return 0;
-  let dot = 0, na = 0, nb = 0;
-  for (let i = 0; i < a.length; i++) {
-    dot += a[i] * b[i];
-    na += a[i] * a[i];
-    nb += b[i] * b[i];
-  }
-  if (na === 0 || nb === 0) return 0;
-  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+// Active LLM/embedding provider (see lib/providers.js). Created on first use so
+// importing this module never needs an API key; swap it with setProvider().
+let provider = null;
+
+export function getProvider() {
+  if (!provider) provider = createProvider(config.provider);
+  return provider;
 }
 
-function ensureDir(p) {
-  fs.mkdirSync(p, { recursive: true });
+export function setProvider(p) {
+  provider = p || null;
+  resetIndexCache();
+  return provider;
 }
 
-function readText(p) {
-  return fs.readFileSync(p, "utf-8");
+// ------------ Usage accounting ------------
+// Every provider call is timed and priced (lib/usage.js) and, within a session, recorded
+// as a "usage" event of its transcript. While a session runs its totals are kept here,
+// per round as well (following the session's "round" events); the budget is checked
+// before each completion, so a loop whose budget is spent gets no more edits and stops.
+const ledgers = new Map(); // sessionId -> { session, rounds: [{ round, ...totals }], exceeded }
+
+function usageLedger(sessionId) {
+  if (!ledgers.has(sessionId)) ledgers.set(sessionId, { session: emptyTotals(), rounds: [], exceeded: null });
+  return ledgers.get(sessionId);
 }
 
-function writeText(p, content) {
-  ensureDir(path.dirname(p));
-  fs.writeFileSync(p, content, "utf-8");
+onEvent((sessionId, event) => {
+  if (event.type === "round") {
+    const ledger = usageLedger(sessionId);
+    ledger.rounds.push({ round: event.round, ...emptyTotals() });
+    ledger.exceeded = null;
+  } else if (event.type === "end") {
+    ledgers.delete(sessionId);
+  }
+});
+
+// call: see usageRecord; meter: { sessionId, totals (also summed into) }. Returns the record
+function charge(call, meter = {}) {
+  const record = usageRecord(call, PRICES);
+  if (meter.totals) addUsage(meter.totals, record);
+  if (!meter.sessionId) return record;
+  const ledger = usageLedger(meter.sessionId);
+  const round = ledger.rounds[ledger.rounds.length - 1];
+  addUsage(ledger.session, record);
+  if (round) addUsage(round, record);
+  recordEvent(ROOT_DIR, meter.sessionId, "usage", { ...record, round: round?.round });
+  return record;
 }
 
-function parseAst(code, filePath) {
-  try {
-    return recast.parse(code, {
-      parser: {
-        parse(source) {
-          return babelParser.parse(source, {
-            sourceType: "module",
-            plugins: ["jsx", "typescript", "classProperties", "decorators-legacy"],
-          });
-        },
-      },
-    });
-  } catch (err) {
-    // Return null when parse fails (we'll fallback to file chunking)
-    return null;
+// The budget limit a session has reached ({ scope, reason }), noted on its ledger so the
+// session's result can say why it stopped; null while there is budget left
+function budgetStop(sessionId) {
+  if (!sessionId) return null;
+  const ledger = usageLedger(sessionId);
+  const over = checkBudget(ledger.session, ledger.rounds[ledger.rounds.length - 1], BUDGET);
+  if (over && !ledger.exceeded) {
+    recordEvent(ROOT_DIR, sessionId, "budget", over);
+    console.log(`⚠️ ${over.reason}, not asking the model again${over.scope === "round" ? " this round" : ""}.`);
   }
+  ledger.exceeded = over || ledger.exceeded;
+  return over;
 }
 
-function extractFunctionChunks(code, filePath) {
-  const ast = parseAst(code, filePath);
-  const chunks = [];
+// { usage: { ...session totals, rounds }, budgetExceeded } for a session's result
+function sessionUsage(sessionId) {
+  const ledger = ledgers.get(sessionId);
+  return {
+    usage: { ...(ledger?.session || emptyTotals()), rounds: ledger?.rounds || [] },
+    budgetExceeded: ledger?.exceeded?.reason,
+  };
+}
 
-  if (ast) {
-    try {
-      recast.types.visit(ast, {
-        visitFunction(pathNode) {
-          const node = pathNode.node;
-          const loc = node.loc;
-          if (!loc) {
-            this.traverse(pathNode);
-            return;
-          }
-          const start = loc.start.line;
-          const end = loc.end.line;
-          const lines = code.split(/\r?\n/);
-          const text = lines.slice(start - 1, end).join("\n");
-          const name =
-            node.id?.name ||
-            (pathNode.parent?.node?.key?.name) ||
-            (node.type || "Function").toString();
-          chunks.push({
-            id: sha1(`${filePath}:${start}-${end}`),
-            filePath,
-            kind: "function",
-            name,
-            startLine: start,
-            endLine: end,
-            text: text.slice(0, MAX_CHUNK_LEN),
-          });
-          this.traverse(pathNode);
-        },
-      });
-    } catch {
-      // fallthrough to file-level chunk below
-    }
-  }
+// Spend so far of a session that is still running, like a result's usage; null once it
+// has ended (its usageReport then reads the transcript)
+export function liveUsage(sessionId) {
+  const ledger = ledgers.get(sessionId);
+  return ledger ? { ...ledger.session, rounds: ledger.rounds, budgetExceeded: ledger.exceeded?.reason } : null;
+}
+// ---------------------------------
 
-  // Fallback: file-level chunk if AST absent or no function chunks
-  if (chunks.length === 0) {
-    const lines = code.split(/\r?\n/);
-    chunks.push({
-      id: sha1(`${filePath}:1-${lines.length}`),
-      filePath,
-      kind: "file",
-      name: path.basename(filePath),
-      startLine: 1,
-      endLine: lines.length,
-      text: code.slice(0, Math.min(code.length, MAX_CHUNK_LEN)),
-    });
-  }
-  return chunks;
+// ------------ Indexing + Search ------------
+// embeddingModel "none" turns embeddings off; search is then lexical only
+function embeddingsEnabled() {
+  return !!EMBEDDING_MODEL && EMBEDDING_MODEL !== "none";
 }
-// -------------------------------
 
-// ------------ Indexing + Vector Search ------------
-async function embed(texts) {
+// meter: { sessionId, totals } (see charge)
+async function embed(texts, meter = {}) {
   if (!Array.isArray(texts)) texts = [String(texts)];
-  const res = await openai.embeddings.create({
+  const started = Date.now();
+  const res = await getProvider().embed(texts, { model: EMBEDDING_MODEL });
+  charge({ call: "embed", model: EMBEDDING_MODEL, usage: res.usage, latencyMs: Date.now() - started, input: texts }, meter);
+  return res.embeddings;
+}
+
+// The index stays in memory between searches (keyed by its file, so swapping INDEX_FILE
+// reloads it); the search structure built over its vectors lives on its store, the
+// lexical index and the code graph are rebuilt when the chunks change.
+let indexCache = null;
+let lexicalCache = null;
+let graphCache = null;
+// The index revision a full sync last checked against the tree. While the index is still
+// at that revision a search skips the walk over the project: edits made here re-index
+// their files and keep it current, and whatever changes files behind its back (rollback,
+// a git checkout, the watcher of a long-running process) calls staleIndex().
+let syncedRevision = null;
+function cachedIndex() {
+  if (indexCache?.file !== INDEX_FILE) indexCache = { file: INDEX_FILE, payload: loadIndexFile(INDEX_FILE) };
+  return indexCache.payload;
+}
+
+function resetIndexCache() {
+  indexCache = null;
+  lexicalCache = null;
+  graphCache = null;
+  syncedRevision = null;
+}
+
+// Files may have changed without being re-indexed: the next search syncs first
+function staleIndex() {
+  syncedRevision = null;
+}
+
+// Mark the index stale whenever a project file changes, for processes that run for a
+// while (the server). Returns { close() }
+export function trackIndexChanges() {
+  return watchTree(ROOT_DIR, { filter: fileFilter, debounceMs: WATCH_DEBOUNCE_MS, onChange: staleIndex });
+}
+
+function indexRevision(payload) {
+  return payload ? `${INDEX_FILE}:${payload.createdAt}:${payload.updatedAt}:${payload.index.length}` : `${INDEX_FILE}:none`;
+}
+
+function lexicalIndex(payload) {
+  const revision = indexRevision(payload);
+  if (lexicalCache?.revision !== revision) lexicalCache = { revision, index: buildLexicalIndex(payload.index) };
+  return lexicalCache.index;
+}
+
+function codeGraph(payload) {
+  const revision = indexRevision(payload);
+  if (graphCache?.revision !== revision) graphCache = { revision, graph: buildGraph(payload) };
+  return graphCache.graph;
+}
+
+// Incrementally bring the on-disk index up to date. Only files whose mtime/size
+// and content hash changed are re-chunked, and only new chunk texts are embedded.
+// opts: { only: [absPaths], force, sessionId (charged for the embeddings) }.
+// stats.usage totals the embedding calls of this sync.
+async function syncIndex(opts = {}) {
+  const prev = cachedIndex();
+  const wasCurrent = !!prev && syncedRevision === indexRevision(prev);
+  const p = getProvider();
+  const files = listProjectFiles(config, fileFilter);
+  const usage = emptyTotals();
+  const only = opts.only ? opts.only.map(f => path.resolve(ROOT_DIR, f)).filter(fileFilter.accepts) : null;
+  const { payload, stats } = await updateIndex(prev, {
+    root: ROOT_DIR,
     model: EMBEDDING_MODEL,
-    input: texts,
+    files,
+    only,
+    force: !!opts.force,
+    maxChunkLen: MAX_CHUNK_LEN,
+    embed: embeddingsEnabled() ? (texts) => embed(texts, { sessionId: opts.sessionId, totals: usage }) : null,
+    limits: { maxInputs: p.maxEmbeddingInputs, maxTokens: p.maxEmbeddingTokens },
   });
-  return res.data.map(d => d.embedding);
+  if (!prev || stats.changed || stats.removed || stats.touched) saveIndexFile(INDEX_FILE, payload);
+  indexCache = { file: INDEX_FILE, payload };
+  // a full sync checked every file; a partial one leaves the index as current as it was
+  if (!only || wasCurrent) syncedRevision = indexRevision(payload);
+  return { payload, stats: { ...stats, usage } };
+}
+
+async function buildIndex(opts = {}) {
+  const { payload } = await syncIndex(opts);
+  return payload.index;
 }
 
-async function buildIndex() {
-  const files = listFilesRecursive(ROOT_DIR);
-  const all = [];
-  for (const f of files) {
+// Build or refresh the index; opts: { force }. Returns the sync stats.
+export async function rebuildIndex(opts = {}) {
+  const { payload, stats } = await syncIndex(opts);
+  return { ...stats, chunks: payload.index.length, indexFile: INDEX_FILE };
+}
+
+export function indexStatus() {
+  const payload = loadIndexFile(INDEX_FILE);
+  if (!payload) return { indexFile: INDEX_FILE, root: ROOT_DIR, exists: false };
+  // cheap staleness check: files added, removed or modified since they were indexed
+  const files = listProjectFiles(config, fileFilter);
+  const known = payload.files || {};
+  let stale = files.filter(f => !known[f]).length;
+  for (const [f, meta] of Object.entries(known)) {
     try {
-      const code = readText(f);
-      const chunks = extractFunctionChunks(code, f);
-      for (const ch of chunks) all.push(ch);
-    } catch (err) {
-      // ignore read/parse errors per-file
+      const st = fs.statSync(f);
+      if (st.mtimeMs !== meta.mtimeMs || st.size !== meta.size) stale++;
+    } catch {
+      stale++;
     }
   }
-  if (!all.length) {
-    writeText(INDEX_FILE, JSON.stringify({ createdAt: Date.now(), root: ROOT_DIR, model: EMBEDDING_MODEL, index: [] }, null, 2));
-    return [];
-  }
-  const embs = await embed(all.map(c => c.text));
-  const index = all.map((c, i) => ({ ...c, embedding: embs[i] || [] }));
+  return {
+    indexFile: INDEX_FILE,
+    root: payload.root,
+    exists: true,
+    model: payload.model,
+    dimensions: payload.dims || 0,
+    files: Object.keys(known).length,
+    chunks: payload.index.length,
+    vectors: payload.store.rows,
+    vectorGeneration: payload.store.generation,
+    ann: !embeddingsEnabled() ? null : faiss ? "faiss" : payload.store.rows >= ANN_MIN_ROWS ? "hnsw" : "exact",
+    staleFiles: stale,
+    createdAt: payload.createdAt,
+    updatedAt: payload.updatedAt,
+  };
+}
+
+export function clearIndex() {
+  resetIndexCache();
+  return removeIndexFiles(INDEX_FILE);
+}
 
-  const payload = { createdAt: Date.now(), root: ROOT_DIR, model: EMBEDDING_MODEL, index };
-  writeText(INDEX_FILE, JSON.stringify(payload, null, 2));
-  return index;
+// Re-index files right after they were edited so search never returns stale code
+export async function refreshIndexFiles(paths = [], sessionId) {
+  if (!paths.length || !fs.existsSync(INDEX_FILE)) return null;
+  const { stats } = await syncIndex({ only: paths, sessionId });
+  return stats;
 }
 
 function loadIndex() {
-  if (!fs.existsSync(INDEX_FILE)) return null;
-  try {
-    const parsed = JSON.parse(readText(INDEX_FILE));
-    return parsed.index || null;
-  } catch {
-    return null;
-  }
-}
-
-function buildFaissIndex(index) {
-  if (!faiss) return null;
-  if (!index?.length) return null;
-  const dim = index[0].embedding.length;
-  const ids = new Int32Array(index.length);
-  const data = new Float32Array(index.length * dim);
-  index.forEach((item, i) => {
-    ids[i] = i;
-    data.set(Float32Array.from(item.embedding), i * dim);
-  });
-  const cpuIndex = new faiss.IndexFlatIP(dim);
-  cpuIndex.addWithIds(data, ids);
-  return { cpuIndex, dim };
-}
-
-let faissIndexCache = null;
-function ensureFaiss(index) {
-  if (!faiss) return null;
-  if (faissIndexCache) return faissIndexCache;
-  faissIndexCache = buildFaissIndex(index);
-  return faissIndexCache;
-}
-
-async function vectorSearch(query, k = TOP_K) {
-  let index = loadIndex();
-  if (!index) index = await buildIndex();
-  if (!index || !index.length) return [];
-
-  const [q] = await embed([query]);
-  const faissCtx = ensureFaiss(index);
-
-  if (faissCtx) {
-    const { cpuIndex, dim } = faissCtx;
-    const qArr = Float32Array.from(q);
-    const D = new Float32Array(k);
-    const I = new Int32Array(k);
-    cpuIndex.search(qArr, k, D, I);
-    const results = [];
-    for (let r = 0; r < k; r++) {
-      const idx = I[r];
-      if (idx >= 0 && idx < index.length) {
-        results.push({ item: index[idx], score: D[r] });
-      }
-    }
-    return results.map(r => r.item);
+  return cachedIndex()?.index || null;
+}
+
+// Hybrid search: BM25 over chunk text and identifiers (lib/lexical.js) and vector search,
+// each ranking the best max(3k, 30) chunks, fused by reciprocal rank. Returns
+// [{ chunk, score, ranks: { lexical?, semantic? } }]. Embeddings are charged to sessionId.
+async function hybridSearch(query, k = TOP_K, sessionId) {
+  const current = cachedIndex();
+  const payload = current && syncedRevision === indexRevision(current) ? current : (await syncIndex({ sessionId })).payload;
+  if (!payload.index.length) return [];
+  const depth = Math.max(k * 3, 30);
+  const lists = { lexical: lexicalSearch(lexicalIndex(payload), query, depth) };
+  if (embeddingsEnabled()) {
+    const [q] = await embed([query], { sessionId });
+    lists.semantic = searchIndex(payload, q, depth, { faiss, annMinRows: ANN_MIN_ROWS, annFile: indexFiles(INDEX_FILE).ann });
   }
+  return fuseRankings(lists, k);
+}
 
-  // fallback cosine
-  const scored = index.map(item => ({ item, score: cosineSim(item.embedding, q) }));
-  scored.sort((a, b) => b.score - a.score);
-  return scored.slice(0, k).map(s => s.item);
+// Search for the CLI / callers: chunks without their index fields, paths relative to root.
+// opts.explain adds each hit's `scores`: { fused, lexical, semantic }, the last two being
+// { rank, score } or null when that ranking did not return the chunk
+export async function search(query, k = TOP_K, opts = {}) {
+  const hits = await hybridSearch(query, k);
+  return hits.map(({ chunk: { row, textHash, identifiers, ...c }, score, ranks }) => ({
+    ...c,
+    filePath: path.relative(ROOT_DIR, c.filePath),
+    ...(opts.explain ? { scores: { fused: score, lexical: ranks.lexical || null, semantic: ranks.semantic || null } } : {}),
+  }));
 }
 // --------------------------------------------------
 
 // Build prompt + ask LLM for JSON edits
-async function proposeFixes(errorMessage, extraContext = "", preferredPaths = []) {
-  const top = await vectorSearch(`${errorMessage}\n${extraContext || ""}`, TOP_K);
-  const ctx = top.map((c, i) => [
-    `# ${i + 1} | ${path.relative(ROOT_DIR, c.filePath)}:${c.startLine}-${c.endLine}`,
-    "```",
-    c.text,
-    "```",
-  ].join("\n")).join("\n\n");
+// options: { stack, files, sessionId, count } — `files` are included whole when they fit;
+// stack frames are resolved to their enclosing chunks and always ranked ahead of the
+// semantic hits; the callers, callees and imported definitions of the frames (or of the
+// best hits, without a stack) follow them, within graphContextTokens. Everything is fitted
+// into the fix model's promptTokens (lib/prompt.js). With a sessionId the retrieval,
+// prompt and raw responses go to the session transcript. Returns `count` proposals.
+async function proposeFixes(errorMessage, extraContext = "", preferredPaths = [], options = {}) {
+  if (budgetStop(options.sessionId)) return [];
+  const frameChunks = options.stack ? resolveFrameChunks(options.stack, { root: ROOT_DIR, maxFrames: MAX_FRAME_CHUNKS, maxChunkLen: MAX_CHUNK_LEN }) : [];
+  const overlapsFrame = (c) => frameChunks.some(f => f.filePath === c.filePath && c.startLine <= f.endLine && c.endLine >= f.startLine);
+  const hits = (await hybridSearch(`${errorMessage}\n${extraContext || ""}`, TOP_K, options.sessionId)).map(h => h.chunk).filter(c => !overlapsFrame(c));
+  const top = [...frameChunks, ...hits].slice(0, Math.max(TOP_K, frameChunks.length));
+  const related = relatedChunks(frameChunks.length ? frameChunks : top.slice(0, 2), {
+    graph: codeGraph(cachedIndex()),
+    exclude: top,
+    maxTokens: GRAPH_CONTEXT_TOKENS,
+  });
+  const frameFiles = frameChunks.map(c => path.relative(ROOT_DIR, c.filePath));
+  preferredPaths = [...new Set([...preferredPaths, ...frameFiles])];
+
+  // whole target files lead; frames, hits and graph neighbours follow in that order
+  const fileChunks = (options.files || []).map(f => path.resolve(ROOT_DIR, f)).filter(f => fs.existsSync(f)).map(f => {
+    const text = readText(f);
+    return { id: f, filePath: f, kind: "file", name: path.basename(f), startLine: 1, endLine: text.split(/\r?\n/).length, text, labels: ["whole file"], required: true };
+  });
+  const labelled = (c) => ({
+    ...c,
+    labels: [
+      c.frame && `stack frame: ${c.frame.fn} at line ${c.frame.line}${c.frame.column ? `:${c.frame.column}` : ""}`,
+      c.relation,
+    ].filter(Boolean),
+  });
+  const candidates = [...fileChunks, ...[...top, ...related].map(labelled)];
 
   const system = [
-    "You are an expert automated code-fixing assistant with deep knowledge of JavaScript, Node.js, and common programming patterns.",
+    "You are an expert automated code-fixing assistant with deep knowledge of JavaScript, TypeScript, Node.js, and common programming patterns.",
     "Your goal is to analyze the provided error message, user-reported errors and instructions, relevant code context, and the file content to propose comprehensive fixes.",
     "Fix ALL potential syntax, runtime, and logic issues—not just the reported error. Ensure the code is robust, efficient, and maintains original functionality unless it's buggy or contradicted by user instructions.",
     "If rewriting a file, make the code clean, well-structured, idiomatic, and add comments only if specified in user instructions.",
@@ -273,134 +418,569 @@ async function proposeFixes(errorMessage, extraContext = "", preferredPaths = []
     '  "edits": [',
     '    {',
     '      "path": "relative/path.js", // relative to project root',
-    '      "strategy": "replace_file", // or "replace_range" if partial edit',
-    '      "new_content": "FULL updated file content string with a brief top-of-file comment explaining the fix", // for replace_file',
-    '      "startLine": 5, // for replace_range (1-based)',
-    '      "endLine": 10, // for replace_range (inclusive)',
-    '      "new_text": "Replacement text for the range" // for replace_range',
+    '      "strategy": "replace_function", // see strategies below',
+    '      ...strategy fields',
     '    }',
     "  ]",
     "}",
+    "Strategies and their fields:",
+    '- "replace_function": { "name": "fnName" or "ClassName.method", "new_text": "the complete new function/method/const declaration" }',
+    '- "insert_import": { "source": "module", "specifiers": ["named", "other as alias"], "default": "DefaultName" (optional), "namespace": "ns" (optional) }',
+    '- "rename_symbol": { "from": "oldName", "to": "newName", "line": 12 (only if the name is bound in several scopes) }',
+    '- "replace_node": { "node_path": "program.body.3.declarations.0.init", "new_text": "replacement source for that AST node" }',
+    '- "replace_range": { "startLine": 5, "endLine": 10, "old_text": "exact current text of those lines", "new_text": "replacement lines" } (1-based, inclusive)',
+    '- "replace_file": { "new_content": "FULL updated file content with a brief top-of-file comment explaining the fix" }',
     "Rules:",
     "- Propose edits for all files that need changes to fully resolve the issues.",
     "- If preferred paths are provided, prioritize fixing those but include others if necessary.",
-    "- Prefer 'replace_file' strategy for simplicity and to avoid partial edit errors.",
-    "- For 'replace_file', include a short // comment at the very top explaining the changes made.",
-    "- For 'replace_range', specify exact 1-based line numbers and the exact replacement text.",
+    "- Prefer the name-based strategies (replace_function, insert_import, rename_symbol); line numbers may have shifted since the chunks were taken.",
+    "- Use 'replace_file' only for new files or when most of a file must change; then include a short // comment at the very top explaining the changes made.",
+    "- For 'replace_range', always include old_text so the edit can be located if lines moved.",
+    "- If you change a function's signature, also update its callers (chunks marked 'caller of ...').",
+    "- Every edited file must still parse; edits that leave a file unparseable are rejected.",
+    "- Keep TypeScript files typed: fix type errors properly instead of casting to any or adding @ts-ignore.",
     "- Incorporate any user-reported errors, message logs, and instructions to guide the fixes.",
     "- Ensure the JSON is parsable and contains no extra text, markdown, or explanations outside the JSON.",
     "- If no fixes are needed, return an empty edits array.",
   ].join("\n");
 
-  const user = [
+  // Budget: the instructions and error message always go in; the additional context may
+  // take up to a quarter of what is left, the chunks fill the rest and the additional
+  // context gets whatever they leave over
+  const budget = promptBudget(PROMPT_TOKENS, FIX_MODEL);
+  const head = [
     `Error Message: ${errorMessage}`,
     preferredPaths.length ? `Preferred files to focus on: ${preferredPaths.join(", ")}` : "",
-    extraContext ? `Additional Context (including user-reported errors, message logs, and instructions):\n${extraContext}` : "",
+  ];
+  const heading = (fileChunks.length ? "Relevant Codebase Chunks (the files being fixed first, then " : "Relevant Codebase Chunks (") +
+    (frameChunks.length ? "stack frames of the error, innermost first; then search hits" : "from search") +
+    (related.length ? "; then callers, callees and imported definitions of that code):" : "):");
+  const footer = "Propose the JSON edits now.";
+  const room = budget - estimateTokens([system, ...head, heading, footer].join("\n")) - 200; // headers and notes
+  const extraTokens = extraContext ? estimateTokens(extraContext) : 0;
+  const picked = selectChunks(candidates, room - Math.min(extraTokens, Math.floor(room / 4)));
+  const extra = extraContext ? truncateText(extraContext, room - picked.tokens) : { text: "", omittedLines: 0 };
+
+  const omitted = picked.omitted.map(({ chunk: c, reason }) => ({
+    path: path.relative(ROOT_DIR, c.filePath), startLine: c.startLine, endLine: c.endLine, name: c.name, reason,
+  }));
+  recordEvent(ROOT_DIR, options.sessionId, "retrieval", {
+    chunks: picked.chunks.map(c => ({
+      path: path.relative(ROOT_DIR, c.filePath),
+      startLine: c.startLine,
+      endLine: c.endLine,
+      kind: c.kind,
+      name: c.name,
+      frame: c.frame ? { fn: c.frame.fn, line: c.frame.line, column: c.frame.column } : undefined,
+      relation: c.relation,
+      labels: c.labels,
+    })),
+    omitted,
+    extraContextLinesOmitted: extra.omittedLines || undefined,
+    tokens: { budget, chunks: picked.tokens },
+  });
+
+  const ctx = picked.chunks.map((c, i) => [
+    `# ${i + 1} | ${path.relative(ROOT_DIR, c.filePath)}:${c.startLine}-${c.endLine}` +
+      (c.parts ? ` | part ${c.part}/${c.parts} of ${c.name}` : "") +
+      c.labels.map(l => ` | ${l}`).join(""),
+    "```",
+    c.text,
+    "```",
+  ].join("\n")).join("\n\n");
+  const shown = omitted.slice(0, 10).map(o => `${o.path}:${o.startLine}-${o.endLine} (${o.reason})`);
+
+  const user = [
+    ...head,
+    extra.text ? `Additional Context (including user-reported errors, message logs, and instructions):\n${extra.text}` : "",
     "",
-    "Relevant Codebase Chunks (from vector search):",
+    heading,
     ctx,
+    omitted.length
+      ? `\nLeft out to fit the prompt: ${shown.join(", ")}${omitted.length > shown.length ? `, and ${omitted.length - shown.length} more` : ""}`
+      : "",
     "",
-    "Propose the JSON edits now.",
+    footer,
   ].join("\n");
 
-  // Use chat completion - keep temperature low for deterministic edits
-  const resp = await openai.chat.completions.create({
-    model: FIX_MODEL,
-    response_format: { type: "json_object" },
-    temperature: 0.1, // lower for more deterministic
-    messages: [
-      { role: "system", content: system },
-      { role: "user", content: user },
-    ],
+  const messages = [
+    { role: "system", content: system },
+    { role: "user", content: user },
+  ];
+  recordEvent(ROOT_DIR, options.sessionId, "prompt", { model: FIX_MODEL, messages });
+
+  // One proposal per candidate; the first keeps the low temperature for deterministic
+  // edits, the others sample more freely so they actually differ. Output that fails the
+  // edit schema goes back to the model with the errors, up to repairRetries times. Output
+  // still invalid after that is rejected as a whole: its valid edits may depend on the
+  // invalid ones, so the proposal keeps no edits and lists the errors in `errors`. Once the
+  // budget is spent no further call is made and the proposals so far are returned.
+  const proposals = [];
+  let exceeded = null;
+  for (let i = 0; i < (options.count || 1) && !exceeded; i++) {
+    const temperature = i === 0 ? 0.1 : CANDIDATE_TEMPERATURE;
+    let conversation = messages;
+    let checked, repairs = 0;
+    while (true) {
+      exceeded = budgetStop(options.sessionId);
+      if (exceeded) break;
+      const started = Date.now();
+      const resp = await getProvider().complete({ model: FIX_MODEL, json: true, temperature, messages: conversation });
+      charge({ call: "complete", model: FIX_MODEL, usage: resp.usage, latencyMs: Date.now() - started, input: conversation, output: resp.content }, { sessionId: options.sessionId });
+      recordEvent(ROOT_DIR, options.sessionId, "response", { model: FIX_MODEL, temperature, content: resp.content ?? null, usage: resp.usage || null });
+      const parsed = parseResponse(resp.content);
+      checked = parsed.error ? { edits: [], errors: [parsed.error] } : validateEdits(parsed.value, { root: ROOT_DIR });
+      if (!checked.errors.length) break;
+      recordEvent(ROOT_DIR, options.sessionId, "validation", { candidate: i + 1, repair: repairs, errors: checked.errors });
+      if (repairs >= REPAIR_RETRIES) break;
+      repairs++;
+      conversation = [
+        ...conversation,
+        { role: "assistant", content: resp.content ?? "" },
+        {
+          role: "user",
+          content: `Your response does not match the required format:\n${checked.errors.map(e => `- ${e}`).join("\n")}\n` +
+            "Return the complete corrected JSON object (every edit, not only the fixed ones) and nothing else.",
+        },
+      ];
+    }
+    if (!checked) break;
+    const invalid = checked.errors.length > 0;
+    proposals.push({ edits: invalid ? [] : checked.edits, ...(invalid ? { errors: checked.errors } : {}), ...(repairs ? { repairs } : {}) });
+  }
+  return proposals;
+}
+
+// ------------ Apply Edits (change sets) ------------
+// Edits are planned into a change set first, so nothing touches disk until the
+// whole set is valid (and reviewed, if a review callback is given).
+// opts: { dryRun, review(changeset) -> changeset | null, sessionId }
+async function applyEdits(edits, opts = {}) {
+  const changeset = planChangeset(edits, { root: ROOT_DIR, policy: editPolicy });
+  const diff = formatChangeset(changeset);
+  const done = (results, extra = {}) => ({ results, diff, sessionId: null, applied: false, ...extra });
+
+  if (!changeset.ok) {
+    const failed = changeset.results.filter(r => !r.ok).length;
+    const reason = `changeset rejected: ${failed} invalid edit(s)`;
+    return done(changeset.results.map(r => (r.ok ? { ...r, ok: false, reason } : r)));
+  }
+  if (opts.dryRun) return done(changeset.results.map(r => ({ ...r, dryRun: true })), { dryRun: true });
+
+  let reviewed = opts.review ? await opts.review(changeset) : changeset;
+  let recheckFailed = [];
+  if (opts.review && reviewed?.files?.length) ({ changeset: reviewed, rejected: recheckFailed } = recheckChangeset(reviewed, { policy: editPolicy }));
+  const keep = new Set((reviewed?.files || []).map(f => f.path));
+  const failedPaths = new Set(recheckFailed.map(r => r.path));
+  const rejected = [
+    ...recheckFailed,
+    ...changeset.files
+      .filter(f => !keep.has(f.path) && !failedPaths.has(f.path))
+      .map(f => ({ path: f.path, ok: false, reason: "rejected in review" })),
+  ];
+  if (!keep.size) return done(rejected);
+
+  const sessionId = opts.sessionId || newSessionId();
+  const written = commitChangeset(reviewed, { root: ROOT_DIR, sessionId }).map(r => ({ ...r, sessionId }));
+  return { results: [...written, ...rejected], diff: formatChangeset(reviewed), sessionId, applied: written.some(r => r.ok) };
+}
+
+// options: { force } restores files that changed after the session wrote them
+export function rollback(sessionId, options = {}) {
+  staleIndex();
+  return rollbackSession(ROOT_DIR, sessionId, options);
+}
+
+export function sessions() {
+  return listSessions(ROOT_DIR);
+}
+
+// Sessions with a transcript (see lib/transcript.js), including ones that never wrote a file
+export function transcripts() {
+  return listTranscripts(ROOT_DIR);
+}
+
+export function sessionTranscript(sessionId) {
+  return readTranscript(ROOT_DIR, sessionId);
+}
+
+// Spend recorded in the session transcripts ("usage" events), for the bill: without a
+// sessionId { sessions: [{ id, kind, startedAt, ok, replayOf, ...totals }], total }; with one,
+// that session's { id, kind, startedAt, ok, replayOf, ...totals, rounds: [{ round, ...totals }] }.
+// Replays spend nothing, so they are left out of the total.
+export function usageReport(sessionId) {
+  const summarize = (id) => {
+    const events = readTranscript(ROOT_DIR, id);
+    const meta = events.find(e => e.type === "session");
+    const totals = emptyTotals();
+    const rounds = new Map();
+    for (const e of events.filter(e => e.type === "usage")) {
+      addUsage(totals, e);
+      if (e.round === undefined) continue;
+      if (!rounds.has(e.round)) rounds.set(e.round, { round: e.round, ...emptyTotals() });
+      addUsage(rounds.get(e.round), e);
+    }
+    return {
+      id,
+      kind: meta?.kind ?? null,
+      startedAt: meta?.at ?? null,
+      ok: sessionOutcome(events)?.ok ?? null,
+      replayOf: events.find(e => e.type === "replay")?.of,
+      ...totals,
+      rounds: [...rounds.values()],
+    };
+  };
+  if (sessionId) return summarize(sessionId);
+  const total = emptyTotals();
+  const sessions = listTranscripts(ROOT_DIR).map(id => {
+    const { rounds, ...row } = summarize(id);
+    if (!row.replayOf) mergeTotals(total, row);
+    return row;
   });
+  return { sessions, total };
+}
+// -------------------------------------------------------------
+
+// ------------ Replay ------------
+// Re-run a recorded session with the model responses it recorded, in order, so no
+// network is needed. It runs against the current tree: options.restore rolls the
+// recorded session back first. Retrieval uses the fake provider's hashed embeddings
+// in a throwaway index, which does not matter because the responses are replayed.
+// Replayed responses report their recorded usage; budgets are not enforced, since
+// nothing is spent. options: { restore, dryRun }
+export async function replaySession(sessionId, options = {}) {
+  const events = readTranscript(ROOT_DIR, sessionId);
+  const meta = events.find(e => e.type === "session");
+  if (!meta) throw new Error(`session ${sessionId} has no recorded start`);
+  const manifest = loadManifest(ROOT_DIR, sessionId);
+  if (options.restore && manifest && !manifest.rolledBackAt) {
+    staleIndex();
+    const failed = rollbackSession(ROOT_DIR, sessionId).find(r => !r.ok);
+    if (failed) throw new Error(`cannot restore session ${sessionId}: ${failed.path} ${failed.reason}`);
+  }
+
+  const replayId = newSessionId();
+  const saved = { provider, indexFile: INDEX_FILE, budget: BUDGET };
+  provider = createFakeProvider({ fixtures: replayFixtures(events) });
+  BUDGET = {};
+  INDEX_FILE = sessionFile(ROOT_DIR, replayId, "replay_index.json");
+  resetIndexCache();
 
-  let content = resp.choices?.[0]?.message?.content?.trim() || "{}";
+  let result;
   try {
-    return JSON.parse(content);
+    const common = { sessionId: replayId, dryRun: !!options.dryRun, maxRounds: meta.maxRounds, extraContext: meta.extraContext, candidates: meta.candidates };
+    if (meta.kind === "fix") {
+      result = await fixAndTestFile(meta.target, { ...common, testExportName: meta.testExportName, timeoutMs: meta.timeoutMs, maxMemoryMb: meta.maxMemoryMb });
+    } else if (meta.kind === "tests") {
+      result = await fixWithTests({ ...common, runner: meta.runner, command: meta.command, files: meta.files, timeoutMs: meta.timeoutMs, preferredPaths: meta.preferredPaths });
+    } else if (meta.kind === "repro") {
+      result = await fixCommand({ ...common, command: meta.command, expect: meta.expect, timeoutMs: meta.timeoutMs, preferredPaths: meta.preferredPaths });
+    } else if (meta.kind === "scan") {
+      result = await scan({ ...common, fix: true, files: meta.files, eslint: meta.eslint, typeCheck: meta.typeCheck });
+    } else if (meta.kind === "help") {
+      result = await help(meta.errMessage, meta.extraContext, meta.preferredPaths, { stack: meta.stack, files: meta.files, sessionId: replayId, dryRun: !!options.dryRun, candidates: meta.candidates });
+    } else {
+      throw new Error(`cannot replay a '${meta.kind}' session`);
+    }
+  } finally {
+    removeIndexFiles(INDEX_FILE);
+    provider = saved.provider;
+    INDEX_FILE = saved.indexFile;
+    BUDGET = saved.budget;
+    resetIndexCache();
+  }
+  recordEvent(ROOT_DIR, replayId, "replay", { of: sessionId });
+
+  // error before each round, original vs replay
+  const recorded = roundErrors(events);
+  const replayed = roundErrors(readTranscript(ROOT_DIR, replayId));
+  const rounds = [];
+  for (let i = 0; i < Math.max(recorded.length, replayed.length); i++) {
+    const a = recorded[i]?.error ?? null, b = replayed[i]?.error ?? null;
+    rounds.push({ round: i + 1, recorded: a, replayed: b, same: a === b });
+  }
+  const recordedOk = sessionOutcome(events)?.ok ?? null;
+  const ok = meta.kind === "help" ? !!result.applied : !!result.ok;
+  return {
+    ok,
+    replayOf: sessionId,
+    sessionId: replayId,
+    kind: meta.kind,
+    recordedOk,
+    matches: ok === recordedOk && rounds.every(r => r.same),
+    rounds,
+    result,
+  };
+}
+// -------------------------------------------------------------
+
+// ------------ Public Inline API ------------
+async function refreshAfterApply(results, sessionId) {
+  try {
+    await refreshIndexFiles(results.filter(r => r.ok).map(r => r.path), sessionId);
   } catch (err) {
-    // fallback: empty edits (avoid throwing)
-    return { edits: [] };
+    // a failed refresh only means the next search re-indexes these files
+    staleIndex();
   }
 }
 
-// ------------ Apply Edits (range + replace) ------------
-function backupFile(absPath) {
-  const dir = path.join(os.tmpdir(), "llm_fixes");
-  ensureDir(dir);
-  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
-  const base = path.basename(absPath);
-  const bak = path.join(dir, `${base}.${stamp}.bak`);
-  try { fs.copyFileSync(absPath, bak); } catch {}
-  return bak;
+// Generate `count` proposals, try each in a scratch copy of the project with
+// validate(scratchDir, changeset) -> { pass, failing, regressed, detail }, and
+// return the best one (see lib/candidates.js) with every candidate's scores
+async function selectCandidate(proposals, validate) {
+  const scratch = validate ? createScratch(ROOT_DIR, { skip: fileFilter.skip }) : null;
+  try {
+    const ranked = rankCandidates(await evaluateCandidates(proposals, { root: ROOT_DIR, scratch, validate, policy: editPolicy }));
+    const best = ranked[0];
+    console.log(`Candidates (best first):\n${formatCandidates(ranked, best)}`);
+    return { proposal: best.proposal, candidates: summarizeCandidates(ranked, best) };
+  } finally {
+    scratch?.dispose();
+  }
 }
 
-function applyReplaceRange(absPath, startLine, endLine, newText) {
-  const raw = readText(absPath);
-  const lines = raw.split(/\r?\n/);
-  const clampedStart = Math.max(1, Math.min(startLine, lines.length));
-  const clampedEnd = Math.max(clampedStart, Math.min(endLine, lines.length));
-  const before = lines.slice(0, clampedStart - 1);
-  const after = lines.slice(clampedEnd);
-  const result = [...before, ...newText.split(/\r?\n/), ...after].join("\n");
-  writeText(absPath, result);
+// options: { stack, files, dryRun, review, sessionId, candidates, validate, mode, error } (see
+// proposeFixes / applyEdits / selectCandidate). Every call is recorded in the session transcript;
+// a call outside a fix loop starts its own session. The result carries the session's `usage`
+// so far and `budgetExceeded` when the budget cut this call short.
+// mode: "apply" (default) writes the fix; "suggest" and "report" only queue the error (see queueError).
+export async function help(errMessage, extraContext = "", preferredPaths = [], options = {}) {
+  const mode = options.mode || "apply";
+  if (!MODES.includes(mode)) throw new Error(`unknown mode '${mode}' (expected ${MODES.join(", ")})`);
+  if (mode !== "apply") return queueError(mode, errMessage, extraContext, preferredPaths, options);
+  const sessionId = options.sessionId || newSessionId();
+  const count = options.candidates || CANDIDATES;
+  const standalone = startSession(ROOT_DIR, sessionId, {
+    kind: "help", errMessage, extraContext, preferredPaths, stack: options.stack, files: options.files, dryRun: !!options.dryRun, candidates: count,
+  });
+  try {
+    const proposals = await proposeFixes(errMessage, extraContext, preferredPaths, { stack: options.stack, files: options.files, sessionId, count });
+    let proposal = proposals[0];
+    let candidates;
+    if (proposals.length > 1) {
+      ({ proposal, candidates } = await selectCandidate(proposals, options.validate));
+      recordEvent(ROOT_DIR, sessionId, "candidates", { candidates });
+    }
+    const applied = await applyEdits(proposal?.edits || [], { ...options, sessionId });
+    recordEvent(ROOT_DIR, sessionId, "edits", {
+      edits: proposal?.edits || [],
+      schemaErrors: proposal?.errors,
+      results: applied.results,
+      diff: applied.diff,
+      applied: applied.applied,
+      dryRun: !!applied.dryRun,
+    });
+    if (applied.applied) await refreshAfterApply(applied.results, sessionId);
+    const spend = sessionUsage(sessionId);
+    if (standalone) recordEvent(ROOT_DIR, sessionId, "end", { ok: applied.applied, ...spend });
+    return { proposal, candidates, schemaErrors: proposal?.errors, ...applied, sessionId, ...spend };
+  } finally {
+    // a help() inside a fix loop shares the loop's ledger
+    if (standalone) ledgers.delete(sessionId);
+  }
 }
 
-function applyEdits(edits) {
-  const results = [];
-  for (const e of (edits || [])) {
-    const abs = path.isAbsolute(e.path) ? e.path : path.join(ROOT_DIR, e.path);
-    try {
-      const exists = fs.existsSync(abs);
-      if (exists) backupFile(abs); else ensureDir(path.dirname(abs));
-
-      if (e.strategy === "replace_range") {
-        if (typeof e.new_text !== "string" || !e.startLine || !e.endLine) throw new Error("missing fields for replace_range");
-        applyReplaceRange(abs, e.startLine, e.endLine, e.new_text);
-        results.push({ path: abs, ok: true, strategy: e.strategy });
-      } else if (e.strategy === "replace_file") {
-        if (typeof e.new_content !== "string") throw new Error("missing new_content");
-        writeText(abs, e.new_content);
-        results.push({ path: abs, ok: true, strategy: e.strategy });
-      } else {
-        results.push({ path: abs, ok: false, reason: "unknown strategy" });
+const MODES = ["apply", "suggest", "report"];
+
+// Occurrences of queued errors not written yet: a hot loop rewrites an entry at most once a second
+const QUEUE_WRITE_MS = 1000;
+const queueWrites = new Map(); // id -> { at, pending }
+const queueing = new Set(); // ids whose entry is being written (the model may take a while)
+
+function recordOccurrence(entry) {
+  const now = Date.now();
+  const w = queueWrites.get(entry.id) || { at: 0, pending: 0 };
+  w.pending++;
+  if (now - w.at >= QUEUE_WRITE_MS) {
+    Object.assign(entry, { count: entry.count + w.pending, lastSeen: now });
+    writeEntry(QUEUE_DIR, entry);
+    Object.assign(w, { at: now, pending: 0 });
+  }
+  queueWrites.set(entry.id, w);
+  return entry;
+}
+
+// "suggest" / "report" mode of help(): never touches source. The error goes into the queue
+// (lib/queue.js) as a crash bundle: error, stack, context and the code of its project frames.
+// "suggest" also asks the model and stores the proposal with its planned diff, within the
+// inlineRateLimit; past it only the bundle is written (marked rateLimited). An error already
+// queued (same stack fingerprint) only has its count bumped, so a hot loop costs no model calls.
+// Returns { applied: false, results: [], queued: { id, file, kind, count, duplicate, rateLimited }, proposal?, diff? }
+async function queueError(mode, errMessage, extraContext, preferredPaths, options) {
+  const error = {
+    name: options.error?.name || errMessage.match(/^\s*([A-Z]\w*Error)\b/)?.[1] || "Error",
+    message: options.error?.message || errMessage,
+    stack: options.stack || options.error?.stack || "",
+  };
+  const id = errorFingerprint(error, ROOT_DIR);
+  const summary = (entry, duplicate) => ({
+    id, file: path.join(QUEUE_DIR, `${id}.json`), kind: entry.kind, count: entry.count, duplicate, rateLimited: !!entry.rateLimited,
+  });
+  if (queueing.has(id)) {
+    const w = queueWrites.get(id);
+    w.pending++;
+    return { applied: false, results: [], queued: summary({ kind: mode === "suggest" ? "suggestion" : "report", count: null }, true) };
+  }
+  const existing = readEntry(QUEUE_DIR, id);
+  // a queued report becomes a suggestion once the rate limit allows
+  const ask = mode === "suggest" && existing?.kind !== "suggestion" && inlineLimiter.allow();
+  if (existing && !ask) return { applied: false, results: [], queued: summary(recordOccurrence(existing), true) };
+
+  const now = Date.now();
+  const entry = {
+    id,
+    kind: "report",
+    createdAt: existing?.createdAt || now,
+    lastSeen: now,
+    count: 0,
+    error,
+    errMessage,
+    extraContext,
+    preferredPaths,
+    frames: resolveFrameChunks(error.stack, { root: ROOT_DIR, maxFrames: MAX_FRAME_CHUNKS, maxChunkLen: MAX_CHUNK_LEN }).map(c => ({
+      path: path.relative(ROOT_DIR, c.filePath), name: c.name, startLine: c.startLine, endLine: c.endLine,
+      fn: c.frame.fn, line: c.frame.line, column: c.frame.column, text: c.text,
+    })),
+    runtime: { node: process.version, platform: process.platform, pid: process.pid, cwd: process.cwd() },
+  };
+  let proposal;
+  queueing.add(id);
+  queueWrites.set(id, { at: now, pending: (queueWrites.get(id)?.pending || 0) + 1 });
+  try {
+    if (ask) {
+      const sessionId = options.sessionId || newSessionId();
+      const count = options.candidates || CANDIDATES;
+      startSession(ROOT_DIR, sessionId, { kind: "suggest", errMessage, extraContext, preferredPaths, stack: error.stack, files: options.files, candidates: count });
+      try {
+        const proposals = await proposeFixes(errMessage, extraContext, preferredPaths, { stack: error.stack, files: options.files, sessionId, count });
+        proposal = proposals.length > 1 ? (await selectCandidate(proposals)).proposal : proposals[0];
+        const preview = previewFix(proposal);
+        entry.kind = "suggestion";
+        const spend = sessionUsage(sessionId);
+        entry.suggestion = {
+          sessionId, model: FIX_MODEL, edits: proposal?.edits || [], schemaErrors: proposal?.errors, ok: preview.ok, diff: preview.diff, results: preview.results, ...spend,
+        };
+        recordEvent(ROOT_DIR, sessionId, "end", { ok: !!proposal?.edits?.length, ...spend });
+      } catch (err) {
+        // the crash bundle is still worth keeping when the model is unreachable
+        entry.suggestionError = err?.message || String(err);
+        recordEvent(ROOT_DIR, sessionId, "end", { ok: false, error: entry.suggestionError, ...sessionUsage(sessionId) });
       }
-    } catch (err) {
-      results.push({ path: abs, ok: false, reason: err?.message || String(err) });
+    } else if (mode === "suggest") {
+      entry.rateLimited = true;
     }
+    // occurrences seen while the model was asked count too
+    entry.count = (existing?.count || 0) + queueWrites.get(id).pending;
+    writeEntry(QUEUE_DIR, entry);
+    queueWrites.set(id, { at: Date.now(), pending: 0 });
+  } finally {
+    queueing.delete(id);
   }
-  return results;
+  return { applied: false, results: [], proposal, diff: entry.suggestion?.diff, queued: summary(entry, false) };
 }
-// -------------------------------------------------------------
 
-// ------------ Public Inline API ------------
-export async function help(errMessage, extraContext = "", preferredPaths = []) {
-  const proposal = await proposeFixes(errMessage, extraContext, preferredPaths);
-  const results = applyEdits(proposal?.edits || []);
-  return { proposal, results };
+// ------------ Queue triage ------------
+export function queuedErrors() {
+  return listQueue(QUEUE_DIR);
 }
 
-export async function applyFix(fixJson) {
+export function queuedError(id) {
+  return readEntry(QUEUE_DIR, id);
+}
+
+export function dropQueuedError(id) {
+  queueWrites.delete(id);
+  return removeEntry(QUEUE_DIR, id);
+}
+
+// Apply a queued suggestion (see applyProposal), or ask for a fix of a queued report now
+// (help() in "apply" mode). The entry is removed once edits are written.
+// options: { dryRun, review, sessionId }. Returns the applyProposal / help() result
+export async function applyQueuedError(id, options = {}) {
+  const entry = readEntry(QUEUE_DIR, id);
+  if (!entry) throw new Error(`no queued error ${id}`);
+  const res = entry.suggestion?.edits?.length
+    ? await applyProposal({ edits: entry.suggestion.edits }, options)
+    : await help(entry.errMessage, entry.extraContext, entry.preferredPaths, { ...options, mode: "apply", stack: entry.error.stack });
+  if (res.applied) dropQueuedError(id);
+  return res;
+}
+
+// Plan a fix without writing: { ok, diff, results }
+export function previewFix(fixJson) {
+  const changeset = planChangeset(fixJson?.edits || [], { root: ROOT_DIR, policy: editPolicy });
+  return { ok: changeset.ok, diff: formatChangeset(changeset), results: changeset.results };
+}
+
+// Ask for fixes without applying anything: every proposal comes back with its planned
+// diff. options: { stack, candidates, sessionId }. Returns { sessionId, proposals: [{ edits, ok, diff, results }], usage, budgetExceeded }
+export async function propose(errMessage, extraContext = "", preferredPaths = [], options = {}) {
+  const sessionId = options.sessionId || newSessionId();
+  const count = options.candidates || CANDIDATES;
+  try {
+    startSession(ROOT_DIR, sessionId, { kind: "propose", errMessage, extraContext, preferredPaths, stack: options.stack, candidates: count });
+    const proposals = await proposeFixes(errMessage, extraContext, preferredPaths, { stack: options.stack, sessionId, count });
+    const spend = sessionUsage(sessionId);
+    recordEvent(ROOT_DIR, sessionId, "end", { ok: proposals.some(p => p?.edits?.length), ...spend });
+    return { sessionId, proposals: proposals.map(p => ({ edits: p.edits, schemaErrors: p.errors, ...previewFix(p) })), ...spend };
+  } finally {
+    // "end" drops the ledger too, but a session that throws never records one
+    ledgers.delete(sessionId);
+  }
+}
+
+// Apply a proposal and report everything: { results, diff, sessionId, applied, dryRun }
+// options: { dryRun, review, sessionId } (see applyEdits)
+export async function applyProposal(fixJson, options = {}) {
+  const applied = await applyEdits(fixJson?.edits || [], options);
+  if (applied.applied) await refreshAfterApply(applied.results, applied.sessionId);
+  return applied;
+}
+
+export async function applyFix(fixJson, options = {}) {
   if (!fixJson || !Array.isArray(fixJson.edits)) return [];
-  return applyEdits(fixJson.edits);
+  return (await applyProposal(fixJson, options)).results;
 }
 
-export async function tryq(fn, extraContext = "", preferredPaths = []) {
+// Errors fixed (or being fixed) by tryq() in "apply" mode in this process: the running code
+// is still the old one, so a repeat must not ask the model again
+const tryqFingerprints = new Set();
+
+// options: { mode: "apply" | "suggest" | "report", ...help() options }. "apply" (the default)
+// fixes the source and logs the outcome; "suggest" and "report" only queue the error (see
+// queueError) and log nothing, for wrapping production handlers. Repeats of one error
+// (same stack fingerprint) ask the model once, and model calls share the inlineRateLimit.
+// Returns { ok, out } or { ok: false, error, fix (the help() result) | skipped: "duplicate" | "rate-limited" }
+export async function tryq(fn, extraContext = "", preferredPaths = [], options = {}) {
   try {
     const out = await fn();
     return { ok: true, out };
   } catch (err) {
     // Get fix proposal using actual error
     const errorMsg = err?.message || String(err);
-    const fix = await help(
-      `Fix ALL syntax, runtime, and logic issues related to this error: ${errorMsg}. Rewrite affected files to be valid, bug-free JS if needed.`,
-      extraContext,
-      preferredPaths
-    );
-
-    // Apply fix immediately 🔥
-    if (fix?.proposal?.edits?.length) {
-      await applyFix(fix.proposal);
-      console.log("✅ Fix applied automatically:", fix.proposal.edits.map(e => e.path));
+    const mode = options.mode || "apply";
+    const message = `Fix ALL syntax, runtime, and logic issues related to this error: ${errorMsg}. Rewrite affected files to be valid, bug-free JS if needed.`;
+    if (mode !== "apply") {
+      const fix = await help(message, extraContext, preferredPaths, { ...options, stack: err?.stack, error: err });
+      return { ok: false, error: errorMsg, fix };
+    }
+
+    const fingerprint = errorFingerprint({ name: err?.name, message: errorMsg, stack: err?.stack }, ROOT_DIR);
+    const skipped = tryqFingerprints.has(fingerprint) ? "duplicate" : !inlineLimiter.allow() ? "rate-limited" : null;
+    if (skipped) {
+      console.log(`⚠️ Not asking for a fix (${skipped}): ${errorMsg}`);
+      return { ok: false, error: errorMsg, skipped };
+    }
+    tryqFingerprints.add(fingerprint);
+    const fix = await help(message, extraContext, preferredPaths, { ...options, stack: err?.stack });
+
+    // help() already applied (or, in dry-run, only planned) the edits
+    if (fix.applied) {
+      console.log(`✅ Fix applied (session ${fix.sessionId}):`, fix.results.filter(r => r.ok).map(r => r.path));
+    } else if (fix.dryRun) {
+      console.log("📝 Dry run, proposed changes:\n" + (fix.diff || "(no changes)"));
+    } else if (fix?.proposal?.edits?.length) {
+      console.log("⚠️ Edits not applied:", fix.results.map(r => r.reason).filter(Boolean));
     } else {
       console.log("⚠️ No edits proposed.");
     }
@@ -412,12 +992,6 @@ export async function tryq(fn, extraContext = "", preferredPaths = []) {
 
 // -----------------------------------------
 
-// ---------- dynamic import helper ----------
-async function importFresh(p) {
-  const modPath = path.resolve(p) + "?t=" + Date.now();
-  return await import("file://" + modPath);
-}
-
 // ---------- convenience: create basic buggy files if missing (for testing) ----------
 async function ensureBugFile() {
   const p = path.join(__dirname, "buggy_example.js");
@@ -464,76 +1038,706 @@ export function run() {
 // ---------- high-level helper that attempts to fix & re-run a target file ----------
 export async function fixAndTestFile(relativePath, options = {}) {
   // relativePath: path relative to ROOT_DIR or absolute
-  // options: { testExportName: "run", maxRounds: 3, extraContext: "" }
+  // options: { testExportName: "run", maxRounds: 3, extraContext: "", timeoutMs, maxMemoryMb, dryRun, review, sessionId, typeCheck, candidates,
+  //            test: { runner, command, files }, git: { mode, branch, worktreeDir, force, patch }, onApplied }
+  //   - with `test`, success means the suite passes
+  //   - with `git`, the fix runs on a new branch or worktree (see fixOnBranch); a dry run ignores it
+  //   - onApplied({ round, error, files }) is awaited after every round whose edits were written
+  if (options.git && !options.dryRun) return fixOnBranch(relativePath, options);
+  if (options.test) {
+    return fixWithTests({ ...options, ...options.test, preferredPaths: [relativePath, ...(options.preferredPaths || [])] });
+  }
   const maxRounds = options.maxRounds || MAX_ROUNDS;
   const testExportName = options.testExportName || "run";
+  const timeoutMs = options.timeoutMs || RUN_TIMEOUT_MS;
+  const maxMemoryMb = options.maxMemoryMb || RUN_MAX_MEMORY_MB;
   const userExtraContext = options.extraContext || '';
   const absPath = path.isAbsolute(relativePath) ? relativePath : path.join(ROOT_DIR, relativePath);
+  // every round of one run shares a session, so `rollback <id>` undoes all of it
+  const sessionId = options.sessionId || newSessionId();
+  try {
+    const applyOpts = { dryRun: !!options.dryRun, review: options.review, sessionId };
+    const relTarget = path.relative(ROOT_DIR, absPath);
+    startSession(ROOT_DIR, sessionId, {
+      kind: "fix", target: relTarget, testExportName, maxRounds, extraContext: userExtraContext, timeoutMs, maxMemoryMb, dryRun: !!options.dryRun,
+      candidates: options.candidates || CANDIDATES,
+    });
+    const finish = (result) => {
+      Object.assign(result, sessionUsage(sessionId));
+      recordEvent(ROOT_DIR, sessionId, "end", {
+        ok: result.ok, rounds: result.rounds, error: result.error, dryRun: !!result.dryRun, usage: result.usage, budgetExceeded: result.budgetExceeded,
+      });
+      return result;
+    };
+
+    // TypeScript targets are transpiled on the fly and judged by tsc diagnostics as well
+    const isTs = isTypeScriptFile(absPath);
+    const ts = isTs ? loadTypeScript(ROOT_DIR) : null;
+    if (isTs && !ts && !absPath.endsWith(".cts")) {
+      return finish({ ok: false, rounds: 0, error: "TypeScript targets need the optional 'typescript' package (npm i -D typescript)", history: [], sessionId });
+    }
+    const checkTypes = !!ts && (options.typeCheck ?? TYPE_CHECK);
+    const candidates = options.candidates || CANDIDATES;
+    // a candidate passes when the target runs (and type-checks) in the scratch copy
+    const validate = async (dir) => {
+      const target = path.join(dir, relTarget);
+      const run = await runInSandbox(target, { exportName: testExportName, timeoutMs, maxMemoryMb, root: dir });
+      const types = checkTypes ? typeCheck(ts, [target], { root: dir }) : null;
+      const typeErrors = types?.diagnostics.length || 0;
+      return {
+        pass: run.ok && !typeErrors,
+        failing: (run.ok ? 0 : 1) + typeErrors,
+        regressed: 0,
+        detail: run.ok ? (typeErrors ? `runs, ${typeErrors} type error(s)` : "runs") : `${run.phase}: ${run.error.message}`,
+      };
+    };
+
+    // ensure index
+    let index = loadIndex();
+    if (!index) {
+      console.log("Building vector index...");
+      index = await buildIndex();
+      console.log("Index built.");
+    }
+
+    let lastError = null;
+    const history = [];
+
+    let rounds = 0;
+    for (let round = 1; round <= maxRounds; round++) {
+      rounds = round;
+      // Import + run in a fresh worker: hangs, process.exit and OOM can't take the fixer down
+      const run = await runInSandbox(absPath, { exportName: testExportName, timeoutMs, maxMemoryMb, root: ROOT_DIR });
+      // TypeScript targets must also type-check; the diagnostics help even when the run fails
+      const types = checkTypes ? typeCheck(ts, [absPath], { root: ROOT_DIR }) : null;
+      if (run.ok && (!types || types.ok)) {
+        return finish({ ok: true, rounds: round, out: run.out, stdout: run.stdout, history, sessionId });
+      }
 
-  // ensure index
-  let index = loadIndex();
-  if (!index) {
-    console.log("Building vector index...");
-    index = await buildIndex();
-    console.log("Index built.");
+      const typeText = types && !types.ok ? formatDiagnostics(types.diagnostics) : "";
+      const phase = run.ok ? "types" : run.phase;
+      const error = run.ok
+        ? { name: "TypeError", message: `${types.diagnostics.length} type error(s): ${typeText.split("\n")[0]}`, stack: "" }
+        : run.error;
+      lastError = error;
+      recordEvent(ROOT_DIR, sessionId, "round", {
+        round, phase, error, typeErrors: types?.diagnostics, stdout: run.stdout, stderr: run.stderr, timedOut: run.timedOut,
+      });
+      const label = { import: "Import failed", resolve: "No runnable export", timeout: "Timed out", exit: "Exited", crash: "Crashed", types: "Type errors" }[phase] || "Runtime error";
+      console.log(`[round ${round}] ${label}: ${error.message}`);
+
+      const lang = isTs ? "TypeScript" : "JS";
+      const prompt = phase === "types"
+        ? `The code runs but does not type-check (tsc --noEmit). Fix these type errors without changing runtime behaviour:\n${typeText}`
+        : phase === "import"
+          // If the file has a syntax error, it surfaces at import time.
+          ? `${error.message}. Fix all syntax issues and make the file importable.`
+          : phase === "resolve"
+            ? `No runnable export found in ${relativePath} (tried '${testExportName}', default, and first export)`
+            : `Fix ALL syntax, runtime, and logic issues related to this error: ${error.message}. Rewrite affected files to be valid, bug-free ${lang} if needed.`;
+      const output = [
+        error.stack && `Stack:\n${error.stack}`,
+        phase !== "types" && typeText && `Type errors (tsc --noEmit):\n${typeText}`,
+        run.stderr && `stderr:\n${run.stderr}`,
+        run.stdout && `stdout:\n${run.stdout}`,
+      ].filter(Boolean).join("\n");
+      const extraContext = `${userExtraContext}${output ? `\n${output}` : ''}`;
+
+      // type errors become stack frames, so the chunks around them lead the prompt
+      const typeFrames = (types?.diagnostics || []).filter(d => d.absPath && d.line).map(d => `    at ${d.absPath}:${d.line}:${d.column}`);
+      const stack = [error.stack, ...typeFrames].filter(Boolean).join("\n");
+      const typeFiles = (types?.diagnostics || []).map(d => d.file).filter(Boolean);
+      const fixRes = await help(prompt, extraContext, [...new Set([relTarget, ...typeFiles])], { ...applyOpts, stack, files: [absPath], candidates, validate });
+      history.push({
+        round,
+        phase,
+        error: error.message,
+        typeErrors: types?.diagnostics.length,
+        run: { stdout: run.stdout, stderr: run.stderr, timedOut: run.timedOut, durationMs: run.durationMs },
+        fixRes,
+      });
+      if (fixRes.dryRun) return finish({ ok: false, dryRun: true, rounds: round, error: error.message, diff: fixRes.diff, history, sessionId });
+      if (!fixRes.applied && roundBudgetSpent(sessionId, fixRes)) {
+        console.log(`[round ${round}] ${fixRes.budgetExceeded}, going on with the next round.`);
+        continue;
+      }
+      if (!fixRes.applied) {
+        console.log(`[round ${round}] No edits applied${noEditsReason(fixRes)}, stopping.`);
+        break;
+      }
+      await options.onApplied?.({ round, error: error.message, files: writtenFiles(fixRes) });
+    }
+
+    return finish({ ok: false, rounds, error: lastError?.message || "unknown", history, sessionId });
+  } finally {
+    // "end" drops the ledger too, but a session that throws never records one
+    ledgers.delete(sessionId);
   }
+}
 
-  let lastError = null;
-  const history = [];
+// True when a round wrote nothing only because its round budget was spent: the next
+// round gets a fresh one, so the loop goes on
+function roundBudgetSpent(sessionId, fixRes) {
+  return ledgers.get(sessionId)?.exceeded?.scope === "round" && !fixRes.proposal?.edits?.length;
+}
 
-  for (let round = 1; round <= maxRounds; round++) {
-    let mod;
-    try {
-      mod = await importFresh(absPath);
-    } catch (err) {
-      // If the file has a syntax error, err is thrown at import time.
-      lastError = err;
-      console.log(`[round ${round}] Import failed: ${err?.message || err}`);
-      // ask LLM to fix parse-time error
-      const fileContent = readText(absPath);
-      const extraContext = `${userExtraContext}${fileContent ? `\nFile content:\n${fileContent}` : ''}`;
-      const fixRes = await help(`${err?.message || String(err)}. Fix all syntax issues and make the file importable.`, extraContext, [path.relative(ROOT_DIR, absPath)]);
-      history.push({ round, error: String(err), fixRes });
-      if (!fixRes?.results?.length) break;
-      // continue to next round (file refreshed next loop)
-      continue;
+// " (why)" for a round whose fix wrote nothing: invalid model output or failed edits
+function noEditsReason(fixRes) {
+  if (fixRes.budgetExceeded && !fixRes.proposal?.edits?.length) return ` (${fixRes.budgetExceeded})`;
+  if (fixRes.schemaErrors?.length) return ` (invalid model output: ${fixRes.schemaErrors.join("; ")})`;
+  const failed = fixRes.results.filter(r => !r.ok);
+  if (failed.length) return ` (${failed.map(r => r.reason).join("; ")})`;
+  return fixRes.results.length ? "" : " (the model proposed no edits)";
+}
+
+function writtenFiles(fixRes) {
+  return [...new Set(fixRes.results.filter(r => r.ok).map(r => r.path))];
+}
+
+// ---------- git workflow ----------
+// Run the project from `dir` (a worktree of it) for the duration of fn. The index is
+// copied along, so only the chunks that differ get re-embedded there.
+async function withRoot(dir, fn) {
+  const saved = config;
+  const indexFile = INDEX_FILE.startsWith(ROOT_DIR + path.sep)
+    ? path.join(dir, path.relative(ROOT_DIR, INDEX_FILE))
+    : path.join(dir, STATE_DIR, path.basename(INDEX_FILE));
+  if (fs.existsSync(INDEX_FILE) && !fs.existsSync(indexFile)) copyIndexFiles(INDEX_FILE, indexFile);
+  applyConfig({ ...config, root: dir, indexFile });
+  resetIndexCache();
+  try {
+    return await fn();
+  } finally {
+    applyConfig(saved);
+    resetIndexCache();
+  }
+}
+
+// fixAndTestFile on a new branch ("branch", checked out in place) or a new worktree
+// ("worktree"; the session is recorded there and copied back to the project when the run
+// ends). Each applied round is committed with a generated message; options.git.patch
+// exports the commits as one .patch file or a format-patch series directory. Refuses a
+// dirty tree (in worktree mode unless options.git.force); a run that commits nothing
+// removes its branch again.
+async function fixOnBranch(relativePath, options) {
+  const { git: gitOpts, ...rest } = options;
+  const sessionId = options.sessionId || newSessionId();
+  const target = path.relative(ROOT_DIR, path.resolve(ROOT_DIR, relativePath));
+  const ws = prepareWorkspace(ROOT_DIR, { ...gitOpts, target, sessionId });
+  if (!ws.ok) return { ok: false, rounds: 0, error: ws.reason, history: [], sessionId };
+  console.log(`Fixing on branch ${ws.branch}${ws.mode === "worktree" ? ` in worktree ${ws.worktree}` : ""}`);
+
+  const commits = [];
+  const onApplied = async (round) => {
+    await options.onApplied?.(round);
+    const message = commitMessage({ target, round: round.round, error: round.error, files: round.files.map(f => path.relative(ws.dir, f)), sessionId });
+    const sha = commitFiles(ws.worktree, round.files, message);
+    if (!sha) return;
+    commits.push({ round: round.round, sha, subject: message.split("\n")[0] });
+    recordEvent(ROOT_DIR, sessionId, "commit", { round: round.round, sha, branch: ws.branch });
+    console.log(`[round ${round.round}] Committed ${sha.slice(0, 8)} on ${ws.branch}`);
+  };
+  const run = () => fixAndTestFile(target, { ...rest, sessionId, onApplied });
+  let result;
+  try {
+    result = ws.mode === "worktree" ? await withRoot(ws.dir, run) : await run();
+  } finally {
+    // the session was recorded inside the worktree; keep it in the project's own state dir
+    if (ws.mode === "worktree") copySession(ws.dir, ROOT_DIR, sessionId);
+    else staleIndex(); // the checkout back below changes files behind the index
+    // a run that threw must not leave the repo on the fix branch (or a worktree behind):
+    // the tree was clean, so undoing the session's writes and forcing the checkout loses
+    // nothing. The branch stays only when it already holds commits.
+    if (!result) {
+      if (ws.mode === "branch" && loadManifest(ROOT_DIR, sessionId)) rollbackSession(ROOT_DIR, sessionId, { force: true });
+      discardWorkspace(ws, { force: true, keepBranch: commits.length > 0 });
+      console.log(`Run failed, ${commits.length ? `left ${commits.length} commit(s) on` : "removed"} ${ws.branch}`);
+    }
+  }
+
+  const info = { mode: ws.mode, branch: ws.branch, base: ws.base, worktree: ws.mode === "worktree" ? ws.worktree : undefined, commits, patches: [] };
+  if (!commits.length) {
+    discardWorkspace(ws);
+    info.discarded = true;
+    console.log(`Nothing committed, removed ${ws.branch}`);
+  } else if (gitOpts.patch) {
+    info.patches = exportPatches(ws.worktree, ws.base, path.resolve(ROOT_DIR, gitOpts.patch));
+  }
+  return { ...result, git: info };
+}
+
+// ---------- test-suite driven fix loop ----------
+// Runs a real test suite in a child process each round and feeds the parsed
+// failures to the model until the suite passes.
+// options: { runner: "node"|"jest"|"mocha"|"command", command, files, timeoutMs,
+//            maxRounds, extraContext, preferredPaths, dryRun, review, sessionId }
+export async function fixWithTests(options = {}) {
+  const maxRounds = options.maxRounds || MAX_ROUNDS;
+  const userExtraContext = options.extraContext || "";
+  const sessionId = options.sessionId || newSessionId();
+  try {
+    const applyOpts = { dryRun: !!options.dryRun, review: options.review, sessionId };
+    const testOpts = { runner: options.runner, command: options.command, files: options.files, cwd: ROOT_DIR, timeoutMs: options.timeoutMs || TEST_TIMEOUT_MS };
+    startSession(ROOT_DIR, sessionId, {
+      kind: "tests",
+      runner: options.runner,
+      command: options.command,
+      files: options.files,
+      timeoutMs: options.timeoutMs,
+      maxRounds,
+      extraContext: userExtraContext,
+      preferredPaths: options.preferredPaths,
+      dryRun: !!options.dryRun,
+      candidates: options.candidates || CANDIDATES,
+    });
+    const finish = (result) => {
+      Object.assign(result, sessionUsage(sessionId));
+      recordEvent(ROOT_DIR, sessionId, "end", {
+        ok: result.ok, rounds: result.rounds, error: result.error, dryRun: !!result.dryRun, usage: result.usage, budgetExceeded: result.budgetExceeded,
+      });
+      return result;
+    };
+
+    const candidates = options.candidates || CANDIDATES;
+    // a candidate is judged by a full suite run in the scratch copy against the current run
+    const validate = async (dir) => {
+      const files = testOpts.files?.map(f => (path.isAbsolute(f) && f.startsWith(ROOT_DIR + path.sep) ? path.join(dir, path.relative(ROOT_DIR, f)) : f));
+      const run = await runTests({ ...testOpts, files, cwd: dir });
+      const cmp = compareRuns(current, run);
+      return {
+        pass: run.ok,
+        failing: run.failed.length || (run.ok ? 0 : 1),
+        regressed: cmp.regressed.length + cmp.newFailing.length,
+        detail: `${run.failed.length} failing, fixed ${cmp.fixed.length}`,
+      };
+    };
+
+    const baseline = await runTests(testOpts);
+    const history = [];
+    let current = baseline;
+    let rounds = 0;
+    console.log(`Baseline: ${baseline.failed.length} failing / ${baseline.tests.length} tests (${baseline.command})`);
+
+    while (!current.ok && rounds < maxRounds) {
+      rounds++;
+      const failures = formatFailures(current);
+      recordEvent(ROOT_DIR, sessionId, "round", {
+        round: rounds,
+        error: { message: failures },
+        failing: current.failed.map(t => t.name),
+        exitCode: current.exitCode,
+        timedOut: current.timedOut,
+      });
+      const preferred = [...new Set([...(options.preferredPaths || []), ...failureFiles(current, ROOT_DIR)])];
+      const testFiles = (options.files || []).join(", ");
+      const fixRes = await help(
+        `The test suite fails. Fix the code under test so that all tests pass without breaking passing ones.${testFiles ? ` Only change the test files (${testFiles}) if a test is clearly wrong.` : ""}\nFailing tests:\n${failures}`,
+        userExtraContext,
+        preferred,
+        { ...applyOpts, stack: current.failed.map(t => t.stack).join("\n") || current.stderr, candidates, validate }
+      );
+      const entry = { round: rounds, failing: current.failed.map(t => t.name), fixRes };
+      history.push(entry);
+      if (fixRes.dryRun) return finish({ ok: false, dryRun: true, rounds, diff: fixRes.diff, history, sessionId });
+      if (!fixRes.applied && roundBudgetSpent(sessionId, fixRes)) {
+        console.log(`[round ${rounds}] ${fixRes.budgetExceeded}, going on with the next round.`);
+        continue;
+      }
+      if (!fixRes.applied) {
+        console.log(`[round ${rounds}] No edits applied${noEditsReason(fixRes)}, stopping.`);
+        break;
+      }
+      await options.onApplied?.({ round: rounds, error: `${current.failed.length} failing test(s)\n${current.failed.map(t => t.name).join("\n")}`, files: writtenFiles(fixRes) });
+
+      const next = await runTests(testOpts);
+      Object.assign(entry, compareRuns(current, next));
+      recordEvent(ROOT_DIR, sessionId, "tests", { round: rounds, failing: next.failed.map(t => t.name), fixed: entry.fixed, regressed: entry.regressed });
+      console.log(`[round ${rounds}] ${next.failed.length} failing; fixed: ${entry.fixed.length}, regressed: ${entry.regressed.length}`);
+      current = next;
     }
 
-    // Determine what to call: prefer named testExportName, then default, then first exported function
-    const candidate = mod[testExportName] || mod.default || (() => {
-      // find first exported function
-      for (const k of Object.keys(mod)) {
-        if (typeof mod[k] === "function") return mod[k];
+    const overall = compareRuns(baseline, current);
+    return finish({
+      ok: current.ok,
+      rounds,
+      error: current.ok ? undefined : formatFailures(current, 2000),
+      fixed: overall.fixed,
+      regressed: overall.regressed,
+      stillFailing: [...overall.stillFailing, ...overall.newFailing],
+      history,
+      sessionId,
+    });
+  } finally {
+    // "end" drops the ledger too, but a session that throws never records one
+    ledgers.delete(sessionId);
+  }
+}
+
+// ---------- reproduction-command driven fix loop ----------
+// Runs any command that reproduces the bug (`node scripts/repro.js`, `npm run start -- --once`)
+// each round and feeds its exit code, output and stack to the model until it exits 0, or
+// until its output matches options.expect. Every project file on the stack goes into the
+// prompt whole when it fits, and the edits may span all of them.
+// options: { command, expect, timeoutMs, env, maxRounds, extraContext, preferredPaths,
+//            dryRun, review, sessionId, candidates, onApplied }
+export async function fixCommand(options = {}) {
+  if (!options.command) throw new Error("fixCommand needs a command");
+  const expect = expectPattern(options.expect); // a bad pattern fails before anything runs
+  const maxRounds = options.maxRounds || MAX_ROUNDS;
+  const userExtraContext = options.extraContext || "";
+  const sessionId = options.sessionId || newSessionId();
+  try {
+    const applyOpts = { dryRun: !!options.dryRun, review: options.review, sessionId };
+    const runOpts = { cwd: ROOT_DIR, timeoutMs: options.timeoutMs || TEST_TIMEOUT_MS, env: options.env, expect };
+    startSession(ROOT_DIR, sessionId, {
+      kind: "repro",
+      command: options.command,
+      expect: expect ? String(expect) : undefined,
+      timeoutMs: options.timeoutMs,
+      maxRounds,
+      extraContext: userExtraContext,
+      preferredPaths: options.preferredPaths,
+      dryRun: !!options.dryRun,
+      candidates: options.candidates || CANDIDATES,
+    });
+    const finish = (result) => {
+      Object.assign(result, sessionUsage(sessionId));
+      recordEvent(ROOT_DIR, sessionId, "end", {
+        ok: result.ok, rounds: result.rounds, error: result.error, dryRun: !!result.dryRun, usage: result.usage, budgetExceeded: result.budgetExceeded,
+      });
+      return result;
+    };
+
+    const candidates = options.candidates || CANDIDATES;
+    // a candidate passes when the command passes in the scratch copy
+    const validate = async (dir) => {
+      const run = await runRepro(options.command, { ...runOpts, cwd: dir });
+      return { pass: run.ok, failing: run.ok ? 0 : 1, regressed: 0, detail: run.ok ? "passes" : run.error.message };
+    };
+
+    const history = [];
+    let run = await runRepro(options.command, runOpts);
+    let rounds = 0;
+    console.log(`Baseline: ${run.ok ? "passes" : run.error.message} (${options.command})`);
+
+    while (!run.ok && rounds < maxRounds) {
+      rounds++;
+      const stack = run.error.stack || run.stderr;
+      const files = stackFiles(stack, ROOT_DIR);
+      const relFiles = files.map(f => path.relative(ROOT_DIR, f));
+      recordEvent(ROOT_DIR, sessionId, "round", {
+        round: rounds, error: run.error, exitCode: run.exitCode, timedOut: run.timedOut, stdout: run.stdout, stderr: run.stderr, files: relFiles,
+      });
+      console.log(`[round ${rounds}] ${run.error.message}`);
+      const goal = expect ? `its output matches ${expect}` : "it exits with code 0";
+      const fixRes = await help(
+        `The reproduction command \`${options.command}\` fails: ${run.error.message}\nFix the code it runs so that ${goal}. The bug may span several files; edit every file that needs it.`,
+        [userExtraContext, formatRun(run, expect)].filter(Boolean).join("\n"),
+        [...new Set([...(options.preferredPaths || []), ...relFiles])],
+        { ...applyOpts, stack, files, candidates, validate }
+      );
+      history.push({ round: rounds, error: run.error.message, exitCode: run.exitCode, files: relFiles, fixRes });
+      if (fixRes.dryRun) return finish({ ok: false, dryRun: true, rounds, error: run.error.message, diff: fixRes.diff, history, sessionId });
+      if (!fixRes.applied && roundBudgetSpent(sessionId, fixRes)) {
+        console.log(`[round ${rounds}] ${fixRes.budgetExceeded}, going on with the next round.`);
+        continue;
+      }
+      if (!fixRes.applied) {
+        console.log(`[round ${rounds}] No edits applied${noEditsReason(fixRes)}, stopping.`);
+        break;
       }
-      return null;
-    })();
-
-    if (!candidate || typeof candidate !== "function") {
-      lastError = new Error(`No runnable export found in ${relativePath} (tried '${testExportName}', default, and first export)`);
-      const fileContent = readText(absPath);
-      const extraContext = `${userExtraContext}${fileContent ? `\nFile content:\n${fileContent}` : ''}`;
-      const fixRes = await help(lastError.message, extraContext, [path.relative(ROOT_DIR, absPath)]);
-      history.push({ round, error: lastError.message, fixRes });
-      if (!fixRes?.results?.length) break;
-      continue;
+      await options.onApplied?.({ round: rounds, error: run.error.message, files: writtenFiles(fixRes) });
+      run = await runRepro(options.command, runOpts);
     }
 
-    // Run candidate inside tryq
-    const fileContent = readText(absPath);
-    const extraContext = `${userExtraContext}${fileContent ? `\nFile content:\n${fileContent}` : ''}`;
-    const attempt = await tryq(() => candidate(), extraContext, [path.relative(ROOT_DIR, absPath)]);
-    history.push({ round, attempt });
+    return finish({
+      ok: run.ok,
+      rounds,
+      error: run.ok ? undefined : run.error.message,
+      exitCode: run.exitCode,
+      out: run.ok ? run.stdout : undefined,
+      history,
+      sessionId,
+    });
+  } finally {
+    // "end" drops the ledger too, but a session that throws never records one
+    ledgers.delete(sessionId);
+  }
+}
 
-    if (attempt.ok) {
-      return { ok: true, rounds: round, out: attempt.out, history };
-    } else {
-      // apply fixes already applied in tryq; continue to next round
-      lastError = new Error(attempt.error);
-      console.log(`[round ${round}] Runtime error: ${attempt.error}`);
+// ---------- static diagnostics (scan) ----------
+// Finds problems without running anything: parse errors, unresolved imports and
+// undefined identifiers, tsc diagnostics for TypeScript files, and ESLint errors.
+// opts: { eslint: true | "command", eslintReport: [...eslint -f json output], typeCheck, touched: Set }
+async function collectDiagnostics(files, opts = {}) {
+  let out = files.flatMap(f => staticDiagnostics(f, { root: ROOT_DIR, globals: GLOBALS }));
+  const parsed = new Set(out.filter(d => d.rule === "parse").map(d => d.absPath));
+
+  const tsFiles = files.filter(f => isTypeScriptFile(f) && !parsed.has(f));
+  const ts = tsFiles.length && (opts.typeCheck ?? TYPE_CHECK) ? loadTypeScript(ROOT_DIR) : null;
+  if (ts) {
+    const wanted = new Set(tsFiles);
+    // tsc knows the types, so it replaces the AST identifier check for these files;
+    // unresolved imports keep the AST check's clearer message
+    out = out.filter(d => !(d.source === "identifiers" && wanted.has(d.absPath)));
+    for (const d of typeCheck(ts, tsFiles, { root: ROOT_DIR }).diagnostics) {
+      if (!wanted.has(d.absPath) || d.code === 2307) continue;
+      out.push({ file: d.file, absPath: d.absPath, line: d.line, column: d.column, severity: "error", rule: `TS${d.code}`, source: "tsc", message: d.message });
     }
   }
 
-  return { ok: false, rounds: maxRounds, error: lastError?.message || "unknown", history };
+  const wanted = new Set(files);
+  if (opts.eslint) {
+    const command = typeof opts.eslint === "string" ? opts.eslint : "npx eslint -f json";
+    const proc = await runCommand(`${command} ${files.map(f => JSON.stringify(f)).join(" ")}`, { cwd: ROOT_DIR, timeoutMs: TEST_TIMEOUT_MS });
+    let report = null;
+    try { report = JSON.parse(proc.stdout); } catch {}
+    if (!report) throw new Error(`eslint produced no JSON output (exit ${proc.exitCode}): ${(proc.stderr || proc.stdout).slice(0, 500)}`);
+    out.push(...eslintDiagnostics(report, { root: ROOT_DIR }).filter(d => wanted.has(d.absPath)));
+  } else if (opts.eslintReport) {
+    // a saved report is only accurate for files this run has not edited yet
+    out.push(...eslintDiagnostics(opts.eslintReport, { root: ROOT_DIR })
+      .filter(d => wanted.has(d.absPath) && !opts.touched?.has(d.absPath)));
+  }
+  return out;
+}
+
+// Scan files (default: every indexed file) and, with `fix`, send each file's
+// diagnostics through the propose/apply loop until it is clean.
+// options: { files, fix, eslint, eslintReport, typeCheck, maxRounds, extraContext, dryRun, review, sessionId, candidates }
+// Returns { ok, files, diagnostics, before, after, history, sessionId }
+export async function scan(options = {}) {
+  const all = listProjectFiles(config, fileFilter);
+  // directories stand for the project files below them
+  const targets = options.files?.length
+    ? [...new Set(options.files.map(f => path.resolve(ROOT_DIR, f)).flatMap(f =>
+      fs.existsSync(f) && fs.statSync(f).isDirectory() ? all.filter(p => p.startsWith(f + path.sep)) : [f]))]
+    : all;
+  const touched = new Set();
+  const collectOpts = { eslint: options.eslint, eslintReport: options.eslintReport, typeCheck: options.typeCheck, touched };
+  const initial = await collectDiagnostics(targets, collectOpts);
+  if (!options.fix) {
+    return { ok: initial.length === 0, files: targets.length, diagnostics: initial, before: initial.length, after: initial.length, history: [] };
+  }
+
+  const maxRounds = options.maxRounds || MAX_ROUNDS;
+  const userExtraContext = options.extraContext || "";
+  const sessionId = options.sessionId || newSessionId();
+  try {
+    const applyOpts = { dryRun: !!options.dryRun, review: options.review, sessionId };
+    startSession(ROOT_DIR, sessionId, {
+      kind: "scan",
+      files: options.files,
+      eslint: options.eslint,
+      typeCheck: options.typeCheck,
+      maxRounds,
+      extraContext: userExtraContext,
+      dryRun: !!options.dryRun,
+      candidates: options.candidates || CANDIDATES,
+    });
+    const candidates = options.candidates || CANDIDATES;
+
+    if (initial.length && !loadIndex()) {
+      console.log("Building vector index...");
+      await buildIndex();
+      console.log("Index built.");
+    }
+
+    const history = [];
+    const diffs = [];
+    for (const group of groupByFile(initial)) {
+      // a spent session budget ends the scan; a round budget only cuts that round short
+      if (ledgers.get(sessionId)?.exceeded?.scope === "session") break;
+      let current = group.diagnostics;
+      for (let round = 1; round <= maxRounds && current.length; round++) {
+        const text = formatDiagnosticList(current);
+        recordEvent(ROOT_DIR, sessionId, "round", { round: history.length + 1, file: group.file, error: { message: text }, diagnostics: current });
+        console.log(`[${group.file} round ${round}] ${current.length} diagnostic(s)`);
+
+        const fixRes = await help(
+          `Static analysis (nothing was executed) found these problems in ${group.file}. Fix them without changing intended behaviour:\n${text}`,
+          userExtraContext,
+          [group.file],
+          {
+            ...applyOpts,
+            stack: diagnosticFrames(current),
+            files: [group.absPath],
+            candidates,
+            // fewer AST diagnostics left in the file is better; nothing runs
+            validate: async (dir) => {
+              const left = staticDiagnostics(path.join(dir, group.file), { root: dir, globals: GLOBALS }).length;
+              return { pass: left === 0, failing: left, regressed: 0, detail: `${left} diagnostic(s) left` };
+            },
+          }
+        );
+        history.push({ round: history.length + 1, file: group.file, error: `${current.length} diagnostic(s) in ${group.file}`, diagnostics: current.length, fixRes });
+        if (fixRes.dryRun) {
+          if (fixRes.diff) diffs.push(fixRes.diff);
+          break;
+        }
+        if (!fixRes.applied && roundBudgetSpent(sessionId, fixRes)) continue;
+        if (!fixRes.applied) {
+          console.log(`[${group.file} round ${round}] No edits applied${noEditsReason(fixRes)}.`);
+          break;
+        }
+        for (const r of fixRes.results) if (r.ok) touched.add(path.resolve(r.path));
+        current = await collectDiagnostics([group.absPath], collectOpts);
+      }
+    }
+
+    // edits in one file can fix (or break) another, so judge on a full rescan
+    const remaining = options.dryRun ? initial : await collectDiagnostics(targets, collectOpts);
+    const result = {
+      ok: !options.dryRun && remaining.length === 0,
+      dryRun: !!options.dryRun,
+      files: targets.length,
+      before: initial.length,
+      after: remaining.length,
+      diagnostics: remaining,
+      diff: diffs.join("\n") || undefined,
+      history,
+      sessionId,
+      ...sessionUsage(sessionId),
+    };
+    recordEvent(ROOT_DIR, sessionId, "end", {
+      ok: result.ok, rounds: history.length, error: remaining.length ? `${remaining.length} diagnostic(s) left` : undefined, dryRun: result.dryRun,
+      usage: result.usage, budgetExceeded: result.budgetExceeded,
+    });
+    return result;
+  } finally {
+    // "end" drops the ledger too, but a session that throws never records one
+    ledgers.delete(sessionId);
+  }
+}
+
+// ---------- watch mode ----------
+// Watches the project, keeps the (in-memory) index current and re-checks a target
+// export or a test suite after every change. A failure that differs from the last
+// one tried goes through the usual fix loop, so an unchanged failure is not retried
+// on every save. Changes the fix itself wrote do not trigger another check.
+// options: { target, testExportName, test: { runner, command, files }, debounceMs, maxRounds,
+//            extraContext, dryRun, review, candidates, onEvent(event) }
+// Without target or test, config.watchTarget / config.watchTest are used.
+// Events: ready, change, check, fix, error. Returns { close(), checked } (checked: the first check is done)
+export async function watch(options = {}) {
+  const test = options.test || (!options.target && config.watchTest ? { command: config.watchTest } : null);
+  const target = test ? null : options.target || config.watchTarget;
+  if (!test && !target) throw new Error("watch needs a target file or a test command (or watchTarget / watchTest in the config)");
+  const absTarget = target && path.resolve(ROOT_DIR, target);
+  if (absTarget && !fs.existsSync(absTarget)) throw new Error(`watch target ${absTarget} does not exist`);
+  const testExportName = options.testExportName || "run";
+  const emit = (event) => {
+    try { options.onEvent?.({ time: new Date().toISOString(), ...event }); } catch {}
+  };
+
+  const { stats } = await syncIndex();
+  console.log(`Index ready (${stats.changed} file(s) re-indexed)`);
+
+  let lastFailure = null; // key of the failure the last fix attempt started from
+  const ownWrites = new Map(); // abs path -> mtimeMs the fix loop left behind
+
+  // { ok, key, error } for the current tree
+  async function status() {
+    if (test) {
+      const run = await runTests({ ...test, cwd: ROOT_DIR, timeoutMs: test.timeoutMs || TEST_TIMEOUT_MS });
+      const failing = run.failed.map(t => t.name).sort();
+      const error = run.ok ? null : failing.length ? `${failing.length} failing test(s): ${failing.join(", ")}` : `exit code ${run.exitCode}`;
+      return { ok: run.ok, key: error, error };
+    }
+    const run = await runInSandbox(absTarget, { exportName: testExportName, timeoutMs: RUN_TIMEOUT_MS, maxMemoryMb: RUN_MAX_MEMORY_MB, root: ROOT_DIR });
+    return { ok: run.ok, key: run.ok ? null : `${run.phase}:${run.error.message}`, error: run.ok ? null : run.error.message, out: run.out };
+  }
+
+  async function check() {
+    const st = await status();
+    emit({ type: "check", ok: st.ok, error: st.error });
+    if (st.ok) {
+      console.log(`✔ ${target ? path.relative(ROOT_DIR, absTarget) : test.command} passes`);
+      lastFailure = null;
+      return;
+    }
+    console.log(`✖ ${st.error}`);
+    if (st.key === lastFailure) {
+      console.log("  (same failure as the last fix attempt, waiting for changes)");
+      return;
+    }
+    lastFailure = st.key;
+    const fixOpts = {
+      maxRounds: options.maxRounds,
+      extraContext: options.extraContext,
+      dryRun: !!options.dryRun,
+      review: options.review,
+      candidates: options.candidates,
+    };
+    const result = test
+      ? await fixWithTests({ ...fixOpts, ...test })
+      : await fixAndTestFile(path.relative(ROOT_DIR, absTarget), { ...fixOpts, testExportName });
+    const written = result.dryRun ? [] : [...new Set(result.history.flatMap(h => (h.fixRes?.applied ? writtenFiles(h.fixRes) : [])))];
+    for (const f of written) {
+      try { ownWrites.set(f, fs.statSync(f).mtimeMs); } catch {}
+    }
+    if (result.ok) lastFailure = null;
+    emit({ type: "fix", ok: !!result.ok, dryRun: !!result.dryRun, rounds: result.rounds, error: result.error, diff: result.diff, files: written.map(f => path.relative(ROOT_DIR, f)), sessionId: result.sessionId });
+    console.log(result.dryRun
+      ? `📝 Proposed fix (not written):\n${result.diff || "(no changes proposed)"}`
+      : result.ok ? `🎉 Fixed after ${result.rounds} round(s) (session ${result.sessionId})` : `❌ Not fixed: ${result.error}`);
+  }
+
+  // one check at a time; changes that arrive meanwhile are handled right after
+  let running = null;
+  let initial = true;
+  const queued = new Set();
+  // paths the fix loop did not write itself
+  function ownWritesDropped(paths) {
+    return paths.filter(p => {
+      let mtime = null;
+      try { mtime = fs.statSync(p).mtimeMs; } catch {}
+      if (ownWrites.get(p) !== mtime) return true;
+      ownWrites.delete(p);
+      return false;
+    });
+  }
+  async function drain() {
+    while (initial || queued.size) {
+      // filtered only now: a fix still running when its writes were seen has recorded them by here
+      const real = ownWritesDropped([...queued]);
+      queued.clear();
+      if (!initial && !real.length) continue;
+      initial = false;
+      if (real.length) {
+        emit({ type: "change", files: real.map(p => path.relative(ROOT_DIR, p)) });
+        console.log(`Changed: ${real.map(p => path.relative(ROOT_DIR, p)).join(", ")}`);
+      }
+      try {
+        await refreshIndexFiles(real);
+        await check();
+      } catch (err) {
+        emit({ type: "error", message: err?.message || String(err) });
+        console.error(`watch: ${err?.message || err}`);
+      }
+    }
+  }
+  // cleared once the drain has settled: one that finds nothing to do returns synchronously
+  function kick() {
+    if (!running) running = drain().finally(() => { running = null; });
+    return running;
+  }
+  function onChange(paths) {
+    paths.forEach(p => queued.add(p));
+    kick();
+  }
+
+  const watcher = watchTree(ROOT_DIR, { filter: fileFilter, debounceMs: options.debounceMs || WATCH_DEBOUNCE_MS, onChange });
+  emit({ type: "ready", root: ROOT_DIR, target: target && path.relative(ROOT_DIR, absTarget), test: test?.command, dirs: watcher.dirs() });
+  console.log(`Watching ${ROOT_DIR} (${watcher.dirs()} director${watcher.dirs() === 1 ? "y" : "ies"}), Ctrl-C to stop`);
+
+  return {
+    checked: kick(),
+    async close() {
+      watcher.close();
+      await running;
+    },
+  };
 }
 
 // ---------- optional test run functions ----------
@@ -0,0 +1,342 @@
+// server.js — local HTTP server speaking JSON-RPC 2.0, so editor plugins and dashboards
+// can use the fixer without importing main.js into their own processes.
+//   POST /rpc   {"jsonrpc":"2.0","id":1,"method":"search","params":{"query":"..."}} (or a batch)
+//   GET /health
+// With "Accept: application/x-ndjson", a single request streams the session events of
+// its run (round, candidates, edits, tests, commit, end) as "progress" notifications
+// ({ id: request id, sessionId, event }), one JSON line each, then the response line.
+// Every request needs "Authorization: Bearer <token>". Without --token a random one is
+// made and written to .llm-fixer/server-token (readable by the owner only) while the
+// server runs. POST bodies must be sent as application/json, and a request from a
+// browser page (an Origin header) is only accepted from a loopback origin.
+// Usage: node cli.js serve [--port 7077] [--host 127.0.0.1] [--token <secret>]
+
+import http from "http";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { STATE_DIR } from "./lib/config.js";
+import { newSessionId, isSessionId } from "./lib/changeset.js";
+import { outsideRoot } from "./lib/util.js";
+import { onEvent, sessionOutcome } from "./lib/transcript.js";
+import {
+  getConfig,
+  indexStatus,
+  rebuildIndex,
+  search,
+  propose,
+  previewFix,
+  applyProposal,
+  fixAndTestFile,
+  fixCommand,
+  scan,
+  rollback,
+  queuedErrors,
+  queuedError,
+  dropQueuedError,
+  applyQueuedError,
+  transcripts,
+  sessionTranscript,
+  usageReport,
+  trackIndexChanges,
+} from "./main.js";
+
+const MAX_BODY = 10 * 1024 * 1024;
+const PROGRESS_EVENTS = new Set(["session", "round", "candidates", "edits", "tests", "commit", "end"]);
+const LOOPBACK = new Set(["localhost", "127.0.0.1", "[::1]", "::1"]);
+
+export const TOKEN_FILE = path.join(STATE_DIR, "server-token");
+
+const ERR = { parse: -32700, invalidRequest: -32600, method: -32601, params: -32602, server: -32000, unauthorized: -32001 };
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function need(params, key, type) {
+  const value = params[key];
+  const ok = type === "array" ? Array.isArray(value) : typeof value === type;
+  if (!ok) throw new RpcError(ERR.params, `param '${key}' must be a${type === "array" || type === "object" ? "n" : ""} ${type}`);
+  return value;
+}
+
+function optional(params, key, type) {
+  return params[key] === undefined || params[key] === null ? undefined : need(params, key, type);
+}
+
+// Session ids become paths under .llm-fixer/sessions, so "../x" must not get through
+function sessionIdParam(params, key, required = true) {
+  const id = required ? need(params, key, "string") : optional(params, key, "string");
+  if (id !== undefined && !isSessionId(id)) throw new RpcError(ERR.params, `param '${key}' is not a session id`);
+  return id;
+}
+
+// fix's git options; a patch may only be written inside the project root
+function gitParam(params) {
+  const git = optional(params, "git", "object");
+  if (!git?.patch) return git;
+  if (typeof git.patch !== "string") throw new RpcError(ERR.params, "param 'git.patch' must be a string");
+  const root = getConfig().root;
+  if (outsideRoot(root, path.resolve(root, git.patch))) throw new RpcError(ERR.params, "param 'git.patch' must be inside the project root");
+  return git;
+}
+
+// Session summary from its transcript: how it started, progress events, outcome
+function sessionStatus(id) {
+  let events;
+  try {
+    events = sessionTranscript(id);
+  } catch (err) {
+    throw new RpcError(ERR.params, err.message);
+  }
+  const meta = events.find(e => e.type === "session") || null;
+  const outcome = sessionOutcome(events);
+  return {
+    id,
+    kind: meta?.kind ?? null,
+    startedAt: meta?.at ?? null,
+    running: !outcome,
+    ok: outcome ? !!outcome.ok : null,
+    rounds: events.filter(e => e.type === "round").length,
+    events: events.filter(e => PROGRESS_EVENTS.has(e.type)),
+  };
+}
+
+// handler(params, ctx); `stream` methods run a session whose events can be streamed,
+// `exclusive` ones touch the index or the tree and run one at a time
+const METHODS = {
+  "config": { handler: () => getConfig() },
+  "index.status": { handler: () => indexStatus() },
+  "index.rebuild": { exclusive: true, handler: (p) => rebuildIndex({ force: !!p.force }) },
+  "search": {
+    exclusive: true,
+    handler: (p) => search(need(p, "query", "string"), optional(p, "k", "number"), { explain: !!p.explain }),
+  },
+  "propose": {
+    stream: true,
+    exclusive: true,
+    handler: (p, ctx) => propose(need(p, "error", "string"), optional(p, "extraContext", "string"), optional(p, "preferredPaths", "array"), {
+      stack: optional(p, "stack", "string"),
+      candidates: optional(p, "candidates", "number"),
+      sessionId: ctx.sessionId,
+    }),
+  },
+  "preview": { handler: (p) => previewFix({ edits: need(p, "edits", "array") }) },
+  "apply": {
+    exclusive: true,
+    handler: (p) => applyProposal({ edits: need(p, "edits", "array") }, { dryRun: !!p.dryRun, sessionId: sessionIdParam(p, "sessionId", false) }),
+  },
+  "fix": {
+    stream: true,
+    exclusive: true,
+    handler: (p, ctx) => fixAndTestFile(need(p, "file", "string"), {
+      testExportName: optional(p, "exportName", "string"),
+      maxRounds: optional(p, "maxRounds", "number"),
+      extraContext: optional(p, "extraContext", "string"),
+      candidates: optional(p, "candidates", "number"),
+      test: optional(p, "test", "object"),
+      git: gitParam(p),
+      dryRun: !!p.dryRun,
+      sessionId: ctx.sessionId,
+    }),
+  },
+  "repro": {
+    stream: true,
+    exclusive: true,
+    handler: (p, ctx) => fixCommand({
+      command: need(p, "command", "string"),
+      expect: optional(p, "expect", "string"),
+      timeoutMs: optional(p, "timeoutMs", "number"),
+      maxRounds: optional(p, "maxRounds", "number"),
+      extraContext: optional(p, "extraContext", "string"),
+      candidates: optional(p, "candidates", "number"),
+      dryRun: !!p.dryRun,
+      sessionId: ctx.sessionId,
+    }),
+  },
+  "scan": {
+    stream: true,
+    exclusive: true,
+    handler: (p, ctx) => scan({
+      files: optional(p, "files", "array"),
+      fix: !!p.fix,
+      eslint: p.eslint,
+      typeCheck: p.typeCheck,
+      maxRounds: optional(p, "maxRounds", "number"),
+      candidates: optional(p, "candidates", "number"),
+      dryRun: !!p.dryRun,
+      sessionId: ctx.sessionId,
+    }),
+  },
+  "queue": { handler: () => queuedErrors() },
+  "queue.show": { handler: (p) => queuedError(need(p, "id", "string")) },
+  "queue.apply": {
+    exclusive: true,
+    handler: (p) => applyQueuedError(need(p, "id", "string"), { dryRun: !!p.dryRun }),
+  },
+  "queue.drop": { handler: (p) => dropQueuedError(need(p, "id", "string")) },
+  "sessions": { handler: () => transcripts().map(id => sessionStatus(id)).map(({ events, ...s }) => s) },
+  "session.status": { handler: (p) => sessionStatus(sessionIdParam(p, "id")) },
+  "usage": { handler: (p) => usageReport(sessionIdParam(p, "id", false)) },
+  "rollback": { exclusive: true, handler: (p) => rollback(sessionIdParam(p, "id"), { force: !!p.force }) },
+};
+
+// Loopback host names only; an Origin such as "null" or "https://evil.example" is not
+function loopbackOrigin(origin) {
+  try {
+    return LOOPBACK.has(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// options: { token (a random one when missing, see server.token), loopback }
+export function createServer(options = {}) {
+  const token = options.token || crypto.randomBytes(24).toString("hex");
+  let queue = Promise.resolve();
+  const exclusive = (fn) => {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // { jsonrpc, id, result } | { jsonrpc, id, error } | null for notifications
+  async function call(req, progress) {
+    const id = req?.id ?? null;
+    const reply = (body) => (req && req.id === undefined ? null : { jsonrpc: "2.0", id, ...body });
+    try {
+      if (!req || typeof req !== "object" || req.jsonrpc !== "2.0" || typeof req.method !== "string") {
+        throw new RpcError(ERR.invalidRequest, "invalid JSON-RPC 2.0 request");
+      }
+      const method = Object.hasOwn(METHODS, req.method) ? METHODS[req.method] : null;
+      if (!method) throw new RpcError(ERR.method, `unknown method '${req.method}'`);
+      const params = req.params ?? {};
+      if (typeof params !== "object" || Array.isArray(params)) throw new RpcError(ERR.params, "params must be an object");
+
+      const ctx = { sessionId: method.stream ? newSessionId() : undefined };
+      const unsubscribe = progress && method.stream
+        ? onEvent((sessionId, event) => {
+          if (sessionId === ctx.sessionId && PROGRESS_EVENTS.has(event.type)) progress({ id, sessionId, event });
+        })
+        : null;
+      try {
+        const run = () => method.handler(params, ctx);
+        const result = await (method.exclusive ? exclusive(run) : run());
+        return reply({ result: result ?? null });
+      } finally {
+        unsubscribe?.();
+      }
+    } catch (err) {
+      const code = err instanceof RpcError ? err.code : ERR.server;
+      return reply({ error: { code, message: err?.message || String(err) } });
+    }
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on("data", (d) => {
+        size += d.length;
+        if (size > MAX_BODY) {
+          reject(new RpcError(ERR.invalidRequest, "request body too large"));
+          req.destroy();
+        } else {
+          chunks.push(d);
+        }
+      });
+      req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+      req.on("error", reject);
+    });
+  }
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    // a loopback server only answers loopback host names (no DNS rebinding from a browser)
+    const hostname = (req.headers.host || "").replace(/:\d+$/, "");
+    if (options.loopback && !LOOPBACK.has(hostname)) return sendJson(res, 403, { error: "forbidden host" });
+    // a web page may not drive the server, not even with a "simple" cross-origin request
+    if (req.headers.origin !== undefined && !loopbackOrigin(req.headers.origin)) return sendJson(res, 403, { error: "forbidden origin" });
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      return sendJson(res, 401, { jsonrpc: "2.0", id: null, error: { code: ERR.unauthorized, message: "missing or wrong bearer token" } });
+    }
+
+    if (req.method === "GET" && url.pathname === "/health") {
+      return sendJson(res, 200, { ok: true, root: getConfig().root, methods: Object.keys(METHODS) });
+    }
+    if (url.pathname !== "/rpc") return sendJson(res, 404, { error: "not found" });
+    if (req.method !== "POST") return sendJson(res, 405, { error: "use POST" });
+    // text/plain and form bodies are what a browser sends without a CORS preflight
+    if ((req.headers["content-type"] || "").split(";")[0].trim().toLowerCase() !== "application/json") {
+      return sendJson(res, 415, { error: "Content-Type must be application/json" });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (err) {
+      const error = err instanceof RpcError ? { code: err.code, message: err.message } : { code: ERR.parse, message: "parse error" };
+      return sendJson(res, 200, { jsonrpc: "2.0", id: null, error });
+    }
+
+    if (Array.isArray(body)) {
+      if (!body.length) return sendJson(res, 200, { jsonrpc: "2.0", id: null, error: { code: ERR.invalidRequest, message: "empty batch" } });
+      const replies = [];
+      for (const r of body) replies.push(await call(r));
+      const sent = replies.filter(Boolean);
+      if (!sent.length) return res.writeHead(204).end();
+      return sendJson(res, 200, sent);
+    }
+
+    if (!/application\/x-ndjson/.test(req.headers.accept || "")) {
+      const reply = await call(body);
+      if (!reply) return res.writeHead(204).end();
+      return sendJson(res, 200, reply);
+    }
+    res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+    const line = (obj) => res.write(JSON.stringify(obj) + "\n");
+    const reply = await call(body, (params) => line({ jsonrpc: "2.0", method: "progress", params }));
+    if (reply) line(reply);
+    res.end();
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!res.headersSent) sendJson(res, 500, { error: err?.message || String(err) });
+      else res.end();
+    });
+  });
+  server.token = token;
+  return server;
+}
+
+// Listen on host:port; resolves with the http.Server once it is listening. Without a
+// token the generated one is written to TOKEN_FILE (server.tokenFile) until it closes.
+// While it runs, edits to project files mark the index for a sync before the next search.
+export function startServer({ host = "127.0.0.1", port = 7077, token } = {}) {
+  const server = createServer({ token, loopback: LOOPBACK.has(host) });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const tracker = trackIndexChanges();
+      server.once("close", () => tracker.close());
+      if (!token) {
+        const file = path.join(getConfig().root, TOKEN_FILE);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.rmSync(file, { force: true }); // `mode` only applies to a new file
+        fs.writeFileSync(file, server.token, { encoding: "utf-8", mode: 0o600 });
+        server.tokenFile = file;
+        server.once("close", () => fs.rmSync(file, { force: true }));
+      }
+      resolve(server);
+    });
+  });
+}
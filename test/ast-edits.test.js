@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyAstEdit } from "../lib/ast-edits.js";
+
+const edit = (code, e) => applyAstEdit(code, e, "/p/a.js");
+
+test("replace_function finds declarations, arrows and class methods by name", () => {
+  const code = "// keep\nexport function add(a, b) {\n  return a + c;\n}\n\nconst twice = (x) => x * 3;\n\nclass Cart {\n  total() {\n    return 0;\n  }\n}\n";
+  const fixed = edit(code, { strategy: "replace_function", name: "add", new_text: "function add(a, b) {\n  return a + b;\n}" });
+  assert.match(fixed, /^\/\/ keep\nexport function add\(a, b\) \{\n  return a \+ b;\n\}/, "the export and the rest of the file are kept");
+
+  const arrow = edit(code, { strategy: "replace_function", name: "twice", new_text: "const twice = (x) => x * 2;" });
+  assert.match(arrow, /const twice = \(x\) => x \* 2;\n\nclass/);
+  const method = edit(code, { strategy: "replace_function", name: "Cart.total", new_text: "total() {\n    return 1;\n  }" });
+  assert.match(method, /total\(\) \{\n    return 1;\n  \}/);
+
+  assert.throws(() => edit(code, { strategy: "replace_function", name: "missing", new_text: "" }), /function 'missing' not found/);
+  assert.throws(() => edit("function f() {}\nconst o = { f() {} };\n", { strategy: "replace_function", name: "f", new_text: "function f() {}" }), /ambiguous/);
+});
+
+test("insert_import merges into an existing import and skips what is there", () => {
+  const code = "import { a } from \"./lib.js\";\n\nuse(a);\n";
+  assert.equal(edit(code, { strategy: "insert_import", source: "./lib.js", specifiers: ["b"] }), "import { a, b } from \"./lib.js\";\n\nuse(a);\n");
+  assert.equal(edit(code, { strategy: "insert_import", source: "./lib.js", specifiers: ["a"] }), code);
+  assert.equal(edit(code, { strategy: "insert_import", source: "fs", default: "fs" }), "import { a } from \"./lib.js\";\nimport fs from \"fs\";\n\nuse(a);\n");
+  assert.equal(edit("\"use strict\";\nrun();\n", { strategy: "insert_import", source: "path", namespace: "path" }), "\"use strict\";\nimport * as path from \"path\";\nrun();\n");
+});
+
+test("rename_symbol renames a binding and its references only", () => {
+  const code = "import { fetchData } from \"./api.js\";\nconst cnt = 1;\nconst obj = { cnt, label: \"cnt\" };\nfunction show(cnt) {\n  return cnt;\n}\nexport { cnt };\nconsole.log(obj.cnt, cnt);\n";
+  const out = edit(code, { strategy: "rename_symbol", from: "cnt", to: "count", line: 2 });
+  assert.equal(out, "import { fetchData } from \"./api.js\";\nconst count = 1;\nconst obj = { cnt: count, label: \"cnt\" };\nfunction show(cnt) {\n  return cnt;\n}\nexport { count as cnt };\nconsole.log(obj.cnt, count);\n");
+  assert.throws(() => edit(code, { strategy: "rename_symbol", from: "cnt", to: "count" }), /bound in 2 scopes.*give 'line'/);
+  assert.throws(() => edit(code, { strategy: "rename_symbol", from: "cnt", to: "obj", line: 2 }), /'obj' is already declared/);
+});
+
+test("replace_node swaps the node at a path and nothing else", () => {
+  const code = "const a = 1;\nconst b = a +  2; // spacing kept\n";
+  assert.equal(edit(code, { strategy: "replace_node", node_path: "program.body.1.declarations.0.init", new_text: "a * 2" }), "const a = 1;\nconst b = a * 2; // spacing kept\n");
+  assert.throws(() => edit(code, { strategy: "replace_node", node_path: "program.body.7", new_text: "x" }), /not found \(stopped at '7'\)/);
+});
+
+test("a file that does not parse is not edited", () => {
+  assert.throws(() => edit("function (", { strategy: "replace_function", name: "f", new_text: "function f() {}" }), /cannot parse \/p\/a\.js before editing/);
+});
@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeProject, read, MATH, FIX } from "./helpers.js";
+import {
+  planChangeset, selectHunks, recheckChangeset, commitChangeset, rollbackSession, loadManifest, listSessions, sessionFile,
+} from "../lib/changeset.js";
+import { diffLines, buildHunks, applyHunks, splitLines } from "../lib/diff.js";
+
+test("a change set is planned in memory with its hunks", () => {
+  const root = makeProject({ "math.js": MATH });
+  const cs = planChangeset([FIX], { root });
+  assert.equal(cs.ok, true);
+  assert.equal(cs.files.length, 1);
+  assert.equal(cs.files[0].relPath, "math.js");
+  assert.match(cs.files[0].after, /return a \+ b;/);
+  assert.equal(cs.files[0].hunks.length, 1);
+  assert.equal(read(root, "math.js"), MATH, "nothing is written while planning");
+});
+
+test("an edit that leaves the file unparseable fails the change set", () => {
+  const root = makeProject({ "math.js": MATH });
+  const cs = planChangeset([{ ...FIX, strategy: "replace_range", startLine: 2, endLine: 2, new_text: "  return a + b;\n}}" }], { root });
+  assert.equal(cs.ok, false);
+  assert.match(cs.results[0].reason, /unparseable/);
+});
+
+test("several edits to one file are composed in order", () => {
+  const root = makeProject({ "math.js": MATH });
+  const cs = planChangeset([
+    FIX,
+    { path: "math.js", strategy: "replace_range", startLine: 6, endLine: 6, old_text: "  return add(1, 2);", new_text: "  return add(1, 2) + 0;" },
+  ], { root });
+  assert.equal(cs.ok, true);
+  assert.match(cs.files[0].after, /a \+ b;[\s\S]*add\(1, 2\) \+ 0;/);
+});
+
+test("commit writes every file and a session rollback restores them", () => {
+  const root = makeProject({ "math.js": MATH });
+  const cs = planChangeset([FIX, { path: "lib/new.js", strategy: "replace_file", new_content: "export const x = 1;\n" }], { root });
+  const results = commitChangeset(cs, { root, sessionId: "s1" });
+  assert.ok(results.every(r => r.ok));
+  assert.match(read(root, "math.js"), /a \+ b/);
+  assert.equal(read(root, "lib/new.js"), "export const x = 1;\n");
+  assert.deepEqual(listSessions(root), ["s1"]);
+  assert.equal(loadManifest(root, "s1").files["lib/new.js"].existed, false);
+
+  assert.ok(rollbackSession(root, "s1").every(r => r.ok));
+  assert.equal(read(root, "math.js"), MATH);
+  assert.equal(fs.existsSync(path.join(root, "lib/new.js")), false);
+});
+
+test("rollback refuses files changed after the session unless forced", () => {
+  const root = makeProject({ "math.js": MATH, "other.js": "export const y = 2;\n" });
+  commitChangeset(planChangeset([FIX, { path: "other.js", strategy: "replace_file", new_content: "export const y = 3;\n" }], { root }), { root, sessionId: "s2" });
+  fs.appendFileSync(path.join(root, "math.js"), "// kept by the user\n");
+
+  const refused = rollbackSession(root, "s2");
+  assert.ok(refused.every(r => !r.ok));
+  assert.match(refused.find(r => r.path.endsWith("math.js")).reason, /changed since the session/);
+  assert.equal(read(root, "other.js"), "export const y = 3;\n", "nothing is restored");
+
+  assert.ok(rollbackSession(root, "s2", { force: true }).every(r => r.ok));
+  assert.equal(read(root, "math.js"), MATH);
+  assert.equal(read(root, "other.js"), "export const y = 2;\n");
+});
+
+test("session ids cannot leave the sessions directory", () => {
+  const root = makeProject({});
+  assert.throws(() => sessionFile(root, "../../x", "manifest.json"), /invalid session id/);
+  assert.throws(() => rollbackSession(root, "a/b"), /invalid session id/);
+});
+
+test("CRLF files keep their line endings", () => {
+  const root = makeProject({ "win.js": "const a = 1;\r\nconst b = 2;\r\n" });
+  const cs = planChangeset([
+    { path: "win.js", strategy: "replace_range", startLine: 2, endLine: 2, new_text: "const b = 3;\nconst c = 4;" },
+  ], { root });
+  assert.equal(cs.files[0].after, "const a = 1;\r\nconst b = 3;\r\nconst c = 4;\r\n");
+});
+
+test("hunks kept in review are parse-checked and policy-checked again", async () => {
+  const root = makeProject({ "x.js": "function f() {\n  return 1;\n}\n\n\n\n\n\n\n\nconst z = 2;\n" });
+  const cs = planChangeset([
+    { path: "x.js", strategy: "replace_file", new_content: "function f() {\n  if (x) {\n  return 1;\n}\n\n\n\n\n\n\n\nconst z = 2;\n}\n" },
+  ], { root });
+  assert.equal(cs.ok, true);
+  assert.equal(cs.files[0].hunks.length, 2);
+
+  const reviewed = await selectHunks(cs, (f, h, i) => i === 0);
+  const { changeset, rejected } = recheckChangeset(reviewed, {});
+  assert.equal(changeset.files.length, 0);
+  assert.match(rejected[0].reason, /reviewed hunks leave x\.js unparseable/);
+
+  const flagged = recheckChangeset(cs, { policy: ({ files }) => files.map(f => ({ path: f.path, rule: "deny", reason: "no" })) });
+  assert.equal(flagged.rejected[0].policy, "deny");
+});
+
+test("diffLines round-trips through hunks", () => {
+  let seed = 7;
+  const rnd = (n) => (seed = (seed * 1103515245 + 12345) % 2147483648) % n;
+  for (let t = 0; t < 300; t++) {
+    const a = Array.from({ length: rnd(25) }, () => `l${rnd(5)}`);
+    const b = Array.from({ length: rnd(25) }, () => `l${rnd(5)}`);
+    const ops = diffLines(a, b);
+    assert.deepEqual(ops.filter(o => o.type !== "add").map(o => o.line), a);
+    assert.deepEqual(ops.filter(o => o.type !== "del").map(o => o.line), b);
+    const hunks = buildHunks(a, b);
+    assert.deepEqual(applyHunks(a, hunks, new Set(hunks.map((_, i) => i))), b);
+  }
+});
+
+test("diffLines falls back to replacing the middle of very different files", () => {
+  const a = Array.from({ length: 12000 }, (_, i) => `a${i}`);
+  const b = ["same", ...a.map((l, i) => (i % 2 ? l : `b${i}`)), "end"];
+  const ops = diffLines(["same", ...a, "end"], b);
+  assert.equal(ops[0].type, "eq");
+  assert.equal(ops[ops.length - 1].type, "eq");
+  // a minimal diff deletes 6000 lines; the fallback deletes the whole changed middle
+  assert.ok(ops.filter(o => o.type === "del").length > 11000);
+  assert.deepEqual(splitLines(ops.filter(o => o.type !== "del").map(o => o.line).join("\n")), b);
+});
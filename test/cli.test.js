@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { makeProject, editsResponse, read, MATH, FIX } from "./helpers.js";
+
+const CLI = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+// A project answered by the fake provider from `completions`
+function project(completions = [], files = {}) {
+  return makeProject({
+    ".llmfixerrc": JSON.stringify({ embeddingModel: "none" }),
+    "fixtures.json": JSON.stringify({ completions }),
+    "math.js": MATH,
+    ...files,
+  });
+}
+
+// Run the CLI in root with a piped (non-TTY) stdin, as in CI
+function cli(root, args, input = "") {
+  const res = spawnSync(process.execPath, [CLI, ...args], {
+    cwd: root,
+    input,
+    encoding: "utf-8",
+    timeout: 60000,
+    env: { ...process.env, LLM_FIXER_PROVIDER: "fake", LLM_FIXER_FIXTURES: path.join(root, "fixtures.json") },
+  });
+  return { code: res.status, stdout: res.stdout, stderr: res.stderr };
+}
+
+test("without a terminal and without --yes, apply only previews", () => {
+  const root = project([], { "edits.json": JSON.stringify({ edits: [FIX] }) });
+  const preview = cli(root, ["apply", "edits.json"]);
+  assert.equal(preview.code, 0);
+  assert.match(preview.stderr, /nothing is written \(dry run\)\. Pass --yes/);
+  assert.match(preview.stdout, /\+  return a \+ b;/);
+  assert.equal(read(root, "math.js"), MATH);
+
+  const applied = cli(root, ["apply", "edits.json", "--yes"]);
+  assert.equal(applied.code, 0);
+  assert.match(read(root, "math.js"), /a \+ b/);
+});
+
+test("a piped fix run without --yes writes nothing", () => {
+  const root = project([editsResponse(FIX)]);
+  const res = cli(root, ["fix", "math.js", "--json"]);
+  assert.equal(res.code, 0);
+  assert.equal(JSON.parse(res.stdout).dryRun, true);
+  assert.equal(read(root, "math.js"), MATH);
+});
+
+test("fix --yes writes and points at the session transcript", () => {
+  const root = project([editsResponse(FIX)]);
+  const res = cli(root, ["fix", "math.js", "--yes"]);
+  assert.equal(res.code, 0, res.stderr);
+  assert.match(read(root, "math.js"), /a \+ b/);
+  const shown = res.stdout.match(/Session transcript: (.+)/)[1];
+  assert.ok(fs.existsSync(path.resolve(root, shown)));
+  assert.match(shown, /^\.llm-fixer[\\/]sessions[\\/][\w-]+[\\/]transcript\.jsonl$/);
+});
+
+test("--git without a terminal needs --yes", () => {
+  const root = project();
+  const res = cli(root, ["fix", "math.js", "--git", "branch"]);
+  assert.equal(res.code, 2);
+  assert.match(res.stderr, /needs --yes/);
+});
+
+test("usage errors exit with 2, and --json keeps stdout to the one result", () => {
+  const root = project();
+  assert.equal(cli(root, []).code, 2);
+  const badFlag = cli(root, ["search", "x", "--bogus"]);
+  assert.equal(badFlag.code, 2);
+  assert.match(badFlag.stderr, /Error: .*bogus/);
+  assert.equal(cli(root, ["fix", "missing.js"]).code, 2);
+
+  const found = cli(root, ["search", "add", "--json"]);
+  assert.equal(found.code, 0, found.stderr);
+  const hits = JSON.parse(found.stdout);
+  assert.ok(hits.some(h => h.name === "add" && h.filePath === "math.js"));
+});
+
+test("a bare file path is shorthand for fix, and a failed fix exits with 1", () => {
+  const root = project([editsResponse()]);
+  const res = cli(root, ["math.js", "--yes", "--rounds", "1", "--json"]);
+  assert.equal(res.code, 1);
+  const result = JSON.parse(res.stdout);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /c is not defined/);
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeProject } from "./helpers.js";
+import { loadConfig, findProjectRoot, findConfigFile, describeConfig, createFileFilter, listProjectFiles } from "../lib/config.js";
+
+test("the root is the nearest directory with .git or package.json", () => {
+  const root = makeProject({ "package.json": "{}", "src/deep/a.js": "" });
+  assert.equal(findProjectRoot(path.join(root, "src", "deep")), root);
+  fs.writeFileSync(path.join(root, "src", "package.json"), "{}");
+  assert.equal(findProjectRoot(path.join(root, "src", "deep")), path.join(root, "src"));
+});
+
+test("a config file wins over package.json and makes its directory the root", async () => {
+  const root = makeProject({ ".llmfixerrc": JSON.stringify({ topK: 3, indexFile: "idx.json" }), "pkg/package.json": "{}", "pkg/a.js": "" });
+  const cwd = path.join(root, "pkg");
+  assert.equal(findConfigFile(cwd), path.join(root, ".llmfixerrc"));
+  const cfg = await loadConfig({ cwd, env: {} });
+  assert.equal(cfg.root, root);
+  assert.equal(cfg.topK, 3);
+  // paths in the file are relative to the file
+  assert.equal(cfg.indexFile, path.join(root, "idx.json"));
+  assert.equal(cfg.queueDir, path.join(root, ".llm-fixer", "queue"));
+});
+
+test("precedence is defaults < file < env < overrides, and sources say which won", async () => {
+  const root = makeProject({ ".llmfixerrc": JSON.stringify({ fixModel: "from-file", embeddingModel: "from-file", topK: 4 }) });
+  const cfg = await loadConfig({
+    cwd: root,
+    env: { LLM_FIXER_FIX_MODEL: "from-env", LLM_FIXER_EMBEDDING_MODEL: "from-env", LLM_FIXER_API_KEY: "sk-secret" },
+    overrides: { fixModel: "from-flag", maxRounds: undefined },
+  });
+  assert.equal(cfg.fixModel, "from-flag");
+  assert.equal(cfg.embeddingModel, "from-env");
+  assert.equal(cfg.topK, 4);
+  assert.equal(cfg.maxRounds, 5);
+  assert.deepEqual(
+    [cfg.sources.fixModel, cfg.sources.embeddingModel, cfg.sources.topK, cfg.sources.maxRounds],
+    ["overrides", "env", "file", "default"]);
+  assert.equal(describeConfig(cfg).provider.apiKey, "***");
+});
+
+test("nested keys merge with their defaults", async () => {
+  const root = makeProject({ ".llmfixerrc": JSON.stringify({ policy: { newFiles: false }, budget: { tokens: 1000 } }) });
+  const cfg = await loadConfig({ cwd: root, env: {} });
+  assert.equal(cfg.policy.newFiles, false);
+  assert.equal(cfg.policy.maxLinesChanged, 200);
+  assert.deepEqual(cfg.budget, { tokens: 1000, costUsd: 0, roundTokens: 0, roundCostUsd: 0 });
+});
+
+test("a JS config file may export a function", async () => {
+  const root = makeProject({ "llm-fixer.config.mjs": "export default async () => ({ maxRounds: 2 });\n" });
+  fs.rmSync(path.join(root, ".llmfixerrc"));
+  const cfg = await loadConfig({ cwd: root, env: {} });
+  assert.equal(cfg.maxRounds, 2);
+  assert.equal(cfg.configFile, path.join(root, "llm-fixer.config.mjs"));
+});
+
+test("invalid config is rejected with the key and where it came from", async () => {
+  const cases = [
+    [{ topKk: 3 }, /unknown config key 'topKk'/],
+    [{ topK: 0 }, /'topK' must be a positive number/],
+    [{ repairRetries: 1.5 }, /'repairRetries' must be an integer >= 0/],
+    [{ budget: { dollars: 1 } }, /unknown budget key 'dollars'/],
+    [{ policy: { newFiles: "no" } }, /'policy.newFiles' must be a boolean/],
+    [{ exclude: "dist" }, /'exclude' must be an array of strings/],
+  ];
+  for (const [raw, pattern] of cases) {
+    const root = makeProject({ ".llmfixerrc": JSON.stringify(raw) });
+    await assert.rejects(loadConfig({ cwd: root, env: {} }), err => pattern.test(err.message) && err.message.includes(".llmfixerrc"));
+  }
+  const root = makeProject({ ".llmfixerrc": "{ nope" });
+  await assert.rejects(loadConfig({ cwd: root, env: {} }), /invalid JSON/);
+  await assert.rejects(loadConfig({ cwd: root, configFile: false, env: {}, overrides: { candidates: -1 } }), /in overrides/);
+});
+
+test("project files follow extensions, include/exclude globs and .gitignore", async () => {
+  const root = makeProject({
+    ".gitignore": "dist/\n*.gen.js\n",
+    "src/a.js": "", "src/b.ts": "", "src/notes.md": "", "src/x.gen.js": "",
+    "dist/out.js": "", "node_modules/dep/index.js": "", "vendor/v.js": "", "test/t.js": "",
+  });
+  const cfg = await loadConfig({ cwd: root, configFile: false, env: {}, overrides: { root, exclude: ["node_modules", "vendor"] } });
+  const rel = files => files.map(f => path.relative(root, f).split(path.sep).join("/"));
+  assert.deepEqual(rel(listProjectFiles(cfg)), ["src/a.js", "src/b.ts", "test/t.js"]);
+
+  const filter = createFileFilter(cfg);
+  assert.equal(filter.skip(path.join(root, "dist"), true), true);
+  assert.equal(filter.accepts(path.join(root, "vendor", "v.js")), false);
+  assert.equal(filter.accepts(path.join(root, "..", "elsewhere.js")), false);
+
+  assert.deepEqual(rel(listProjectFiles({ ...cfg, include: ["src/**"] })), ["src/a.js", "src/b.ts"]);
+  assert.deepEqual(rel(listProjectFiles({ ...cfg, gitignore: false })), ["dist/out.js", "src/a.js", "src/b.ts", "src/x.gen.js", "test/t.js"]);
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { makeProject, fixProject, editsResponse, read, MATH, FIX } from "./helpers.js";
+import { staticDiagnostics, eslintDiagnostics, formatDiagnosticList, diagnosticFrames } from "../lib/diagnostics.js";
+import { scan } from "../main.js";
+
+const rules = ds => ds.map(d => [d.line, d.rule]);
+
+test("undefined identifiers and unresolved imports are found without running anything", () => {
+  const root = makeProject({
+    "a.js": [
+      "import { b } from \"./b.js\";",
+      "import fs from \"node:fs\";",
+      "import missing from \"./missing.js\";",
+      "import pkg from \"not-installed-pkg\";",
+      "process.on(\"exit\", () => {});",
+      "export const x = b + fs.sep + y + y;",
+      "",
+    ].join("\n"),
+    "b.js": "export const b = 1;\n",
+  });
+  const ds = staticDiagnostics(path.join(root, "a.js"), { root });
+  assert.deepEqual(rules(ds), [[3, "unresolved-import"], [4, "unresolved-import"], [6, "undefined-identifier"]]);
+  assert.match(ds[1].message, /package 'not-installed-pkg' is not installed/);
+  assert.equal(ds[2].message, "'y' is not defined (2 references)");
+  assert.equal(ds[2].file, "a.js");
+});
+
+test("declared globals, type names and typeof checks are not reported", () => {
+  const root = makeProject({
+    "a.ts": "interface P { n: number }\nenum E { A }\nexport const p: P = { n: E.A };\nif (typeof maybe !== \"undefined\") {}\nexport const g = APP_ENV;\n",
+  });
+  assert.deepEqual(rules(staticDiagnostics(path.join(root, "a.ts"), { root })), [[5, "undefined-identifier"]]);
+  assert.deepEqual(staticDiagnostics(path.join(root, "a.ts"), { root, globals: ["APP_ENV"] }), []);
+});
+
+test("a parse error is the only diagnostic of its file", () => {
+  const root = makeProject({ "a.js": "export const a = 1;\nexport const = ;\nundefinedThing();\n" });
+  const ds = staticDiagnostics(path.join(root, "a.js"), { root });
+  assert.deepEqual(rules(ds), [[2, "parse"]]);
+});
+
+test("ESLint JSON keeps errors, and warnings on request", () => {
+  const report = [{ filePath: "/p/src/a.js", messages: [
+    { ruleId: "no-undef", severity: 2, line: 3, column: 5, message: "'z' is not defined." },
+    { ruleId: "no-unused-vars", severity: 1, line: 1, column: 7, message: "'q' is unused." },
+    { ruleId: null, fatal: true, severity: 2, line: 9, message: "Parsing error" },
+  ] }];
+  const ds = eslintDiagnostics(report, { root: "/p" });
+  assert.deepEqual(ds.map(d => [d.file, d.rule]), [["src/a.js", "no-undef"], ["src/a.js", "parse"]]);
+  assert.equal(eslintDiagnostics(report, { root: "/p", includeWarnings: true }).length, 3);
+  assert.equal(formatDiagnosticList(ds.slice(0, 1)), "src/a.js:3:5 error 'z' is not defined. [no-undef]");
+  assert.equal(diagnosticFrames(ds), "    at /p/src/a.js:3:5\n    at /p/src/a.js:9:1");
+});
+
+test("scan reports diagnostics and, with fix, repairs the file until it is clean", async () => {
+  const { root } = await fixProject([editsResponse(FIX)], { files: { "ok.js": "export const ok = 1;\n" } });
+  const report = await scan();
+  assert.equal(report.ok, false);
+  assert.equal(report.files, 2);
+  assert.deepEqual(report.diagnostics.map(d => [d.file, d.line, d.rule]), [["math.js", 2, "undefined-identifier"]]);
+  assert.equal(read(root, "math.js"), MATH);
+
+  const fixed = await scan({ fix: true, maxRounds: 2 });
+  assert.equal(fixed.ok, true);
+  assert.deepEqual([fixed.before, fixed.after], [1, 0]);
+  assert.match(read(root, "math.js"), /a \+ b/);
+});
+
+test("scan --fix --dry-run shows the diff and writes nothing", async () => {
+  const { root } = await fixProject([editsResponse(FIX)]);
+  const res = await scan({ files: ["math.js"], fix: true, dryRun: true });
+  assert.equal(res.ok, false);
+  assert.equal(res.dryRun, true);
+  assert.match(res.diff, /\+  return a \+ b;/);
+  assert.equal(read(root, "math.js"), MATH);
+});
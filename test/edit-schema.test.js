@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixProject, editsResponse, read, MATH, FIX } from "./helpers.js";
+import { parseResponse, validateEdits } from "../lib/edit-schema.js";
+import { help, sessionTranscript, setProvider, createFakeProvider } from "../main.js";
+
+test("responses may come in a json fence", () => {
+  assert.deepEqual(parseResponse("```json\n{\"edits\":[]}\n```"), { value: { edits: [] } });
+  assert.match(parseResponse("not json").error, /not valid JSON/);
+  assert.match(parseResponse("").error, /empty/);
+});
+
+test("the schema names every problem of every edit", async () => {
+  const { root } = await fixProject();
+  const { edits, errors } = validateEdits({
+    edits: [
+      FIX,
+      { path: "math.js", strategy: "rewrite" },
+      { path: "math.js", strategy: "replace_range", startLine: 3, endLine: 1, new_text: "x" },
+      { path: "missing.js", strategy: "replace_function", name: "f", new_text: "function f() {}" },
+      { path: "../outside.js", strategy: "replace_file", new_content: "" },
+      { path: "math.js", strategy: "rename_symbol", from: "a", to: "not valid", extra: 1 },
+    ],
+    note: "hi",
+  }, { root });
+  assert.deepEqual(edits, [FIX]);
+  assert.deepEqual(errors, [
+    "note: unknown field (only \"edits\" is allowed)",
+    "edits[1].strategy: must be one of replace_function, insert_import, rename_symbol, replace_node, replace_range, replace_file",
+    "edits[2].endLine: must not be before startLine",
+    "edits[3].path: missing.js does not exist (use replace_file to create a file)",
+    "edits[4].path: ../outside.js is outside the project root",
+    "edits[5].to: must be a valid identifier",
+    "edits[5].extra: unknown field for rename_symbol",
+  ]);
+});
+
+test("a file created by replace_file may be edited later in the same payload", async () => {
+  const { root } = await fixProject();
+  const { errors } = validateEdits({
+    edits: [
+      { path: "lib/new.js", strategy: "replace_file", new_content: "export function f() {}\n" },
+      { path: "lib/new.js", strategy: "replace_function", name: "f", new_text: "export function f() { return 1; }" },
+    ],
+  }, { root });
+  assert.deepEqual(errors, []);
+});
+
+test("invalid output is sent back with its errors until it is valid", async () => {
+  const { root, provider } = await fixProject([
+    { content: "Here is the fix: {" },
+    editsResponse({ ...FIX, new_text: 42 }),
+    editsResponse(FIX),
+  ]);
+  const res = await help("ReferenceError: c is not defined", "", ["math.js"]);
+  assert.equal(res.applied, true);
+  assert.equal(res.proposal.repairs, 2);
+  assert.equal(res.schemaErrors, undefined);
+  assert.match(read(root, "math.js"), /a \+ b/);
+
+  const completes = provider.calls.filter(c => c.type === "complete");
+  assert.equal(completes.length, 3);
+  const validation = sessionTranscript(res.sessionId).filter(e => e.type === "validation");
+  assert.deepEqual(validation.map(e => e.repair), [0, 1]);
+  assert.match(validation[1].errors[0], /edits\[0\]\.new_text: must be a string/);
+});
+
+test("the repair prompt includes the errors and asks for every edit again", async () => {
+  await fixProject();
+  const fake = createFakeProvider({ fixtures: { completions: [editsResponse({ path: "math.js", strategy: "replace_function" }), editsResponse(FIX)] } });
+  const requests = [];
+  setProvider({ ...fake, complete: (req) => (requests.push(req), fake.complete(req)) });
+
+  const res = await help("ReferenceError: c is not defined", "", ["math.js"]);
+  assert.equal(res.applied, true);
+  assert.equal(requests.length, 2);
+  const repair = requests[1].messages.at(-1).content;
+  assert.match(repair, /edits\[0\]\.name: missing \(required for replace_function\)/);
+  assert.match(repair, /every edit, not only the fixed ones/);
+  assert.equal(requests[1].messages.at(-2).role, "assistant");
+});
+
+test("output still invalid after the repairs is rejected as a whole", async () => {
+  const { root } = await fixProject([editsResponse(FIX, { path: "math.js", strategy: "replace_function" })], { config: { repairRetries: 0 } });
+  const res = await help("ReferenceError: c is not defined", "", ["math.js"]);
+  assert.equal(res.applied, false);
+  assert.deepEqual(res.proposal.edits, []);
+  assert.match(res.schemaErrors[0], /edits\[1\]\.name: missing/);
+  assert.equal(read(root, "math.js"), MATH);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fixProject, failingProvider, editsResponse, read, MATH, FIX } from "./helpers.js";
+import { fixAndTestFile, sessionTranscript, rollback } from "../main.js";
+import { loadManifest } from "../lib/changeset.js";
+
+const git = (root, ...args) => execFileSync("git", args, { cwd: root, encoding: "utf-8" }).trim();
+
+async function repo(completions) {
+  const p = await fixProject(completions, { files: { ".gitignore": ".llm-fixer/\n" } });
+  git(p.root, "init", "-q", "-b", "main");
+  git(p.root, "-c", "user.name=t", "-c", "user.email=t@t", "add", "-A");
+  git(p.root, "-c", "user.name=t", "-c", "user.email=t@t", "commit", "-q", "-m", "init");
+  git(p.root, "config", "user.name", "t");
+  git(p.root, "config", "user.email", "t@t");
+  return p;
+}
+
+test("branch mode refuses a dirty tree, even forced", async () => {
+  const { root } = await repo([editsResponse(FIX)]);
+  fs.appendFileSync(path.join(root, "math.js"), "// local change\n");
+  const res = await fixAndTestFile("math.js", { git: { mode: "branch", force: true } });
+  assert.equal(res.ok, false);
+  assert.match(res.error, /uncommitted changes \(math\.js\).*worktree mode/);
+  assert.equal(git(root, "rev-parse", "--abbrev-ref", "HEAD"), "main");
+});
+
+test("each round is committed on the fix branch", async () => {
+  const { root } = await repo([editsResponse(FIX)]);
+  const res = await fixAndTestFile("math.js", { git: { mode: "branch", branch: "fix/math" } });
+  assert.equal(res.ok, true);
+  assert.equal(res.git.commits.length, 1);
+  assert.equal(git(root, "rev-parse", "--abbrev-ref", "HEAD"), "fix/math");
+  assert.match(git(root, "log", "-1", "--format=%s"), /^fix\(math\.js\): round 1/);
+  assert.equal(git(root, "status", "--porcelain"), "");
+});
+
+test("a worktree session outlives the removed worktree", async () => {
+  await repo([editsResponse()]);
+  const res = await fixAndTestFile("math.js", { git: { mode: "worktree" } });
+  assert.equal(res.ok, false);
+  assert.equal(res.git.discarded, true);
+  assert.equal(fs.existsSync(res.git.worktree), false);
+  const events = sessionTranscript(res.sessionId);
+  assert.equal(events[0].type, "session");
+  assert.equal(events.at(-1).type, "end");
+});
+
+test("a worktree session rolls back inside the worktree", async () => {
+  const { root } = await repo([editsResponse(FIX)]);
+  const res = await fixAndTestFile("math.js", { git: { mode: "worktree", force: true } });
+  assert.equal(res.ok, true);
+  const inWorktree = path.join(res.git.worktree, "math.js");
+  assert.match(fs.readFileSync(inWorktree, "utf-8"), /a \+ b/);
+  assert.equal(read(root, "math.js"), MATH);
+
+  assert.ok(rollback(res.sessionId).every(r => r.ok));
+  assert.equal(fs.readFileSync(inWorktree, "utf-8"), MATH);
+  assert.equal(read(root, "math.js"), MATH);
+  assert.ok(loadManifest(root, res.sessionId).rolledBackAt, "the project's copy of the session is marked rolled back");
+});
+
+test("a run that throws in branch mode goes back to the previous branch", async () => {
+  const { root } = await repo([]);
+  failingProvider([]);
+  await assert.rejects(fixAndTestFile("math.js", { git: { mode: "branch", branch: "fix/gone" } }), /provider down/);
+  assert.equal(git(root, "rev-parse", "--abbrev-ref", "HEAD"), "main");
+  assert.equal(git(root, "branch", "--list", "fix/gone"), "");
+  assert.equal(git(root, "status", "--porcelain"), "");
+});
+
+test("a run that throws after a commit keeps the branch but not the checkout", async () => {
+  const { root } = await repo([]);
+  const comment = { path: "math.js", strategy: "replace_range", startLine: 1, endLine: 1, old_text: "export function add(a, b) {", new_text: "export function add(a, b) { // checked" };
+  failingProvider([editsResponse(comment)]);
+  await assert.rejects(fixAndTestFile("math.js", { maxRounds: 3, git: { mode: "branch", branch: "fix/kept" } }), /provider down/);
+  assert.equal(git(root, "rev-parse", "--abbrev-ref", "HEAD"), "main");
+  assert.equal(read(root, "math.js"), MATH);
+  assert.equal(git(root, "status", "--porcelain"), "");
+  assert.match(git(root, "log", "-1", "--format=%s", "fix/kept"), /^fix\(math\.js\): round 1/);
+});
+
+test("a run that throws in worktree mode removes the worktree and keeps the session", async () => {
+  const { root } = await repo([]);
+  failingProvider([]);
+  const sessionId = "worktree-throws";
+  await assert.rejects(fixAndTestFile("math.js", { sessionId, git: { mode: "worktree", branch: "fix/wt" } }), /provider down/);
+  assert.equal(fs.existsSync(path.join(root, ".llm-fixer", "worktrees", "fix-wt")), false);
+  assert.equal(git(root, "branch", "--list", "fix/wt"), "");
+  assert.equal(sessionTranscript(sessionId)[0].type, "session");
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { makeProject, fixProject, editsResponse, FIX } from "./helpers.js";
+import { updateIndex } from "../lib/vector-index.js";
+import { buildGraph, relatedChunks } from "../lib/graph.js";
+import { fixAndTestFile, sessionTranscript } from "../main.js";
+
+const FILES = {
+  "math.js": "export function add(a, b) {\n  return a + b;\n}\n\nexport function sum(xs) {\n  return xs.reduce((s, x) => add(s, x), 0);\n}\n",
+  "stats.js": "import { sum } from \"./math.js\";\nimport * as m from \"./math.js\";\n\nexport function mean(xs) {\n  return sum(xs) / xs.length;\n}\n\nexport function twice(x) {\n  return m.add(x, x);\n}\n",
+  "report.js": "import { mean as avg } from \"./stats.js\";\n\nexport function report(xs) {\n  return `mean ${avg(xs)}`;\n}\n",
+};
+
+async function graphOf(files) {
+  const root = makeProject(files);
+  const abs = Object.keys(files).map(f => path.join(root, f));
+  const { payload } = await updateIndex(null, { root, model: "none", files: abs, maxChunkLen: 3000 });
+  const chunk = (file, name) => payload.index.find(c => c.filePath === path.join(root, file) && c.name === name);
+  return { graph: buildGraph(payload), chunk };
+}
+
+const names = related => related.map(c => `${c.relation}: ${c.name}`);
+
+test("callers, callees and imported definitions are followed across files", async () => {
+  const { graph, chunk } = await graphOf(FILES);
+
+  assert.deepEqual(names(relatedChunks([chunk("stats.js", "mean")], { graph })), [
+    "caller of mean: report", // through the `avg` alias
+    "called by mean: sum",
+    // sum is already taken as a callee, so "imported by mean" adds nothing
+  ]);
+  assert.deepEqual(names(relatedChunks([chunk("math.js", "add")], { graph })), [
+    "caller of add: sum",
+    "caller of add: twice", // m.add() through the namespace import
+  ]);
+  assert.deepEqual(names(relatedChunks([chunk("stats.js", "twice")], { graph })), ["called by twice: add"]);
+});
+
+test("related chunks skip the seeds and excluded chunks, and stay within the token budget", async () => {
+  const { graph, chunk } = await graphOf(FILES);
+  const seed = chunk("math.js", "add");
+  assert.deepEqual(names(relatedChunks([seed], { graph, exclude: [chunk("math.js", "sum")] })), ["caller of add: twice"]);
+  assert.deepEqual(relatedChunks([seed], { graph, maxTokens: 1 }), []);
+  assert.deepEqual(names(relatedChunks([seed, chunk("math.js", "sum")], { graph })), ["caller of add: twice", "caller of sum: mean"]);
+});
+
+test("the fix prompt gets the callers of the failing function", async () => {
+  // topK 1: only the stack frames lead, so app.js can only come in through the graph
+  await fixProject([editsResponse(FIX)], {
+    files: { "app.js": "import { add } from \"./math.js\";\n\nexport function total() {\n  return add(2, 3);\n}\n" },
+    config: { topK: 1 },
+  });
+  const res = await fixAndTestFile("math.js", { maxRounds: 2 });
+  assert.equal(res.ok, true);
+  const retrieval = sessionTranscript(res.sessionId).find(e => e.type === "retrieval");
+  const related = retrieval.chunks.filter(c => c.relation).map(c => `${c.relation}: ${c.path} ${c.name}`);
+  assert.ok(related.includes("caller of add: app.js total"), related.join("\n"));
+});
@@ -0,0 +1,64 @@
+// test/helpers.js — temp projects and a fake provider for the test suite
+// Every test file runs in its own process (node --test), so main.js's module state
+// (root, index cache, provider) is only shared by the tests of one file. The temp
+// projects a file creates are removed once its tests are done.
+
+import { after } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configure, setProvider, createFakeProvider } from "../main.js";
+
+// The broken module most tests fix: add() refers to an undefined `c`
+export const MATH = "export function add(a, b) {\n  return a + c;\n}\n\nexport function run() {\n  return add(1, 2);\n}\n";
+export const FIX = { path: "math.js", strategy: "replace_function", name: "add", new_text: "export function add(a, b) {\n  return a + b;\n}" };
+
+const projects = [];
+after(() => projects.splice(0).forEach(removeProject));
+
+// Write { "rel/path.js": "text" } into a new temp directory. An empty .llmfixerrc stops
+// the config lookup there, so nothing above the temp directory leaks in.
+export function makeProject(files = {}) {
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixer-test-")));
+  for (const [rel, text] of Object.entries({ ".llmfixerrc": "{}", ...files })) {
+    const abs = path.join(root, rel);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, text, "utf-8");
+  }
+  projects.push(root);
+  return root;
+}
+
+export function removeProject(root) {
+  fs.rmSync(root, { recursive: true, force: true });
+}
+
+// Point main.js at a new project whose model answers with `completions`, in order
+// (see createFakeProvider). config: overrides for configure(). Returns { root, provider }
+export async function useProject(files, { completions = [], config = {} } = {}) {
+  const root = makeProject(files);
+  await configure({ root, ...config });
+  const provider = setProvider(createFakeProvider({ fixtures: { completions, embeddings: {} } }));
+  return { root, provider };
+}
+
+// useProject with math.js (plus `files`) and no embeddings, the setup of the fix-loop tests
+export function fixProject(completions = [], { files = {}, config = {} } = {}) {
+  return useProject({ "math.js": MATH, ...files }, { completions, config: { embeddingModel: "none", ...config } });
+}
+
+// Swap in a provider that answers with `completions` and then fails with "provider down"
+export function failingProvider(completions = []) {
+  const fake = createFakeProvider({ fixtures: { completions, embeddings: {} } });
+  let left = completions.length;
+  return setProvider({ ...fake, complete: (req) => (left-- > 0 ? fake.complete(req) : Promise.reject(new Error("provider down"))) });
+}
+
+// A model response proposing these edits
+export function editsResponse(...edits) {
+  return { content: JSON.stringify({ edits }) };
+}
+
+export function read(root, rel) {
+  return fs.readFileSync(path.join(root, rel), "utf-8");
+}
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { useProject } from "./helpers.js";
+import { rebuildIndex, indexStatus, search, configure, setProvider, createFakeProvider, applyProposal, rollback, trackIndexChanges } from "../main.js";
+
+const FILES = {
+  "src/cart.js": "export function cartTotal(items) {\n  return items.reduce((sum, i) => sum + i.price * i.qty, 0);\n}\n\nexport function applyDiscount(total, pct) {\n  return total * (1 - pct / 100);\n}\n",
+  "src/user.js": "export function formatUserName(user) {\n  return `${user.first} ${user.last}`;\n}\n",
+  "src/http.js": "export async function fetchJson(url) {\n  const res = await fetch(url);\n  return res.json();\n}\n",
+  "node_modules/dep/index.js": "export const dep = 1;\n",
+};
+
+const embedded = (provider) => provider.calls.filter(c => c.type === "embed").reduce((n, c) => n + c.count, 0);
+
+test("the index only re-chunks and re-embeds what changed", async () => {
+  const { root, provider } = await useProject(FILES);
+
+  const first = await rebuildIndex();
+  assert.equal(first.files, 3, "node_modules is excluded");
+  assert.equal(first.changed, 3);
+  assert.ok(first.chunks >= 4);
+  assert.equal(embedded(provider), first.embedded);
+
+  const again = await rebuildIndex();
+  assert.equal(again.changed, 0);
+  assert.equal(again.embedded, 0);
+
+  const before = embedded(provider);
+  fs.appendFileSync(path.join(root, "src/user.js"), "\nexport function initials(user) {\n  return user.first[0] + user.last[0];\n}\n");
+  const edited = await rebuildIndex();
+  assert.equal(edited.changed, 1);
+  assert.ok(edited.reused >= 1, "unchanged chunks of the edited file keep their vectors");
+  assert.equal(embedded(provider) - before, edited.embedded);
+  assert.ok(edited.embedded < edited.chunks);
+
+  fs.unlinkSync(path.join(root, "src/http.js"));
+  const removed = await rebuildIndex();
+  assert.equal(removed.removed, 1);
+  assert.equal(indexStatus().files, 2);
+  assert.equal(indexStatus().staleFiles, 0);
+
+  const forced = await rebuildIndex({ force: true });
+  assert.equal(forced.changed, 2);
+});
+
+test("hybrid search fuses lexical and semantic rankings", async () => {
+  await useProject(FILES);
+  const hits = await search("cartTotal price qty", 3, { explain: true });
+  assert.equal(hits[0].filePath, path.join("src", "cart.js"));
+  assert.equal(hits[0].name, "cartTotal");
+  assert.ok(hits[0].scores.lexical, "found by BM25");
+  assert.ok(hits[0].scores.semantic, "found by vector search");
+  assert.ok(hits[0].scores.fused >= hits[1].scores.fused);
+  assert.equal(hits[0].row, undefined, "index fields are stripped");
+});
+
+test("search is lexical only without embeddings", async () => {
+  const { provider } = await useProject(FILES, { config: { embeddingModel: "none" } });
+  const hits = await search("formatUserName", 2, { explain: true });
+  assert.equal(hits[0].name, "formatUserName");
+  assert.equal(hits[0].scores.semantic, null);
+  assert.equal(provider.calls.length, 0);
+});
+
+test("an index built with another embedding model is rebuilt", async () => {
+  const { root } = await useProject(FILES);
+  await rebuildIndex();
+  await configure({ root, embeddingModel: "text-embedding-3-small" });
+  setProvider(createFakeProvider({ fixtures: { completions: [], embeddings: {} } }));
+  const stats = await rebuildIndex();
+  assert.equal(stats.changed, 3);
+  assert.equal(indexStatus().model, "text-embedding-3-small");
+});
+
+const names = async (query) => (await search(query, 3)).map(h => h.name);
+const NEW_FN = "\nexport function shippingCost(order) {\n  return order.weight * 2;\n}\n";
+
+test("search only walks the tree again once files may have changed", async () => {
+  const { root } = await useProject(FILES, { config: { embeddingModel: "none" } });
+  await rebuildIndex();
+  // an edit nobody reported is not seen: the index is not re-synced on every search
+  fs.appendFileSync(path.join(root, "src/cart.js"), NEW_FN);
+  assert.ok(!(await names("shippingCost weight")).includes("shippingCost"));
+  await rebuildIndex();
+  assert.ok((await names("shippingCost weight")).includes("shippingCost"));
+
+  // edits applied here re-index their files; a rollback makes the next search sync
+  const applied = await applyProposal({ edits: [{ path: "src/user.js", strategy: "replace_file", new_content: "export function greetUser(user) {\n  return `hi ${user.first}`;\n}\n" }] });
+  assert.ok((await names("greetUser")).includes("greetUser"));
+  assert.ok(rollback(applied.sessionId).every(r => r.ok));
+  assert.ok(!(await names("greetUser")).includes("greetUser"));
+});
+
+test("a tracked project syncs after a file changes on disk", async () => {
+  const { root } = await useProject(FILES, { config: { embeddingModel: "none", watchDebounceMs: 20 } });
+  await rebuildIndex();
+  const tracker = trackIndexChanges();
+  try {
+    fs.appendFileSync(path.join(root, "src/http.js"), NEW_FN);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.ok((await names("shippingCost weight")).includes("shippingCost"));
+  } finally {
+    tracker.close();
+  }
+});
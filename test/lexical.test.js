@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { textTerms, buildLexicalIndex, lexicalSearch, fuseRankings, RRF_K } from "../lib/lexical.js";
+
+const chunk = (id, text, identifiers = []) => ({ id, text, identifiers });
+
+test("terms are words plus their camelCase and snake_case parts", () => {
+  assert.deepEqual(textTerms("parseConfigFile(MAX_ROWS)"), ["parseconfigfile", "parse", "config", "file", "max_rows", "max", "rows"]);
+  assert.deepEqual(textTerms("a.b"), ["a", "b"]);
+  assert.deepEqual(textTerms(null), []);
+});
+
+test("BM25 ranks the chunk that uses the query's identifier first", () => {
+  const chunks = [
+    chunk("mention", "// the config file is parsed elsewhere\nexport const note = 1;"),
+    chunk("uses", "export function load() {\n  return parseConfigFile(path);\n}", ["load", "parseConfigFile", "path"]),
+    chunk("other", "export function render(view) {\n  return view.html;\n}", ["render", "view"]),
+  ];
+  const lex = buildLexicalIndex(chunks);
+  const hits = lexicalSearch(lex, "ReferenceError: parseConfigFile is not defined", 5);
+  assert.deepEqual(hits.map(h => h.chunk.id), ["uses", "mention"]);
+  assert.ok(hits[0].score > hits[1].score);
+  // no shared term, no hit
+  assert.deepEqual(lexicalSearch(lex, "zzz", 5), []);
+  assert.equal(lexicalSearch(lex, "config", 1).length, 1);
+});
+
+test("reciprocal-rank fusion rewards chunks both rankings agree on", () => {
+  const [a, b, c] = ["a", "b", "c"].map(id => chunk(id, id));
+  const fused = fuseRankings({
+    lexical: [{ chunk: a, score: 9 }, { chunk: b, score: 5 }],
+    semantic: [{ chunk: c, score: 0.9 }, { chunk: b, score: 0.8 }],
+  }, 3);
+  assert.deepEqual(fused.map(f => f.chunk.id), ["b", "a", "c"]);
+  assert.equal(fused[0].score, 2 / (RRF_K + 2));
+  assert.deepEqual(fused[0].ranks, { lexical: { rank: 2, score: 5 }, semantic: { rank: 2, score: 0.8 } });
+  assert.deepEqual(fused[1].ranks, { lexical: { rank: 1, score: 9 } });
+  assert.equal(fuseRankings({ lexical: [{ chunk: a, score: 1 }] }, 0).length, 0);
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixProject, failingProvider, editsResponse, read, MATH, FIX } from "./helpers.js";
+import { fixAndTestFile, fixWithTests, fixCommand, propose, rollback, usageReport, liveUsage } from "../main.js";
+
+// a TAP-printing check, so the "command" runner reports the test by name
+const CHECK = [
+  "import { add } from \"./math.js\";",
+  "let ok = false;",
+  "try { ok = add(2, 3) === 5; } catch {}",
+  "console.log(`TAP version 13\\n${ok ? \"ok\" : \"not ok\"} 1 - add adds\\n1..1`);",
+  "process.exit(ok ? 0 : 1);",
+  "",
+].join("\n");
+const REPRO = "import { add } from \"./math.js\";\nconsole.log(\"sum\", add(2, 3));\n";
+
+const project = (completions, config) => fixProject(completions, { files: { "check.js": CHECK, "repro.js": REPRO }, config });
+
+test("fixAndTestFile runs the target in the sandbox until it works", async () => {
+  const { root } = await project([editsResponse(FIX)]);
+  const res = await fixAndTestFile("math.js", { maxRounds: 3 });
+  assert.equal(res.ok, true);
+  assert.equal(res.rounds, 2);
+  assert.equal(res.out, 3);
+  assert.match(res.history[0].error, /c is not defined/);
+  assert.match(read(root, "math.js"), /a \+ b/);
+
+  assert.ok(rollback(res.sessionId).every(r => r.ok));
+  assert.equal(read(root, "math.js"), MATH);
+});
+
+test("a round that applies nothing ends the loop", async () => {
+  await project([editsResponse()]);
+  const res = await fixAndTestFile("math.js", { maxRounds: 3 });
+  assert.equal(res.ok, false);
+  assert.equal(res.rounds, 1);
+  assert.match(res.error, /c is not defined/);
+});
+
+test("a dry run shows the diff and writes nothing", async () => {
+  const { root } = await project([editsResponse(FIX)]);
+  const res = await fixAndTestFile("math.js", { dryRun: true });
+  assert.equal(res.dryRun, true);
+  assert.match(res.diff, /-  return a \+ c;\n\+  return a \+ b;/);
+  assert.equal(read(root, "math.js"), MATH);
+});
+
+test("fixWithTests runs the suite until it passes", async () => {
+  await project([editsResponse(FIX)]);
+  const res = await fixWithTests({ runner: "command", command: "node check.js", maxRounds: 3 });
+  assert.equal(res.ok, true);
+  assert.equal(res.rounds, 1);
+  assert.deepEqual(res.fixed, ["add adds"]);
+  assert.deepEqual(res.regressed, []);
+  assert.deepEqual(res.history[0].failing, ["add adds"]);
+});
+
+test("fixCommand fixes code until the reproduction command passes", async () => {
+  await project([editsResponse(FIX)]);
+  const res = await fixCommand({ command: "node repro.js", expect: "sum 5", maxRounds: 3 });
+  assert.equal(res.ok, true);
+  assert.equal(res.rounds, 1);
+  assert.match(res.history[0].error, /c is not defined/);
+  assert.match(res.out, /sum 5/);
+});
+
+test("fixCommand checks the output against expect", async () => {
+  await project([editsResponse({ ...FIX, new_text: "export function add(a, b) {\n  return a * b;\n}" }), editsResponse()]);
+  const res = await fixCommand({ command: "node repro.js", expect: "/sum 5$/m", maxRounds: 3 });
+  assert.equal(res.ok, false);
+  assert.equal(res.rounds, 2);
+  assert.match(res.history[1].error, /sum 5/);
+});
+
+test("the session budget stops the loop before the next model call", async () => {
+  const noop = { path: "math.js", strategy: "replace_range", startLine: 1, endLine: 1, old_text: "export function add(a, b) {", new_text: "export function add(a, b) { // checked" };
+  const { provider } = await project([editsResponse(noop), editsResponse(FIX)], { budget: { tokens: 1 } });
+  const res = await fixAndTestFile("math.js", { maxRounds: 3 });
+  assert.equal(res.ok, false);
+  assert.equal(res.rounds, 2);
+  assert.match(res.budgetExceeded, /session budget of 1 tokens reached/);
+  assert.equal(provider.calls.filter(c => c.type === "complete").length, 1);
+  assert.equal(res.usage.calls, 1);
+  assert.equal(usageReport(res.sessionId).calls, 1);
+});
+
+test("a spent round budget only ends that round", async () => {
+  // a prompt alone is over the round limit, so each round gets exactly one completion
+  const bad = { content: "not json" };
+  const { root, provider } = await project([bad, editsResponse(FIX)], { budget: { roundTokens: 10 } });
+  const res = await fixAndTestFile("math.js", { maxRounds: 3 });
+  assert.equal(res.ok, true);
+  assert.equal(res.rounds, 3);
+  assert.equal(res.history[0].fixRes.applied, false);
+  assert.match(res.history[0].fixRes.budgetExceeded, /round budget of 10 tokens reached/);
+  assert.equal(res.budgetExceeded, undefined);
+  assert.equal(provider.calls.filter(c => c.type === "complete").length, 2);
+  assert.match(read(root, "math.js"), /a \+ b/);
+});
+
+test("a session that throws drops its usage ledger", async () => {
+  await project([]);
+  // the first answer is charged (so the ledger exists), the repair request then fails
+  failingProvider([{ content: "not json" }]);
+  await assert.rejects(propose("ReferenceError: c is not defined", "", ["math.js"], { sessionId: "propose-throws" }), /provider down/);
+  assert.equal(liveUsage("propose-throws"), null);
+  assert.equal(usageReport("propose-throws").calls, 1);
+
+  failingProvider([{ content: "not json" }]);
+  await assert.rejects(fixAndTestFile("math.js", { sessionId: "fix-throws" }), /provider down/);
+  assert.equal(liveUsage("fix-throws"), null);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeProject, useProject, read } from "./helpers.js";
+import { createPolicy } from "../lib/policy.js";
+import { planChangeset } from "../lib/changeset.js";
+import { outsideRoot } from "../lib/util.js";
+import { applyProposal } from "../main.js";
+
+const replace = (p, content) => ({ path: p, strategy: "replace_file", new_content: content });
+
+test("outsideRoot only counts '..' path segments as leaving the root", () => {
+  assert.equal(outsideRoot("/r", "/r/a.js"), false);
+  assert.equal(outsideRoot("/r", "/r/..foo/a.js"), false);
+  assert.equal(outsideRoot("/r", "/r/../x.js"), true);
+  assert.equal(outsideRoot("/r", "/elsewhere/x.js"), true);
+  assert.equal(outsideRoot("/r", "/r"), true);
+});
+
+test("edits outside the root are rejected, also through symlinks", () => {
+  const outside = makeProject({ "secret.js": "export const s = 1;\n" });
+  const root = makeProject({ "a.js": "export const a = 1;\n", "..notes/b.js": "export const b = 1;\n" });
+  fs.symlinkSync(outside, path.join(root, "linked"));
+
+  const cs = planChangeset([
+    replace("../x.js", ""),
+    replace(path.join(outside, "secret.js"), ""),
+    replace("linked/secret.js", "export const s = 2;\n"),
+    replace("..notes/b.js", "export const b = 2;\n"),
+  ], { root });
+  assert.deepEqual(cs.results.map(r => r.ok), [false, false, false, true]);
+  assert.ok(cs.results.slice(0, 3).every(r => /outside the project root/.test(r.reason)));
+});
+
+test("protected, denied and not-allowed paths are flagged", () => {
+  const root = makeProject({ "package.json": "{}", "src/a.js": "export const a = 1;\n", "vendor/v.js": "export const v = 1;\n", "docs/d.js": "export const d = 1;\n" });
+  const policy = createPolicy({ protected: ["package.json"], deny: ["vendor/**"], allow: ["src/**", "vendor/**", "package.json"] }, { root });
+  const cs = planChangeset([
+    replace("package.json", "{\"x\":1}"),
+    replace("vendor/v.js", "export const v = 2;\n"),
+    replace("docs/d.js", "export const d = 2;\n"),
+    replace("src/a.js", "export const a = 2;\n"),
+  ], { root, policy });
+  assert.deepEqual(cs.results.map(r => r.policy), ["protected", "deny", "allow", undefined]);
+  assert.equal(cs.ok, false);
+});
+
+test("new files, whole-file rewrites and large changes can be turned off", () => {
+  const root = makeProject({ "a.js": Array.from({ length: 20 }, (_, i) => `export const a${i} = ${i};`).join("\n") + "\n" });
+  const check = (policy, edits) => planChangeset(edits, { root, policy: createPolicy(policy, { root }) }).results.map(r => r.policy);
+
+  assert.deepEqual(check({ newFiles: false }, [replace("b.js", "export const b = 1;\n")]), ["new-file"]);
+  assert.deepEqual(check({ replaceFile: false }, [replace("a.js", `${read(root, "a.js")}// end\n`)]), ["replace-file"]);
+  const rewritten = Array.from({ length: 20 }, (_, i) => `export const a${i} = ${i + 1};`).join("\n") + "\n";
+  assert.deepEqual(check({ maxLinesChanged: 10 }, [replace("a.js", rewritten)]), ["max-lines"]);
+  assert.deepEqual(check({ maxLinesChanged: 0 }, [replace("a.js", rewritten)]), [undefined]);
+});
+
+test("removing an export another file imports is flagged", () => {
+  const root = makeProject({ "lib.js": "export function used() {}\nexport function spare() {}\n", "main.js": "import { used } from \"./lib.js\";\nused();\n" });
+  const policy = createPolicy({}, { root, files: () => [path.join(root, "lib.js"), path.join(root, "main.js")] });
+  const removeUsed = planChangeset([replace("lib.js", "export function spare() {}\n")], { root, policy });
+  assert.equal(removeUsed.results[0].policy, "exports");
+  assert.match(removeUsed.results[0].reason, /removes export 'used' that main\.js imports/);
+  const removeSpare = planChangeset([replace("lib.js", "export function used() {}\n")], { root, policy });
+  assert.equal(removeSpare.ok, true);
+});
+
+test("the configured policy gates applyProposal", async () => {
+  const { root } = await useProject({ "src/a.js": "export const a = 1;\n", "package.json": "{}" }, { config: { embeddingModel: "none", policy: { deny: ["src/**"] } } });
+  const denied = await applyProposal({ edits: [replace("src/a.js", "export const a = 2;\n")] });
+  assert.equal(denied.applied, false);
+  assert.match(denied.results[0].reason, /policy \(deny\)/);
+
+  const locked = await applyProposal({ edits: [replace("package.json", "{\"name\":\"x\"}")] });
+  assert.match(locked.results[0].reason, /policy \(protected\)/, "policy overrides merge with the default protected list");
+  assert.equal(read(root, "package.json"), "{}");
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { selectChunks, truncateText } from "../lib/prompt.js";
+
+const body = Array.from({ length: 120 }, (_, i) => `  const v${i} = compute(${i}, "padding so the function is long");`).join("\n");
+const BIG = `export function big() {\n${body}\n  return 1;\n}\n\nexport function other() {\n  return 2;\n}`;
+const LINES = BIG.split("\n");
+
+const chunk = (name, startLine, endLine, extra = {}) => ({
+  filePath: "/p/a.js", kind: "function", name, startLine, endLine, text: LINES.slice(startLine - 1, endLine).join("\n"), labels: [], ...extra,
+});
+const wholeFile = { ...chunk("a.js", 1, LINES.length), kind: "file", labels: ["whole file"], required: true };
+
+test("a chunk over half the budget is split on statement boundaries", () => {
+  const { chunks, omitted } = selectChunks([chunk("big", 1, 123)], 2400);
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(omitted, []);
+  assert.ok(chunks.every(c => c.name === "big" && c.parts === chunks.length));
+  assert.equal(chunks[0].startLine, 1);
+  assert.equal(chunks.at(-1).endLine, 123);
+  for (let i = 1; i < chunks.length; i++) assert.equal(chunks[i].startLine, chunks[i - 1].endLine + 1);
+  assert.ok(chunks.every(c => /;$/.test(c.text.split("\n").at(-1)) || c.text.endsWith("}")), "no statement is cut");
+});
+
+test("the file being fixed may use the whole budget", () => {
+  const budget = Math.ceil(BIG.length / 4) + 50;
+  const { chunks } = selectChunks([wholeFile, chunk("big", 1, 123, { labels: ["stack frame"] })], budget);
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].part, undefined);
+  assert.deepEqual(chunks[0].labels, ["whole file", "stack frame"]);
+});
+
+test("the file being fixed is split rather than left out", () => {
+  const { chunks, omitted } = selectChunks([wholeFile, chunk("other", 127, 129)], 600);
+  assert.ok(chunks.length >= 1);
+  assert.equal(chunks[0].name, "a.js");
+  assert.equal(chunks[0].startLine, 1);
+  assert.ok(chunks[0].parts > 1);
+  assert.ok(omitted.every(o => o.reason === "budget"));
+});
+
+test("a chunk spanning two taken parts only adds its labels", () => {
+  const parts = selectChunks([chunk("big", 1, 123)], 2400).chunks;
+  const across = chunk("inner", parts[0].endLine - 1, parts[0].endLine + 1, { labels: ["stack frame"] });
+  const { chunks, omitted } = selectChunks([chunk("big", 1, 123), across], 2400);
+  assert.deepEqual(omitted, []);
+  assert.deepEqual(chunks[0].labels, ["stack frame"]);
+});
+
+test("text is truncated on whole lines with a note", () => {
+  const { text, omittedLines } = truncateText(body, 100);
+  assert.ok(omittedLines > 0);
+  assert.match(text, new RegExp(`… \\(${omittedLines} more line\\(s\\) cut to fit the prompt\\)$`));
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { fixProject, editsResponse, read, MATH, FIX } from "./helpers.js";
+import { tryq, help, queuedErrors, queuedError, applyQueuedError, dropQueuedError } from "../main.js";
+import { errorFingerprint, createRateLimiter } from "../lib/queue.js";
+
+const completions = (provider) => provider.calls.filter(c => c.type === "complete").length;
+
+// run() from the project's math.js, so the error's stack has project frames
+async function broken(root, file = "math.js") {
+  const mod = await import(pathToFileURL(path.join(root, file)).href);
+  return () => mod.run();
+}
+
+test("suggest mode queues the error with a proposal and never touches source", async () => {
+  const { root, provider } = await fixProject([editsResponse(FIX)]);
+  const run = await broken(root);
+  const res = await tryq(run, "", [], { mode: "suggest" });
+  assert.equal(res.ok, false);
+  assert.match(res.error, /c is not defined/);
+  assert.deepEqual([res.fix.applied, res.fix.queued.kind, res.fix.queued.duplicate], [false, "suggestion", false]);
+  assert.match(res.fix.diff, /\+  return a \+ b;/);
+  assert.equal(read(root, "math.js"), MATH);
+
+  const entry = queuedError(res.fix.queued.id);
+  assert.equal(entry.error.name, "ReferenceError");
+  assert.deepEqual(entry.frames.map(f => [f.path, f.name]), [["math.js", "add"], ["math.js", "run"]]);
+  assert.deepEqual(entry.suggestion.edits, [FIX]);
+  assert.equal(entry.suggestion.ok, true);
+  assert.equal(entry.count, 1);
+
+  // the same error again only counts: no second model call
+  const again = await tryq(run, "", [], { mode: "suggest" });
+  assert.equal(again.fix.queued.id, res.fix.queued.id);
+  assert.equal(again.fix.queued.duplicate, true);
+  assert.equal(completions(provider), 1);
+  assert.equal(queuedErrors().length, 1);
+});
+
+test("report mode writes a crash bundle without asking the model", async () => {
+  const { root, provider } = await fixProject();
+  const res = await tryq(await broken(root), "checkout handler", ["math.js"], { mode: "report" });
+  const entry = queuedError(res.fix.queued.id);
+  assert.equal(entry.kind, "report");
+  assert.equal(entry.extraContext, "checkout handler");
+  assert.match(entry.frames[0].text, /return a \+ c;/);
+  assert.equal(entry.runtime.node, process.version);
+  assert.equal(entry.suggestion, undefined);
+  assert.equal(completions(provider), 0);
+  assert.equal(read(root, "math.js"), MATH);
+  // one JSON file per error
+  assert.equal(res.fix.queued.file, path.join(root, ".llm-fixer", "queue", `${entry.id}.json`));
+  assert.deepEqual(fs.readdirSync(path.dirname(res.fix.queued.file)), [`${entry.id}.json`]);
+});
+
+test("past inlineRateLimit suggestions are queued as rate-limited reports", async () => {
+  const files = { "other.js": "export function run() {\n  return missing();\n}\n" };
+  const { root, provider } = await fixProject([editsResponse(FIX), editsResponse(FIX)], { files, config: { inlineRateLimit: 1 } });
+  const first = await tryq(await broken(root), "", [], { mode: "suggest" });
+  const second = await tryq(await broken(root, "other.js"), "", [], { mode: "suggest" });
+  assert.equal(first.fix.queued.kind, "suggestion");
+  assert.deepEqual([second.fix.queued.kind, second.fix.queued.rateLimited], ["report", true]);
+  assert.equal(completions(provider), 1);
+});
+
+test("a queued suggestion is applied at triage and leaves the queue", async () => {
+  const { root } = await fixProject([editsResponse(FIX)]);
+  const { fix } = await tryq(await broken(root), "", [], { mode: "suggest" });
+  const res = await applyQueuedError(fix.queued.id);
+  assert.equal(res.applied, true);
+  assert.match(read(root, "math.js"), /a \+ b/);
+  assert.equal(queuedError(fix.queued.id), null);
+  assert.equal(dropQueuedError(fix.queued.id), false);
+  await assert.rejects(applyQueuedError(fix.queued.id), /no queued error/);
+});
+
+test("apply mode asks the model once per error", async () => {
+  const { root, provider } = await fixProject([editsResponse()]);
+  const run = await broken(root);
+  const first = await tryq(run);
+  assert.ok(first.fix.sessionId);
+  const again = await tryq(run);
+  assert.equal(again.skipped, "duplicate");
+  assert.equal(completions(provider), 1);
+  await assert.rejects(help("boom", "", [], { mode: "later" }), /unknown mode 'later'/);
+});
+
+test("fingerprints ignore line numbers, and the limiter slides its window", () => {
+  const root = path.resolve("/app");
+  const stack = (line) => `TypeError: x is undefined\n    at load (${path.join(root, "src", "a.js")}:${line}:5)\n    at main (${path.join(root, "index.js")}:3:1)`;
+  const fp = (s, message = "x is undefined") => errorFingerprint({ name: "TypeError", message, stack: s }, root);
+  assert.equal(fp(stack(10)), fp(stack(42)));
+  assert.notEqual(fp(stack(10)), fp(stack(10).replace("load", "save")));
+  // without project frames the message counts, numbers masked
+  assert.equal(fp("", "timeout after 3000ms"), fp("", "timeout after 5000ms"));
+
+  let t = 0;
+  const limiter = createRateLimiter({ max: 2, windowMs: 100, now: () => t });
+  assert.deepEqual([limiter.allow(), limiter.allow(), limiter.allow()], [true, true, false]);
+  t = 100;
+  assert.equal(limiter.allow(), true);
+});
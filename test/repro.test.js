@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeProject } from "./helpers.js";
+import { expectPattern, extractError, runRepro } from "../lib/repro.js";
+
+test("expect patterns are plain text or /source/flags", () => {
+  assert.equal(expectPattern(""), null);
+  assert.equal(expectPattern("sum 5").source, "sum 5");
+  assert.equal(expectPattern("/sum \\d$/im").flags, "im");
+  assert.throws(() => expectPattern("/(/"), /invalid expect pattern/);
+});
+
+test("g and y flags are dropped so a pattern matches every round", async () => {
+  assert.equal(expectPattern("/ok/gy").flags, "");
+  assert.equal(expectPattern(/ok/gi).flags, "i");
+
+  const cwd = makeProject({ "ok.js": "console.log(\"ok\");\n" });
+  const expect = /ok/g;
+  for (let round = 1; round <= 3; round++) {
+    const run = await runRepro("node ok.js", { cwd, expect, timeoutMs: 20000 });
+    assert.equal(run.ok, true, `round ${round}`);
+  }
+});
+
+test("the printed error and its stack are pulled out of the output", () => {
+  const output = "starting\nTypeError: x is not a function\n    at run (/p/a.js:3:5)\n    at main (/p/b.js:9:1)\ndone";
+  const error = extractError(output);
+  assert.equal(error.message, "TypeError: x is not a function");
+  assert.match(error.stack, /at run \(\/p\/a\.js:3:5\)\n    at main/);
+  assert.equal(extractError("all good"), null);
+});
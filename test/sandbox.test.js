@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { makeProject } from "./helpers.js";
+import { runInSandbox } from "../lib/sandbox.js";
+
+const run = (files, file, opts = {}) => runInSandbox(path.join(makeProject(files), file), { timeoutMs: 5000, ...opts });
+
+test("an export runs in a worker with its output captured", async () => {
+  const res = await run({ "a.js": "export async function run(x) {\n  console.log(\"hello\");\n  console.error(\"warn\");\n  return x * 2;\n}\n" }, "a.js", { args: [21] });
+  assert.equal(res.ok, true);
+  assert.equal(res.out, 42);
+  assert.match(res.stdout, /hello/);
+  assert.match(res.stderr, /warn/);
+});
+
+test("each failure is reported with the phase it happened in", async () => {
+  const thrown = await run({ "a.js": "export function run() {\n  return missing + 1;\n}\n" }, "a.js");
+  assert.equal(thrown.phase, "run");
+  assert.equal(thrown.error.name, "ReferenceError");
+  assert.match(thrown.error.stack, /a\.js:2/);
+
+  const broken = await run({ "a.js": "export function run( {\n" }, "a.js");
+  assert.equal(broken.phase, "import");
+  assert.equal(broken.error.name, "SyntaxError");
+
+  const noExport = await run({ "a.js": "export const x = 1;\n" }, "a.js");
+  assert.equal(noExport.phase, "resolve");
+});
+
+test("hangs, exits and runaway memory end the worker, not the caller", async () => {
+  const hang = await run({ "a.js": "export function run() {\n  for (;;) {}\n}\n" }, "a.js", { timeoutMs: 300 });
+  assert.equal(hang.ok, false);
+  assert.equal(hang.timedOut, true);
+  assert.equal(hang.phase, "timeout");
+
+  const exit = await run({ "a.js": "export function run() {\n  process.exit(3);\n}\n" }, "a.js");
+  assert.equal(exit.ok, false);
+  assert.equal(exit.phase, "exit");
+
+  const hog = await run({ "a.js": "export function run() {\n  const keep = [];\n  for (;;) keep.push(new Array(1e5).fill(keep.length));\n}\n" }, "a.js", { maxMemoryMb: 32, timeoutMs: 20000 });
+  assert.equal(hog.ok, false);
+  assert.equal(hog.phase, "crash");
+});
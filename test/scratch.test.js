@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeProject, read } from "./helpers.js";
+import { createFileFilter } from "../lib/config.js";
+import { createScratch } from "../lib/scratch.js";
+
+const filterFor = (root) => createFileFilter({ root, include: [], exclude: ["node_modules", ".git"], includeExts: [".js"], gitignore: true });
+const FILES = {
+  ".gitignore": "dist/\n.env\n",
+  ".env": "TOKEN=1\n",
+  "src/a.js": "export const a = 1;\n",
+  "dist/a.js": "export const a = 1;\n",
+  "node_modules/dep/index.js": "export const dep = 1;\n",
+};
+
+function withScratch(root, fn) {
+  const scratch = createScratch(root, { skip: filterFor(root).skip });
+  try {
+    fn(scratch);
+  } finally {
+    scratch.dispose();
+  }
+}
+
+test("only node_modules is linked; other ignored directories start empty", () => {
+  const root = makeProject(FILES);
+  withScratch(root, (scratch) => {
+    const at = (rel) => path.join(scratch.dir, rel);
+    assert.equal(fs.lstatSync(at("node_modules")).isSymbolicLink(), true);
+    assert.equal(fs.lstatSync(at("src")).isSymbolicLink(), false);
+    assert.equal(read(scratch.dir, "src/a.js"), "export const a = 1;\n");
+    assert.equal(fs.lstatSync(at("dist")).isDirectory(), true);
+    assert.deepEqual(fs.readdirSync(at("dist")), []);
+    assert.equal(read(scratch.dir, ".env"), "TOKEN=1\n", "ignored files are still copied");
+  });
+  assert.equal(read(root, "node_modules/dep/index.js"), "export const dep = 1;\n", "dispose leaves the linked directory alone");
+});
+
+test("a validation step that writes build output stays in the copy", () => {
+  const root = makeProject(FILES);
+  withScratch(root, (scratch) => {
+    fs.writeFileSync(path.join(scratch.dir, "dist/a.js"), "export const a = 2;\n");
+    fs.mkdirSync(path.join(scratch.dir, "dist/cache"));
+  });
+  assert.equal(read(root, "dist/a.js"), "export const a = 1;\n");
+  assert.deepEqual(fs.readdirSync(path.join(root, "dist")), ["a.js"]);
+});
+
+test("an edit inside node_modules never reaches the project", () => {
+  const root = makeProject({ ...FILES, "node_modules/dep/util.js": "export const u = 1;\n" });
+  withScratch(root, (scratch) => {
+    const relPath = path.join("node_modules", "dep", "index.js");
+    const undo = scratch.apply({ files: [{ relPath, existed: true, before: "export const dep = 1;\n", after: "export const dep = 2;\n" }] });
+    assert.equal(read(scratch.dir, relPath), "export const dep = 2;\n");
+    assert.equal(read(scratch.dir, "node_modules/dep/util.js"), "export const u = 1;\n");
+    assert.equal(read(root, relPath), "export const dep = 1;\n");
+    undo();
+    assert.equal(read(root, relPath), "export const dep = 1;\n");
+  });
+  assert.equal(read(root, "node_modules/dep/util.js"), "export const u = 1;\n");
+});
@@ -0,0 +1,89 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { useProject } from "./helpers.js";
+import { startServer, TOKEN_FILE } from "../server.js";
+
+let root, server;
+before(async () => {
+  ({ root } = await useProject({ "math.js": "export const x = 1;\n" }, { config: { embeddingModel: "none" } }));
+  server = await startServer({ port: 0 });
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+// POST /rpc with the generated token unless headers say otherwise; resolves { status, body }
+function post(body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: "127.0.0.1",
+      port: server.address().port,
+      path: "/rpc",
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${server.token}`, ...headers },
+    }, (res) => {
+      let text = "";
+      res.on("data", d => (text += d));
+      res.on("end", () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+    });
+    req.on("error", reject);
+    req.end(typeof body === "string" ? body : JSON.stringify(body));
+  });
+}
+
+const rpc = (method, params) => ({ jsonrpc: "2.0", id: 1, method, params });
+// a repro call that would leave a marker file if its command ever ran
+const repro = () => rpc("repro", { command: "node -e \"require('fs').writeFileSync('ran.txt', '1')\"", maxRounds: 1 });
+
+test("a token is required, and a generated one is left for local clients", async () => {
+  const file = path.join(root, TOKEN_FILE);
+  assert.equal(server.tokenFile, file);
+  assert.equal(fs.readFileSync(file, "utf-8"), server.token);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+  const anonymous = await post(rpc("config"), { Authorization: "" });
+  assert.equal(anonymous.status, 401);
+  const wrong = await post(rpc("config"), { Authorization: "Bearer nope" });
+  assert.equal(wrong.status, 401);
+  const ok = await post(rpc("config"));
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.result.root, root);
+});
+
+test("a body that is not sent as application/json is refused", async () => {
+  const plain = await post(JSON.stringify(repro()), { "Content-Type": "text/plain" });
+  assert.equal(plain.status, 415);
+  const form = await post(JSON.stringify(repro()), { "Content-Type": "application/x-www-form-urlencoded" });
+  assert.equal(form.status, 415);
+  assert.equal(fs.existsSync(path.join(root, "ran.txt")), false);
+
+  const charset = await post(rpc("config"), { "Content-Type": "application/json; charset=utf-8" });
+  assert.equal(charset.status, 200);
+});
+
+test("requests from a page that is not on a loopback origin are refused", async () => {
+  for (const origin of ["https://evil.example", "null", "http://127.0.0.1.evil.example"]) {
+    const res = await post(repro(), { Origin: origin });
+    assert.equal(res.status, 403, origin);
+  }
+  assert.equal(fs.existsSync(path.join(root, "ran.txt")), false);
+  const local = await post(rpc("config"), { Origin: "http://localhost:3000" });
+  assert.equal(local.status, 200);
+});
+
+test("session ids and git.patch paths are checked", async () => {
+  const rollback = await post(rpc("rollback", { id: "../../etc" }));
+  assert.equal(rollback.body.error.code, -32602);
+  assert.match(rollback.body.error.message, /not a session id/);
+  const fix = await post(rpc("fix", { file: "math.js", git: { mode: "branch", patch: "../out.patch" } }));
+  assert.match(fix.body.error.message, /git\.patch' must be inside the project root/);
+});
+
+test("the generated token file goes away with the server", async () => {
+  const other = await startServer({ port: 0 });
+  const file = other.tokenFile;
+  assert.ok(fs.existsSync(file));
+  await new Promise(resolve => other.close(resolve));
+  assert.equal(fs.existsSync(file), false);
+});
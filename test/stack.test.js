@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { makeProject } from "./helpers.js";
+import { parseStack, applySourceMap, resolveFrameChunks, stackFiles } from "../lib/stack.js";
+
+const APP = [
+  "import { helper } from \"./util.js\";",
+  "",
+  "export function outer(items) {",
+  "  const inner = (x) => {",
+  "    return x.value.toFixed(2);",
+  "  };",
+  "  return items.map(inner);",
+  "}",
+  "",
+  "outer([{}]);",
+  "",
+].join("\n");
+
+test("V8 frames are parsed in their common shapes", () => {
+  const frames = parseStack([
+    "TypeError: boom",
+    "    at inner (file:///p/app.js:5:14)",
+    "    at async file:///p/main.js:2:3",
+    "    at TestContext.<anonymous> (/p/test.js:4:28)",
+    "    at async run (file:///p/run.js:8:1)",
+    "    at Array.map (<anonymous>)",
+  ].join("\n"));
+  assert.deepEqual(frames.map(f => [f.fn, f.file, f.line, f.column]), [
+    ["inner", "/p/app.js", 5, 14],
+    ["<anonymous>", "/p/main.js", 2, 3],
+    ["TestContext.<anonymous>", "/p/test.js", 4, 28],
+    ["run", "/p/run.js", 8, 1],
+  ]);
+});
+
+test("a frame resolves to its innermost enclosing function, top-level code to a window", () => {
+  const root = makeProject({ "app.js": APP, "node_modules/lib/index.js": "export function x() {}\n" });
+  const app = path.join(root, "app.js");
+  const stack = [
+    "TypeError: Cannot read properties of undefined (reading 'toFixed')",
+    `    at inner (${app}:5:20)`,
+    `    at Array.map (<anonymous>)`,
+    `    at outer (${app}:7:16)`,
+    `    at dep (${path.join(root, "node_modules/lib/index.js")}:1:1)`,
+    `    at ${app}:10:1`,
+  ].join("\n");
+  const chunks = resolveFrameChunks(stack, { root, maxFrames: 5 });
+  assert.deepEqual(chunks.map(c => [c.name, c.startLine, c.endLine]), [
+    ["inner", 4, 6],
+    ["outer", 3, 8],
+    ["app.js", 1, 11],
+  ]);
+  assert.equal(chunks[2].kind, "frame");
+  assert.equal(chunks[0].frame.line, 5);
+  assert.deepEqual(stackFiles(stack, root), [app], "node_modules frames are not project files");
+});
+
+test("frames in generated code are mapped back through the source map", () => {
+  // dist/app.js line 1 comes from src/app.ts line 3
+  const map = { version: 3, sources: ["../src/app.ts"], mappings: "AAEA" };
+  const root = makeProject({
+    "src/app.ts": "// header\n\nexport const fail = (): number => { throw new Error(\"x\"); };\n",
+    "dist/app.js": "export const fail = () => { throw new Error(\"x\"); };\n//# sourceMappingURL=app.js.map\n",
+    "dist/app.js.map": JSON.stringify(map),
+  });
+  const frame = applySourceMap(parseStack(`    at fail (${path.join(root, "dist/app.js")}:1:29)`)[0]);
+  assert.equal(frame.file, path.join(root, "src/app.ts"));
+  assert.equal(frame.line, 3);
+  assert.equal(frame.generated.line, 1);
+});
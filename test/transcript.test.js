@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixProject, editsResponse, read, MATH, FIX } from "./helpers.js";
+import { fixAndTestFile, sessionTranscript, transcripts, replaySession, rollback } from "../main.js";
+import { onEvent, replayFixtures, roundErrors, sessionOutcome } from "../lib/transcript.js";
+
+test("a fix session records its start, rounds, model calls, edits and outcome", async () => {
+  await fixProject([editsResponse(FIX)]);
+  const seen = [];
+  const stop = onEvent((id, event) => seen.push([id, event.type]));
+  const res = await fixAndTestFile("math.js", { maxRounds: 3 });
+  stop();
+  assert.equal(res.ok, true);
+
+  const events = sessionTranscript(res.sessionId);
+  const types = events.map(e => e.type);
+  assert.equal(types[0], "session");
+  assert.equal(events[0].kind, "fix");
+  assert.equal(events[0].target, "math.js");
+  for (const type of ["round", "prompt", "response", "usage", "edits"]) assert.ok(types.includes(type), type);
+  assert.deepEqual(sessionOutcome(events), events.at(-1));
+  assert.equal(sessionOutcome(events).ok, true);
+  assert.match(roundErrors(events)[0].error, /c is not defined/);
+
+  // listeners see the same events as they are written
+  assert.deepEqual(seen.filter(([id]) => id === res.sessionId).map(([, type]) => type), types);
+  assert.ok(transcripts().includes(res.sessionId));
+});
+
+test("replay re-runs a session with its recorded responses", async () => {
+  const { root } = await fixProject([editsResponse(FIX)]);
+  const original = await fixAndTestFile("math.js", { maxRounds: 3 });
+  const recorded = sessionTranscript(original.sessionId);
+  assert.equal(replayFixtures(recorded).completions.length, 1);
+
+  // the provider has no answers left: the replay must use the recorded ones
+  const report = await replaySession(original.sessionId, { restore: true });
+  assert.equal(report.ok, true);
+  assert.equal(report.matches, true);
+  assert.equal(report.replayOf, original.sessionId);
+  assert.notEqual(report.sessionId, original.sessionId);
+  assert.ok(report.rounds.every(r => r.same));
+  assert.match(read(root, "math.js"), /a \+ b/);
+  const last = sessionTranscript(report.sessionId).at(-1);
+  assert.deepEqual([last.type, last.of], ["replay", original.sessionId]);
+
+  // a dry replay of a restored session writes nothing
+  assert.ok(rollback(report.sessionId).every(r => r.ok));
+  assert.equal(read(root, "math.js"), MATH);
+  const dry = await replaySession(original.sessionId, { dryRun: true });
+  assert.equal(dry.result.dryRun, true);
+  assert.equal(read(root, "math.js"), MATH);
+});
+
+test("replay of an unknown session fails", async () => {
+  await fixProject();
+  await assert.rejects(replaySession("20990101-000000-abcdef"), /no transcript for session/);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fixProject, editsResponse, read } from "./helpers.js";
+import { fixAndTestFile, sessionTranscript } from "../main.js";
+import { loadTypeScript, transpileTypeScript, typeCheck } from "../lib/typescript.js";
+
+const ts = loadTypeScript();
+const skip = ts ? false : "the optional typescript package is not installed";
+
+// util.ts is imported as "./util.js", the way TypeScript code spells it
+const UTIL = "export function double(n: number): number {\n  return n * factor;\n}\n";
+const MAIN = "import { double } from \"./util.js\";\n\nexport function run(): number {\n  return double(21);\n}\n";
+const FIXED = { path: "util.ts", strategy: "replace_function", name: "double", new_text: "export function double(n: number): number {\n  return n * 2;\n}" };
+
+test("a TypeScript target is transpiled, run and fixed", { skip }, async () => {
+  const { root } = await fixProject([editsResponse(FIXED)], { files: { "util.ts": UTIL, "main.ts": MAIN } });
+  const res = await fixAndTestFile("main.ts", { maxRounds: 3 });
+  assert.equal(res.ok, true);
+  assert.equal(res.out, 42);
+  assert.match(res.history[0].error, /factor is not defined/);
+  // the stack points at the .ts source, not the transpiled output
+  const round = sessionTranscript(res.sessionId).find(e => e.type === "round");
+  assert.match(round.error.stack, /util\.ts:2:/);
+  assert.match(read(root, "util.ts"), /n \* 2/);
+});
+
+test("a TypeScript target that runs but does not type-check is not done", { skip }, async () => {
+  const typed = { path: "main.ts", strategy: "replace_function", name: "run", new_text: "export function run(): number {\n  return 42;\n}" };
+  await fixProject([editsResponse(typed)], { files: { "main.ts": "export function run(): number {\n  return \"42\" as any as string;\n}\n" } });
+  const res = await fixAndTestFile("main.ts", { maxRounds: 3 });
+  assert.equal(res.ok, true);
+  assert.equal(res.rounds, 2);
+  assert.match(res.history[0].error, /TS2322/);
+
+  await fixProject([], { files: { "main.ts": "export function run(): number {\n  return \"42\" as any as string;\n}\n" } });
+  const unchecked = await fixAndTestFile("main.ts", { typeCheck: false });
+  assert.equal(unchecked.ok, true);
+  assert.equal(unchecked.out, "42");
+});
+
+test("TSX transpiles with an inline source map, and syntax errors are reported", { skip }, () => {
+  const out = transpileTypeScript(ts, "export const el = <div id=\"x\" />;\n", "view.tsx");
+  assert.deepEqual(out.diagnostics, []);
+  assert.match(out.code, /jsx\(/);
+  assert.match(out.code, /sourceMappingURL=data:/);
+
+  const bad = transpileTypeScript(ts, "export const x = ;\n", "bad.ts");
+  assert.equal(bad.diagnostics.length, 1);
+});
+
+test("typeCheck reports project diagnostics relative to the root", { skip }, async () => {
+  const { root } = await fixProject([], { files: { "a.ts": "export const n: number = \"no\";\n", "b.ts": "import { n } from \"./a.js\";\nexport const m = n + 1;\n" } });
+  const res = typeCheck(ts, [path.join(root, "b.ts")], { root });
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.diagnostics.map(d => [d.file, d.line, d.code]), [["a.ts", 1, 2322]]);
+});
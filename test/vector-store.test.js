@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeProject } from "./helpers.js";
+import { openVectorStore, readStoreHeader, normalize, dot } from "../lib/vector-store.js";
+import { createHnsw, extendHnsw, searchHnsw, saveHnsw, loadHnsw } from "../lib/hnsw.js";
+import { emptyIndex, saveIndexFile, loadIndexFile, searchIndex, indexFiles } from "../lib/vector-index.js";
+
+// Deterministic pseudo-random vectors
+function vectors(count, dims, seed = 1) {
+  let s = seed;
+  const next = () => ((s = (s * 1103515245 + 12345) % 2147483648) / 2147483648) - 0.5;
+  return Array.from({ length: count }, () => Array.from({ length: dims }, next));
+}
+
+test("the store appends normalised rows and saves only the new ones", () => {
+  const dir = makeProject();
+  const file = path.join(dir, "index.vec");
+  const store = openVectorStore({ model: "m" });
+  assert.equal(store.append([3, 4]), 0);
+  assert.equal(store.append([]), -1);
+  assert.deepEqual([...store.row(0)].map(x => +x.toFixed(3)), [0.6, 0.8]);
+  store.save(file);
+  assert.deepEqual(readStoreHeader(file), { version: 1, dims: 2, rows: 1, generation: 1, model: "m" });
+  assert.throws(() => store.append([1, 2, 3]), /3 dimensions, the index has 2/);
+
+  // mark row 0 on disk: an append-only save leaves it alone
+  const fd = fs.openSync(file, "r+");
+  fs.writeSync(fd, Buffer.from(new Float32Array([9, 9]).buffer), 0, 8, 256);
+  fs.closeSync(fd);
+  store.append([0, 2]);
+  store.save(file);
+  assert.equal(fs.statSync(file).size, 256 + 2 * 2 * 4);
+
+  const reopened = openVectorStore({ file, model: "m", dims: 2, rows: 2, generation: 1 });
+  assert.equal(reopened.rows, 2);
+  assert.deepEqual([...reopened.row(0)], [9, 9]);
+  assert.deepEqual([...reopened.row(1)], [0, 1]);
+  // another generation, model or more rows than the file holds: start empty
+  assert.equal(openVectorStore({ file, model: "m", dims: 2, rows: 2, generation: 2 }).rows, 0);
+  assert.equal(openVectorStore({ file, model: "other", dims: 2, rows: 2, generation: 1 }).rows, 0);
+  assert.equal(openVectorStore({ file, model: "m", dims: 2, rows: 3, generation: 1 }).rows, 0);
+});
+
+test("compacting keeps the given rows and starts a new generation", () => {
+  const dir = makeProject();
+  const file = path.join(dir, "index.vec");
+  const store = openVectorStore({ model: "m" });
+  for (const v of [[1, 0], [0, 1], [1, 1]]) store.append(v);
+  store.save(file);
+  const remap = store.compact([0, 2]);
+  assert.deepEqual([...remap], [[0, 0], [2, 1]]);
+  assert.equal(store.generation, 2);
+  store.save(file);
+  assert.deepEqual(readStoreHeader(file), { version: 1, dims: 2, rows: 2, generation: 2, model: "m" });
+  assert.equal(fs.statSync(file).size, 256 + 2 * 2 * 4);
+});
+
+test("the index metadata and its vectors are saved and loaded together", () => {
+  const dir = makeProject();
+  const indexFile = path.join(dir, "vector_index.json");
+  const payload = emptyIndex(dir, "m");
+  const row = payload.store.append([1, 0]);
+  payload.index.push({ id: "a", filePath: path.join(dir, "a.js"), text: "a", textHash: "h", row });
+  saveIndexFile(indexFile, payload);
+  assert.deepEqual(Object.values(indexFiles(indexFile)).map(f => fs.existsSync(f)), [true, true, false]);
+
+  const loaded = loadIndexFile(indexFile);
+  assert.equal(loaded.store.rows, 1);
+  assert.equal(searchIndex(loaded, [2, 0], 1)[0].chunk.id, "a");
+
+  // vectors that do not belong to the metadata make the index unusable
+  fs.rmSync(indexFiles(indexFile).vectors);
+  assert.equal(loadIndexFile(indexFile), null);
+});
+
+test("an index from before the binary store is moved into one", () => {
+  const dir = makeProject();
+  const indexFile = path.join(dir, "vector_index.json");
+  const chunk = (id, embedding) => ({ id, filePath: path.join(dir, `${id}.js`), text: id, embedding });
+  fs.writeFileSync(indexFile, JSON.stringify({ version: 4, model: "m", files: {}, index: [chunk("a", [1, 0]), chunk("b", [0, 1]), chunk("a", [1, 0])] }));
+  const loaded = loadIndexFile(indexFile);
+  assert.equal(loaded.store.rows, 2, "equal texts share a row");
+  assert.deepEqual(loaded.index.map(c => c.row), [0, 1, 0]);
+  assert.ok(loaded.index.every(c => !("embedding" in c)));
+});
+
+test("HNSW finds what an exact scan finds, and survives a save and reload", () => {
+  const dims = 16;
+  const store = openVectorStore({ model: "m" });
+  for (const v of vectors(400, dims)) store.append(v);
+  const graph = extendHnsw(createHnsw(dims, { generation: store.generation }), store.vectors(), store.rows);
+
+  const queries = vectors(20, dims, 7).map(normalize);
+  const exact = q => [...Array(store.rows).keys()].sort((a, b) => dot(q, store.vectors(), b * dims) - dot(q, store.vectors(), a * dims)).slice(0, 5);
+  let found = 0;
+  for (const q of queries) {
+    const ids = new Set(searchHnsw(graph, store.vectors(), q, 5).map(h => h.id));
+    found += exact(q).filter(id => ids.has(id)).length;
+  }
+  assert.ok(found / (queries.length * 5) >= 0.9, `recall ${found / (queries.length * 5)}`);
+
+  const file = path.join(makeProject(), "index.hnsw");
+  saveHnsw(file, graph);
+  assert.deepEqual(loadHnsw(file, { dims, generation: store.generation }), graph);
+  assert.equal(loadHnsw(file, { dims, generation: store.generation + 1 }), null);
+  assert.equal(loadHnsw(file, { dims: 8, generation: store.generation }), null);
+  fs.truncateSync(file, 60);
+  assert.equal(loadHnsw(file, { dims, generation: store.generation }), null);
+});
+
+test("from annMinRows rows up search uses the saved graph and extends it with new rows", () => {
+  const dir = makeProject();
+  const annFile = path.join(dir, "index.hnsw");
+  const payload = emptyIndex(dir, "m");
+  const add = (v, i) => payload.index.push({ id: `c${i}`, row: payload.store.append(v) });
+  vectors(50, 8).forEach(add);
+
+  const q = vectors(1, 8, 3)[0];
+  const exact = searchIndex(payload, q, 3).map(h => h.chunk.id);
+  assert.deepEqual(searchIndex(payload, q, 3, { annMinRows: 10, annFile }).map(h => h.chunk.id), exact);
+  assert.equal(loadHnsw(annFile, { dims: 8, generation: payload.store.generation }).links.length, 50);
+
+  add(q, 50);
+  payload.store.ann = null; // as if the index were opened again
+  assert.equal(searchIndex(payload, q, 1, { annMinRows: 10, annFile })[0].chunk.id, "c50");
+  assert.equal(loadHnsw(annFile, { dims: 8, generation: payload.store.generation }).links.length, 51);
+});
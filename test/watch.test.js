@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { fixProject, editsResponse, read, FIX } from "./helpers.js";
+import { watch } from "../main.js";
+
+// Resolves with the first event of `type` after `from` events were seen
+function nextEvent(events, type, from, timeoutMs = 10000) {
+  const started = Date.now();
+  return (async () => {
+    while (Date.now() - started < timeoutMs) {
+      const hit = events.slice(from).find(e => e.type === type);
+      if (hit) return hit;
+      await sleep(20);
+    }
+    throw new Error(`no '${type}' event within ${timeoutMs}ms: ${events.map(e => e.type).join(", ")}`);
+  })();
+}
+
+test("watch fixes the target, ignores its own writes and re-checks after a save", async () => {
+  const { root } = await fixProject([editsResponse(FIX), editsResponse(FIX)]);
+  const events = [];
+  const watcher = await watch({ target: "math.js", maxRounds: 2, debounceMs: 50, onEvent: e => events.push(e) });
+  try {
+    await watcher.checked;
+    assert.deepEqual(events.map(e => e.type), ["ready", "check", "fix"]);
+    assert.match(events[1].error, /c is not defined/);
+    assert.deepEqual([events[2].ok, events[2].files], [true, ["math.js"]]);
+    assert.match(read(root, "math.js"), /a \+ b/);
+
+    // the fix's own write is not a change
+    await sleep(300);
+    assert.equal(events.length, 3);
+
+    const seen = events.length;
+    fs.writeFileSync(path.join(root, "math.js"), read(root, "math.js").replace("a + b", "a + d"));
+    const change = await nextEvent(events, "change", seen);
+    assert.deepEqual(change.files, ["math.js"]);
+    const check = await nextEvent(events, "check", seen);
+    assert.match(check.error, /d is not defined/);
+    const fix = await nextEvent(events, "fix", seen);
+    assert.equal(fix.ok, true);
+    assert.match(read(root, "math.js"), /a \+ b/);
+  } finally {
+    await watcher.close();
+  }
+});
+
+test("watch needs a target or a test command", async () => {
+  await fixProject();
+  await assert.rejects(watch({}), /watch needs a target file or a test command/);
+  await assert.rejects(watch({ target: "nope.js" }), /does not exist/);
+});